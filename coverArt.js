@@ -0,0 +1,110 @@
+const sharp = require('sharp');
+
+// Cover art lives in a public storage bucket as webp renditions, one folder
+// per game. Shared by server.js and scripts/migrate-cover-art.js.
+const COVERS_BUCKET = process.env.COVERS_BUCKET || 'covers';
+
+// Longest edge, in pixels, of each rendition
+const COVER_VARIANTS = {
+    thumb: 200,
+    medium: 600,
+    full: 1600
+};
+
+// Resize an uploaded image into every variant. Rejects with
+// `err.invalidImage = true` when the buffer isn't an image sharp can read.
+async function renderCoverArt(buffer) {
+    try {
+        const source = sharp(buffer, { failOn: 'error' });
+        await source.metadata();
+
+        const entries = await Promise.all(Object.entries(COVER_VARIANTS).map(async ([variant, size]) => {
+            const data = await source
+                .clone()
+                .rotate()
+                .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true })
+                .webp({ quality: 82 })
+                .toBuffer();
+            return [variant, data];
+        }));
+        return Object.fromEntries(entries);
+    } catch (err) {
+        err.invalidImage = true;
+        throw err;
+    }
+}
+
+// Upload rendered variants for a game, point its gameinfo row at them and
+// drop whatever it had before (older uploads and the legacy base64 column).
+// File names carry a timestamp so replaced covers never hit a stale CDN copy.
+async function storeCoverArt(supabase, gameId, variants) {
+    const bucket = supabase.storage.from(COVERS_BUCKET);
+    const stamp = Date.now();
+    const urls = {};
+    const keep = [];
+
+    for (const [variant, data] of Object.entries(variants)) {
+        const objectPath = `${gameId}/${stamp}-${variant}.webp`;
+        const { error } = await bucket.upload(objectPath, data, {
+            contentType: 'image/webp',
+            cacheControl: '31536000',
+            upsert: true
+        });
+        if (error) throw error;
+
+        urls[variant] = bucket.getPublicUrl(objectPath).data.publicUrl;
+        keep.push(objectPath);
+    }
+
+    const { error: updErr } = await supabase
+        .from('gameinfo')
+        .update({
+            cover_thumb_url: urls.thumb,
+            cover_medium_url: urls.medium,
+            cover_full_url: urls.full,
+            coverart: null
+        })
+        .eq('gameid', gameId);
+    if (updErr) throw updErr;
+
+    await removeCoverArt(supabase, gameId, keep);
+    return urls;
+}
+
+// Delete a game's stored covers, except the object paths in `keep`
+async function removeCoverArt(supabase, gameId, keep = []) {
+    const bucket = supabase.storage.from(COVERS_BUCKET);
+    const { data: files, error } = await bucket.list(String(gameId));
+    if (error) throw error;
+
+    const stale = (files || [])
+        .map(f => `${gameId}/${f.name}`)
+        .filter(p => !keep.includes(p));
+    if (stale.length) {
+        const { error: rmErr } = await bucket.remove(stale);
+        if (rmErr) throw rmErr;
+    }
+}
+
+// Columns to select wherever a game's cover is shown
+const COVER_COLUMNS = 'cover_thumb_url, cover_medium_url, cover_full_url';
+
+// { thumb, medium, full } for API responses, or null when there's no cover yet
+function coverUrls(row) {
+    if (!row?.cover_full_url) return null;
+    return {
+        thumb: row.cover_thumb_url,
+        medium: row.cover_medium_url,
+        full: row.cover_full_url
+    };
+}
+
+module.exports = {
+    COVERS_BUCKET,
+    COVER_VARIANTS,
+    COVER_COLUMNS,
+    renderCoverArt,
+    storeCoverArt,
+    removeCoverArt,
+    coverUrls
+};
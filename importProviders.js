@@ -0,0 +1,272 @@
+const fs = require('fs');
+const path = require('path');
+
+// External game metadata sources for the admin importer.
+//
+// Every provider is a plain object:
+//   id, label
+//   search(query)        → [{ externalId, name, year, platforms: [name] }]
+//   fetchGame(externalId) → normalized game or null
+//   loadCover(game)      → Buffer or null
+//
+// A normalized game looks like
+//   { externalId, name, description, publisher, developer,
+//     genres: [name], aliases: [name], platforms: [name],
+//     releaseDates: [{ platform, region, date: 'YYYY-MM-DD' }], coverUrl }
+// where region is one of server.js' REGIONS (other regions are dropped).
+// Mapping platforms and genres onto our own tables is up to the caller.
+
+const MAX_COVER_BYTES = 10 * 1024 * 1024;
+const SEARCH_LIMIT = 10;
+
+class ImportProviderError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'ImportProviderError';
+        this.status = status;
+    }
+}
+
+async function requestJson(url, options = {}) {
+    const response = await fetch(url, { ...options, signal: AbortSignal.timeout(10000) });
+    if (!response.ok) {
+        throw new ImportProviderError(`${new URL(url).host} responded ${response.status}`, response.status);
+    }
+    return response.json();
+}
+
+// Download a cover image, refusing anything that isn't a reasonably sized image
+async function downloadImage(url) {
+    if (!url) return null;
+    const response = await fetch(url, { signal: AbortSignal.timeout(15000) });
+    if (!response.ok) throw new ImportProviderError(`Cover download failed (${response.status})`, response.status);
+    if (!/^image\//.test(response.headers.get('content-type') || '')) {
+        throw new ImportProviderError('Cover is not an image');
+    }
+    const data = Buffer.from(await response.arrayBuffer());
+    if (data.length > MAX_COVER_BYTES) throw new ImportProviderError('Cover image is too large');
+    return data;
+}
+
+const unixToDate = seconds => new Date(seconds * 1000).toISOString().slice(0, 10);
+
+//
+// IGDB (api.igdb.com, authenticated with Twitch client credentials)
+//
+
+// IGDB's release_dates.region enum
+const IGDB_REGIONS = { 1: 'EU', 2: 'NA', 3: 'AU', 5: 'JP', 6: 'CN', 8: 'WW', 9: 'KR' };
+
+function createIgdbProvider({ clientId, clientSecret }) {
+    let token = null;
+
+    async function accessToken() {
+        if (token && token.expiresAt > Date.now() + 60000) return token.value;
+        const params = new URLSearchParams({
+            client_id: clientId,
+            client_secret: clientSecret,
+            grant_type: 'client_credentials'
+        });
+        const body = await requestJson(`https://id.twitch.tv/oauth2/token?${params}`, { method: 'POST' });
+        token = { value: body.access_token, expiresAt: Date.now() + body.expires_in * 1000 };
+        return token.value;
+    }
+
+    // IGDB queries are written in its own "apicalypse" syntax
+    async function query(endpoint, apicalypse) {
+        return requestJson(`https://api.igdb.com/v4/${endpoint}`, {
+            method: 'POST',
+            headers: {
+                'Client-ID': clientId,
+                Authorization: `Bearer ${await accessToken()}`,
+                'Content-Type': 'text/plain'
+            },
+            body: apicalypse
+        });
+    }
+
+    const quote = value => `"${String(value).replace(/["\\]/g, '\\$&')}"`;
+
+    return {
+        id: 'igdb',
+        label: 'IGDB',
+
+        async search(q) {
+            const games = await query('games',
+                `search ${quote(q)}; fields name, first_release_date, platforms.name; limit ${SEARCH_LIMIT};`);
+            return games.map(g => ({
+                externalId: String(g.id),
+                name: g.name,
+                year: g.first_release_date ? new Date(g.first_release_date * 1000).getUTCFullYear() : null,
+                platforms: (g.platforms || []).map(p => p.name)
+            }));
+        },
+
+        async fetchGame(externalId) {
+            if (!/^\d+$/.test(externalId)) return null;
+            const [g] = await query('games', [
+                'fields name, summary, cover.image_id, platforms.name, genres.name, alternative_names.name,',
+                '  involved_companies.company.name, involved_companies.publisher, involved_companies.developer,',
+                '  release_dates.date, release_dates.region, release_dates.platform.name;',
+                `where id = ${externalId};`
+            ].join(' '));
+            if (!g) return null;
+
+            const companies = g.involved_companies || [];
+            return {
+                externalId: String(g.id),
+                name: g.name,
+                description: g.summary || null,
+                publisher: companies.find(c => c.publisher)?.company?.name || null,
+                developer: companies.find(c => c.developer)?.company?.name || null,
+                genres: (g.genres || []).map(x => x.name),
+                aliases: (g.alternative_names || []).map(a => a.name),
+                platforms: (g.platforms || []).map(p => p.name),
+                releaseDates: (g.release_dates || [])
+                    .filter(d => d.date && d.platform && IGDB_REGIONS[d.region])
+                    .map(d => ({ platform: d.platform.name, region: IGDB_REGIONS[d.region], date: unixToDate(d.date) })),
+                coverUrl: g.cover?.image_id
+                    ? `https://images.igdb.com/igdb/image/upload/t_cover_big_2x/${g.cover.image_id}.jpg`
+                    : null
+            };
+        },
+
+        loadCover: game => downloadImage(game.coverUrl)
+    };
+}
+
+//
+// MobyGames (api.mobygames.com/v1, API key)
+//
+
+function createMobyGamesProvider({ apiKey }) {
+    const api = (resource, params = {}) =>
+        requestJson(`https://api.mobygames.com/v1/${resource}?${new URLSearchParams({ ...params, api_key: apiKey })}`);
+
+    // MobyGames only gives a first release date per platform, sometimes just a year
+    const releaseDate = value => (/^\d{4}-\d{2}-\d{2}$/.test(value || '') ? value : null);
+
+    return {
+        id: 'mobygames',
+        label: 'MobyGames',
+
+        async search(q) {
+            const body = await api('games', { title: q, format: 'normal', limit: SEARCH_LIMIT });
+            return (body.games || []).map(g => {
+                const years = (g.platforms || [])
+                    .map(p => Number(String(p.first_release_date || '').slice(0, 4)))
+                    .filter(Boolean);
+                return {
+                    externalId: String(g.game_id),
+                    name: g.title,
+                    year: years.length ? Math.min(...years) : null,
+                    platforms: (g.platforms || []).map(p => p.platform_name)
+                };
+            });
+        },
+
+        async fetchGame(externalId) {
+            if (!/^\d+$/.test(externalId)) return null;
+            let g;
+            try {
+                g = await api(`games/${externalId}`, { format: 'normal' });
+            } catch (err) {
+                if (err.status === 404) return null;
+                throw err;
+            }
+
+            return {
+                externalId: String(g.game_id),
+                name: g.title,
+                // Descriptions come as HTML
+                description: g.description ? g.description.replace(/<[^>]+>/g, '').trim() : null,
+                publisher: null,
+                developer: null,
+                genres: (g.genres || []).map(x => x.genre_name),
+                aliases: (g.alternate_titles || []).map(a => a.title),
+                platforms: (g.platforms || []).map(p => p.platform_name),
+                releaseDates: (g.platforms || [])
+                    .filter(p => releaseDate(p.first_release_date))
+                    .map(p => ({ platform: p.platform_name, region: 'WW', date: p.first_release_date })),
+                coverUrl: g.sample_cover?.image || null
+            };
+        },
+
+        loadCover: game => downloadImage(game.coverUrl)
+    };
+}
+
+//
+// Local fixture: a JSON array of normalized games, for development and tests.
+// `cover` may name an image file next to the fixture instead of a coverUrl.
+//
+
+function createFixtureProvider({ fixturePath }) {
+    const load = () => JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+
+    return {
+        id: 'fixture',
+        label: 'Local fixture',
+
+        async search(q) {
+            const needle = String(q).toLowerCase();
+            return load()
+                .filter(g => g.name.toLowerCase().includes(needle))
+                .slice(0, SEARCH_LIMIT)
+                .map(g => ({
+                    externalId: String(g.externalId),
+                    name: g.name,
+                    year: g.releaseDates?.length
+                        ? Math.min(...g.releaseDates.map(d => Number(d.date.slice(0, 4))))
+                        : null,
+                    platforms: g.platforms || []
+                }));
+        },
+
+        async fetchGame(externalId) {
+            const g = load().find(x => String(x.externalId) === String(externalId));
+            if (!g) return null;
+            return {
+                description: null,
+                publisher: null,
+                developer: null,
+                genres: [],
+                aliases: [],
+                platforms: [],
+                releaseDates: [],
+                coverUrl: null,
+                ...g,
+                externalId: String(g.externalId)
+            };
+        },
+
+        async loadCover(game) {
+            if (game.cover) return fs.promises.readFile(path.resolve(path.dirname(fixturePath), game.cover));
+            return downloadImage(game.coverUrl);
+        }
+    };
+}
+
+// Providers with credentials in the environment, keyed by id
+function loadImportProviders(env = process.env) {
+    const providers = [];
+    if (env.IGDB_CLIENT_ID && env.IGDB_CLIENT_SECRET) {
+        providers.push(createIgdbProvider({ clientId: env.IGDB_CLIENT_ID, clientSecret: env.IGDB_CLIENT_SECRET }));
+    }
+    if (env.MOBYGAMES_API_KEY) {
+        providers.push(createMobyGamesProvider({ apiKey: env.MOBYGAMES_API_KEY }));
+    }
+    if (env.IMPORTER_FIXTURE_PATH) {
+        providers.push(createFixtureProvider({ fixturePath: env.IMPORTER_FIXTURE_PATH }));
+    }
+    return new Map(providers.map(p => [p.id, p]));
+}
+
+module.exports = {
+    ImportProviderError,
+    downloadImage,
+    createIgdbProvider,
+    createMobyGamesProvider,
+    createFixtureProvider,
+    loadImportProviders
+};
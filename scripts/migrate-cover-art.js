@@ -0,0 +1,60 @@
+// One-off: move base64 cover art out of gameinfo.coverart into the covers
+// bucket. Safe to re-run; rows that already have stored covers are skipped.
+//
+//   npm run migrate:covers            convert everything
+//   npm run migrate:covers -- --dry   only report what would be converted
+const dotenv = require('dotenv');
+const { createClient } = require('@supabase/supabase-js');
+const { renderCoverArt, storeCoverArt } = require('../coverArt');
+
+dotenv.config();
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+
+// Base64 covers are big; keep each page small
+const BATCH_SIZE = 10;
+const dryRun = process.argv.includes('--dry');
+
+async function main() {
+    let lastId = 0;
+    let converted = 0;
+    const failed = [];
+
+    for (;;) {
+        const { data: rows, error } = await supabase
+            .from('gameinfo')
+            .select('gameid, name, coverart')
+            .not('coverart', 'is', null)
+            .is('cover_full_url', null)
+            .gt('gameid', lastId)
+            .order('gameid', { ascending: true })
+            .limit(BATCH_SIZE);
+        if (error) throw error;
+        if (!rows.length) break;
+
+        for (const row of rows) {
+            lastId = row.gameid;
+            try {
+                // Some rows were saved as data URLs rather than bare base64
+                const base64 = row.coverart.replace(/^data:[^,]*,/, '');
+                const variants = await renderCoverArt(Buffer.from(base64, 'base64'));
+                if (!dryRun) await storeCoverArt(supabase, row.gameid, variants);
+                converted++;
+                console.log(`${dryRun ? 'would convert' : 'converted'} #${row.gameid} ${row.name}`);
+            } catch (err) {
+                failed.push(row.gameid);
+                console.error(`failed #${row.gameid} ${row.name}: ${err.message}`);
+            }
+        }
+    }
+
+    console.log(`${converted} cover(s) ${dryRun ? 'to convert' : 'converted'}, ${failed.length} failed.`);
+    if (failed.length) {
+        console.log(`Failed game ids: ${failed.join(', ')}`);
+        process.exitCode = 1;
+    }
+}
+
+main().catch((err) => {
+    console.error('Cover art migration failed:', err);
+    process.exit(1);
+});
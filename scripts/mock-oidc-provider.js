@@ -0,0 +1,169 @@
+// A small OpenID Connect provider for local development and the OIDC tests:
+// discovery, authorize (code + PKCE S256), token, userinfo and JWKS. There is
+// no login screen; /authorize signs in the account named by ?login_hint=, or
+// the default one, and sends the browser straight back.
+//
+//   npm run mock:oidc        listens on MOCK_OIDC_PORT (default 4010)
+//
+// then start the API with
+//   OIDC_PROVIDERS='{"mock":{"issuer":"http://localhost:4010","clientId":"cdd-local","name":"Mock"}}'
+const http = require('http');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const DEFAULT_ACCOUNTS = {
+    player: { sub: 'mock-player-1', email: 'player@example.com', email_verified: true, preferred_username: 'player' }
+};
+
+function createMockOidcProvider({ clientId = 'cdd-local', clientSecret = null, accounts = DEFAULT_ACCOUNTS } = {}) {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const kid = crypto.randomBytes(8).toString('hex');
+    const codes = new Map();
+    const accessTokens = new Map();
+    let issuer = null;
+    let nextLogin = null;
+
+    const json = (res, status, body) => {
+        res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+        res.end(JSON.stringify(body));
+    };
+
+    const redirect = (res, target, params) => {
+        const url = new URL(target);
+        for (const [key, value] of Object.entries(params)) {
+            if (value != null) url.searchParams.set(key, value);
+        }
+        res.writeHead(302, { Location: url.toString() });
+        res.end();
+    };
+
+    const readForm = req => new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => resolve(new URLSearchParams(body)));
+        req.on('error', reject);
+    });
+
+    function authorize(req, res, query) {
+        const redirectUri = query.get('redirect_uri');
+        if (query.get('client_id') !== clientId || !redirectUri) {
+            return json(res, 400, { error: 'invalid_request', error_description: 'Unknown client or missing redirect_uri' });
+        }
+        const state = query.get('state');
+        if (query.get('response_type') !== 'code') {
+            return redirect(res, redirectUri, { error: 'unsupported_response_type', state });
+        }
+        if (!query.get('code_challenge') || query.get('code_challenge_method') !== 'S256') {
+            return redirect(res, redirectUri, { error: 'invalid_request', error_description: 'PKCE (S256) is required', state });
+        }
+
+        const account = nextLogin || accounts[query.get('login_hint')] || Object.values(accounts)[0];
+        nextLogin = null;
+        if (account.error) return redirect(res, redirectUri, { error: account.error, state });
+
+        const code = crypto.randomBytes(16).toString('base64url');
+        codes.set(code, {
+            redirectUri,
+            codeChallenge: query.get('code_challenge'),
+            nonce: query.get('nonce'),
+            account,
+            expiresAt: Date.now() + 60 * 1000
+        });
+        redirect(res, redirectUri, { code, state });
+    }
+
+    async function token(req, res) {
+        const form = await readForm(req);
+        const grant = codes.get(form.get('code'));
+        codes.delete(form.get('code'));
+
+        if (form.get('grant_type') !== 'authorization_code') return json(res, 400, { error: 'unsupported_grant_type' });
+        if (form.get('client_id') !== clientId || (clientSecret && form.get('client_secret') !== clientSecret)) {
+            return json(res, 401, { error: 'invalid_client' });
+        }
+        if (!grant || grant.expiresAt < Date.now() || grant.redirectUri !== form.get('redirect_uri')) {
+            return json(res, 400, { error: 'invalid_grant', error_description: 'Unknown or expired code' });
+        }
+        const verifier = form.get('code_verifier') || '';
+        if (crypto.createHash('sha256').update(verifier).digest('base64url') !== grant.codeChallenge) {
+            return json(res, 400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+        }
+
+        const accessToken = crypto.randomBytes(16).toString('base64url');
+        accessTokens.set(accessToken, grant.account);
+        const { idTokenClaims = {}, ...claims } = grant.account;
+        const idToken = jwt.sign(
+            { ...claims, nonce: grant.nonce, ...idTokenClaims },
+            privateKey,
+            { algorithm: 'RS256', keyid: kid, issuer, audience: clientId, expiresIn: '5m' }
+        );
+        json(res, 200, { access_token: accessToken, token_type: 'Bearer', expires_in: 300, id_token: idToken });
+    }
+
+    function userinfo(req, res) {
+        const account = accessTokens.get((req.headers.authorization || '').replace(/^Bearer /, ''));
+        if (!account) return json(res, 401, { error: 'invalid_token' });
+        const { idTokenClaims, ...claims } = account;
+        json(res, 200, claims);
+    }
+
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, issuer);
+        const route = `${req.method} ${url.pathname}`;
+
+        if (route === 'GET /.well-known/openid-configuration') {
+            return json(res, 200, {
+                issuer,
+                authorization_endpoint: `${issuer}/authorize`,
+                token_endpoint: `${issuer}/token`,
+                userinfo_endpoint: `${issuer}/userinfo`,
+                jwks_uri: `${issuer}/jwks`,
+                response_types_supported: ['code'],
+                subject_types_supported: ['public'],
+                id_token_signing_alg_values_supported: ['RS256'],
+                code_challenge_methods_supported: ['S256']
+            });
+        }
+        if (route === 'GET /jwks') {
+            return json(res, 200, { keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }] });
+        }
+        if (route === 'GET /authorize') return authorize(req, res, url.searchParams);
+        if (route === 'POST /token') {
+            return token(req, res).catch(err => json(res, 500, { error: 'server_error', error_description: err.message }));
+        }
+        if (route === 'GET /userinfo') return userinfo(req, res);
+        json(res, 404, { error: 'not_found' });
+    });
+
+    return {
+        clientId,
+
+        // Resolves with the issuer URL once listening (port 0 picks a free port)
+        listen(port = 0) {
+            return new Promise((resolve) => {
+                server.listen(port, '127.0.0.1', () => {
+                    issuer = `http://127.0.0.1:${server.address().port}`;
+                    resolve(issuer);
+                });
+            });
+        },
+
+        close: () => new Promise(resolve => server.close(resolve)),
+
+        // The account the next /authorize call signs in, e.g. { sub, email }
+        // or { error: 'access_denied' }. `idTokenClaims` overrides ID token claims.
+        setNextLogin(account) {
+            nextLogin = account;
+        }
+    };
+}
+
+module.exports = { createMockOidcProvider };
+
+if (require.main === module) {
+    const provider = createMockOidcProvider();
+    provider.listen(Number(process.env.MOCK_OIDC_PORT) || 4010).then((issuer) => {
+        console.log(`Mock OIDC provider at ${issuer} (client id "${provider.clientId}")`);
+        console.log(`OIDC_PROVIDERS='${JSON.stringify({ mock: { issuer, clientId: provider.clientId, name: 'Mock' } })}'`);
+    });
+}
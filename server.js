@@ -8,6 +8,13 @@ const cookieParser = require('cookie-parser');
 const { Strategy: JWTStrategy, ExtractJwt } = require('passport-jwt');
 const { createClient } = require('@supabase/supabase-js');
 const fileUpload = require('express-fileupload');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const JSZip = require('jszip');
+const { COVER_COLUMNS, renderCoverArt, storeCoverArt, removeCoverArt, coverUrls } = require('./coverArt');
+const { loadImportProviders, downloadImage } = require('./importProviders');
 
 dotenv.config();
 const app = express();
@@ -39,6 +46,12 @@ const corsOptions = {
 };
 
 app.use(cors(corsOptions));
+
+// Behind a proxy (Render, Vercel, nginx…) set TRUST_PROXY so req.ip is the client's address
+if (process.env.TRUST_PROXY) {
+    const setting = process.env.TRUST_PROXY;
+    app.set('trust proxy', setting === 'true' ? true : /^\d+$/.test(setting) ? Number(setting) : setting);
+}
 app.use(express.json());
 app.use(passport.initialize());
 
@@ -51,7 +64,13 @@ app.use(passport.initialize());
 // });
 
 const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+// Tests load the app without a listening socket (see test/support/app.js)
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log(`Server running on port ${PORT}`);
+        scheduleCollectionOrphanRepair();
+    });
+}
 
 // Async handler
 const asyncHandler = fn => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
@@ -69,52 +88,547 @@ passport.use(new JWTStrategy({
             .single();
 
         if (error) return done(error, false);
-        return user ? done(null, user) : done(null, false);
+        if (!user || user.suspended_at) return done(null, false);
+
+        // Access tokens die with their session (logout elsewhere, password change…)
+        if (payload.sessionId) {
+            const { data: session, error: sessErr } = await supabase
+                .from('user_sessions')
+                .select('revoked_at')
+                .eq('id', payload.sessionId)
+                .maybeSingle();
+            if (sessErr) return done(sessErr, false);
+            if (!session || session.revoked_at) return done(null, false);
+        }
+
+        // sessionId ends up on req.authInfo
+        return done(null, user, { sessionId: payload.sessionId });
     } catch (err) {
         done(err, false);
     }
 }));
 
+//
+// ───────────── PERSONAL ACCESS TOKENS ─────────────
+//
+
+// Long-lived tokens for scripts: "cdd_pat_…" sent as a Bearer token, stored
+// hashed in api_tokens. Routes that accept them use requireUserOrToken plus a
+// requireScope() guard; browser sessions (JWT) are never scope-limited.
+const API_TOKEN_PREFIX = 'cdd_pat_';
+const API_TOKEN_SCOPES = [
+    'profile:read',
+    'catalog:read',
+    'catalog:write',
+    'collection:read',
+    'collection:write',
+    'wishlist:read',
+    'wishlist:write'
+];
+const API_TOKEN_TOUCH_INTERVAL_MS = 60 * 1000; // last_used_at resolution
+
+async function authenticateApiToken(token) {
+    const { data: row, error } = await supabase
+        .from('api_tokens')
+        .select('id, userid, scopes, expires_at, revoked_at, last_used_at')
+        .eq('token_hash', hashToken(token))
+        .maybeSingle();
+    if (error) throw error;
+    if (!row || row.revoked_at) return null;
+    if (row.expires_at && new Date(row.expires_at) <= new Date()) return null;
+
+    const { data: user, error: userErr } = await supabase
+        .from('useraccount')
+        .select('*')
+        .eq('userid', row.userid)
+        .maybeSingle();
+    if (userErr) throw userErr;
+    if (!user || user.suspended_at) return null;
+
+    // Don't write on every single call
+    const lastUsed = row.last_used_at ? new Date(row.last_used_at).getTime() : 0;
+    if (Date.now() - lastUsed > API_TOKEN_TOUCH_INTERVAL_MS) {
+        const { error: touchErr } = await supabase
+            .from('api_tokens')
+            .update({ last_used_at: new Date().toISOString() })
+            .eq('id', row.id);
+        if (touchErr) console.error('Error updating token last_used_at:', touchErr.message);
+    }
+
+    return { user, info: { tokenId: row.id, scopes: row.scopes || [] } };
+}
+
+class ApiTokenStrategy extends passport.Strategy {
+    constructor() {
+        super();
+        this.name = 'api-token';
+    }
+
+    authenticate(req) {
+        const token = ExtractJwt.fromAuthHeaderAsBearerToken()(req);
+        if (!token || !token.startsWith(API_TOKEN_PREFIX)) return this.fail();
+
+        authenticateApiToken(token).then(
+            result => (result ? this.success(result.user, result.info) : this.fail()),
+            err => this.error(err)
+        );
+    }
+}
+
+passport.use(new ApiTokenStrategy());
+
+// Tokens outlive sessions, so a password change or "log out everywhere else"
+// revokes them too. Returns how many were still active.
+async function revokeApiTokens(userId) {
+    const { data, error } = await supabase
+        .from('api_tokens')
+        .update({ revoked_at: new Date().toISOString() })
+        .eq('userid', userId)
+        .is('revoked_at', null)
+        .select('id');
+    if (error) throw error;
+    return data.length;
+}
+
+// Accepts either a browser session (JWT) or a personal access token
+const requireUserOrToken = passport.authenticate(['jwt', 'api-token'], { session: false });
+
+const requireScope = scope => (req, res, next) => {
+    const scopes = req.authInfo?.scopes;
+    if (!scopes || scopes.includes(scope)) return next();
+    res.status(403).json({ error: `This token is missing the "${scope}" scope.` });
+};
+
+
+//
+// ───────────── AUTHORIZATION ─────────────
+//
+
+const isAdmin = user => Boolean(user?.admin);
+
+// Owner-or-admin policy for anything that belongs to a single user
+const canAccessUser = (user, ownerId) => isAdmin(user) || Number(ownerId) === user.userid;
+
+const forbidden = res => res.status(403).json({ error: 'You do not have access to this resource.' });
+
+// Route guard for admin-only endpoints. Checks the freshly loaded useraccount
+// row, not the admin claim in the token, so a demotion takes effect at once.
+const requireAdmin = (req, res, next) => {
+    if (isAdmin(req.user)) return next();
+    forbidden(res);
+};
+
+// Columns safe to hand to admin tooling (never the password or 2FA secrets)
+const ADMIN_USER_COLUMNS = 'userid, username, email, admin, avatar_url, email_verified, pending_email, '
+    + 'totp_enabled, suspended_at, suspension_reason, deletion_scheduled_for';
+
+// Route guard for user-scoped URLs such as /api/mycollection/:userId
+const requireSelfOrAdmin = (param = 'userId') => (req, res, next) => {
+    if (canAccessUser(req.user, req.params[param])) return next();
+    forbidden(res);
+};
+
+// Route guard for /api/threads/:threadId/*; only the two participants get in.
+// Loads the thread onto req.thread.
+const requireThreadParticipant = asyncHandler(async (req, res, next) => {
+    const threadId = Number(req.params.threadId);
+    const me = req.user.userid;
+
+    const { data: thread, error } = await supabase
+        .from('chat_threads')
+        .select('id, user_a, user_b')
+        .eq('id', threadId)
+        .maybeSingle();
+
+    if (error) {
+        console.error('Error fetching chat thread:', error);
+        return res.status(500).json({ error: 'Database error fetching chat thread.' });
+    }
+    if (!thread) return res.status(404).json({ error: 'Thread not found.' });
+    if (thread.user_a !== me && thread.user_b !== me) return forbidden(res);
+
+    req.thread = thread;
+    next();
+});
+
+// Loads one collection copy (:collectionId) onto req.collectionItem; only
+// its owner or an admin gets past
+const requireCollectionItem = asyncHandler(async (req, res, next) => {
+    const { data: item, error } = await supabase
+        .from('vgcollection')
+        .select('collectionid, userid, gameid, gamedetailsid')
+        .eq('collectionid', Number(req.params.collectionId))
+        .maybeSingle();
+    if (error) throw error;
+    if (!item) return res.status(404).json({ error: 'Collection item not found.' });
+    if (!canAccessUser(req.user, item.userid)) return forbidden(res);
+
+    req.collectionItem = item;
+    next();
+});
+
 // Generate tokens
-const generateAccessToken = user => jwt.sign(
-    { userId: user.userid, username: user.username, admin: user.admin },
+const generateAccessToken = (user, sessionId) => jwt.sign(
+    { userId: user.userid, username: user.username, admin: user.admin, sessionId },
     process.env.JWT_SECRET,
     { expiresIn: '15m' }
 );
 
-const generateRefreshToken = user => jwt.sign(
-    { userId: user.userid },
-    process.env.REFRESH_TOKEN_SECRET,
-    { expiresIn: '30d' }
-);
+// Hash for opaque tokens (refresh tokens, emailed links); only the hash is stored
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+// Signing key for a specific kind of short-lived token, derived from JWT_SECRET
+// so those tokens can never pass as access tokens
+const deriveSecret = purpose => crypto
+    .createHmac('sha256', process.env.JWT_SECRET)
+    .update(purpose)
+    .digest('hex');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+
+//
+// ───────────── MAIL ─────────────
+//
+
+// Pick the transport with MAIL_TRANSPORT:
+//   'smtp' – deliver through SMTP_URL (a local MailHog/Mailpit works for dev)
+//   'file' – write each message as JSON into MAIL_OUTBOX_DIR (default ./mail-outbox)
+// Defaults to 'smtp' in production and 'file' everywhere else.
+const mailTransports = {
+    smtp: () => {
+        const transporter = nodemailer.createTransport(process.env.SMTP_URL);
+        return message => transporter.sendMail(message);
+    },
+    file: () => {
+        const outbox = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, 'mail-outbox');
+        return async message => {
+            await fs.promises.mkdir(outbox, { recursive: true });
+            const fileName = `${Date.now()}_${message.to.replace(/[^\w.@-]/g, '_')}.json`;
+            await fs.promises.writeFile(
+                path.join(outbox, fileName),
+                JSON.stringify({ ...message, date: new Date().toISOString() }, null, 2)
+            );
+        };
+    }
+};
+
+const mailTransportName = process.env.MAIL_TRANSPORT
+    || (process.env.NODE_ENV === 'production' ? 'smtp' : 'file');
+if (!mailTransports[mailTransportName]) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${mailTransportName}"`);
+}
+const deliverMail = mailTransports[mailTransportName]();
+
+async function sendMail({ to, subject, text }) {
+    await deliverMail({
+        from: process.env.MAIL_FROM || 'CDD <no-reply@cdd.local>',
+        to,
+        subject,
+        text
+    });
+}
+
+
+//
+// ───────────── RATE LIMITING ─────────────
+//
+
+// Counter stores all expose the same three calls:
+//   hit(key, windowMs) → { count, resetAt }  count one more hit in the key's window
+//   get(key)           → { count, resetAt } or null when the window is over
+//   reset(key)
+// The memory store is per process; set REDIS_URL to share counters between instances.
+const createMemoryStore = () => {
+    const counters = new Map();
+
+    const live = key => {
+        const entry = counters.get(key);
+        if (entry && entry.resetAt <= Date.now()) {
+            counters.delete(key);
+            return null;
+        }
+        return entry || null;
+    };
+
+    setInterval(() => {
+        for (const key of counters.keys()) live(key);
+    }, 60 * 1000).unref();
+
+    return {
+        async hit(key, windowMs) {
+            const entry = live(key) || { count: 0, resetAt: Date.now() + windowMs };
+            entry.count += 1;
+            counters.set(key, entry);
+            return { ...entry };
+        },
+        async get(key) {
+            const entry = live(key);
+            return entry && { ...entry };
+        },
+        async reset(key) {
+            counters.delete(key);
+        }
+    };
+};
+
+// Any node-redis v4 style client (incr / pExpire / pTTL / get / del) will do
+const createRedisStore = client => ({
+    async hit(key, windowMs) {
+        const count = await client.incr(key);
+        if (count === 1) await client.pExpire(key, windowMs);
+        const ttl = await client.pTTL(key);
+        return { count, resetAt: Date.now() + Math.max(ttl, 0) };
+    },
+    async get(key) {
+        const [value, ttl] = await Promise.all([client.get(key), client.pTTL(key)]);
+        return value == null ? null : { count: Number(value), resetAt: Date.now() + Math.max(ttl, 0) };
+    },
+    async reset(key) {
+        await client.del(key);
+    }
+});
+
+// A broken counter store shouldn't take logins down with it
+const failOpen = store => ({
+    hit: (key, windowMs) => store.hit(key, windowMs).catch(err => {
+        console.error('Rate limit store error:', err.message);
+        return { count: 0, resetAt: Date.now() };
+    }),
+    get: key => store.get(key).catch(err => {
+        console.error('Rate limit store error:', err.message);
+        return null;
+    }),
+    reset: key => store.reset(key).catch(err => {
+        console.error('Rate limit store error:', err.message);
+    })
+});
+
+const rateLimitStore = failOpen((() => {
+    if (!process.env.REDIS_URL) return createMemoryStore();
+
+    const { createClient: createRedisClient } = require('redis');
+    const redisClient = createRedisClient({ url: process.env.REDIS_URL });
+    redisClient.on('error', err => console.error('Redis error:', err.message));
+    redisClient.connect().catch(err => console.error('Redis connect failed:', err.message));
+    return createRedisStore(redisClient);
+})());
+
+const tooManyRequests = (res, resetAt, message = 'Too many requests. Please try again later.') => {
+    res.set('Retry-After', String(Math.max(Math.ceil((resetAt - Date.now()) / 1000), 1)));
+    res.status(429).json({ error: message });
+};
+
+// Fixed-window limiter, keyed by client IP unless told otherwise
+const rateLimit = ({ name, max, windowMs, key = req => req.ip }) => asyncHandler(async (req, res, next) => {
+    const { count, resetAt } = await rateLimitStore.hit(`rl:${name}:${key(req)}`, windowMs);
+    if (count > max) return tooManyRequests(res, resetAt);
+    next();
+});
+
+const loginRateLimit = rateLimit({ name: 'login', max: 20, windowMs: 15 * 60 * 1000 });
+const registerRateLimit = rateLimit({ name: 'register', max: 10, windowMs: 60 * 60 * 1000 });
+const refreshRateLimit = rateLimit({ name: 'refresh', max: 60, windowMs: 15 * 60 * 1000 });
+const probeRateLimit = rateLimit({ name: 'probe', max: 30, windowMs: 60 * 1000 });
+const mailRateLimit = rateLimit({ name: 'mail', max: 5, windowMs: 15 * 60 * 1000 });
+
+// Failed logins are also counted per account (by lower-cased username).
+// From the 3rd failure each attempt is held back a little longer; the 10th
+// failure inside 15 minutes locks the account for 15 minutes.
+const LOGIN_FAILURE_WINDOW_MS = 15 * 60 * 1000;
+const LOGIN_LOCKOUT_THRESHOLD = 10;
+const LOGIN_LOCKOUT_MS = 15 * 60 * 1000;
+const LOGIN_DELAY_AFTER = 3;
+const LOGIN_MAX_DELAY_MS = 8000;
+
+const accountKey = username => String(username || '').trim().toLowerCase();
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const loginDelayMs = failures => failures < LOGIN_DELAY_AFTER
+    ? 0
+    : Math.min(250 * 2 ** (failures - LOGIN_DELAY_AFTER), LOGIN_MAX_DELAY_MS);
+
+// Returns { resetAt } while the account is locked, else waits out the delay
+async function guardLoginAttempt(account) {
+    const lock = await rateLimitStore.get(`login-lock:${account}`);
+    if (lock) return lock;
+
+    const failures = await rateLimitStore.get(`login-fail:${account}`);
+    await sleep(loginDelayMs(failures?.count || 0));
+    return null;
+}
+
+// Audit trail for admins (login_attempts); never blocks the request
+async function recordLoginAttempt(req, { username, userid = null, reason }) {
+    const { error } = await supabase
+        .from('login_attempts')
+        .insert({
+            username: username ?? null,
+            userid,
+            ip: req.ip || null,
+            user_agent: req.get('user-agent') || null,
+            reason
+        });
+    if (error) console.error('Error recording login attempt:', error.message);
+}
+
+async function registerLoginFailure(req, { username, userid, reason }) {
+    const account = accountKey(username);
+    await recordLoginAttempt(req, { username, userid, reason });
+
+    const { count } = await rateLimitStore.hit(`login-fail:${account}`, LOGIN_FAILURE_WINDOW_MS);
+    if (count >= LOGIN_LOCKOUT_THRESHOLD) {
+        await rateLimitStore.hit(`login-lock:${account}`, LOGIN_LOCKOUT_MS);
+        await rateLimitStore.reset(`login-fail:${account}`);
+    }
+}
+
+const clearLoginFailures = username => rateLimitStore.reset(`login-fail:${accountKey(username)}`);
+
+const accountLocked = (res, lock) =>
+    tooManyRequests(res, lock.resetAt, 'Too many failed attempts. Please try again later.');
+
+
+//
+// ───────────── SESSIONS ─────────────
+//
+
+// A session is one login on one device (user_sessions). Its refresh token is
+// opaque and single-use: every /api/token/refresh swaps it for a new one
+// (refresh_tokens, same session_id). Presenting a token that was already
+// swapped means it leaked, so the whole session is revoked.
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+const refreshCookieOptions = {
+    httpOnly: true,
+    secure: true,           // MUST be true for SameSite=None
+    sameSite: 'None',       // ← allow cross-site
+    path: '/',
+};
+
+const setRefreshCookie = (res, token) => res.cookie('refreshToken', token, refreshCookieOptions);
+const clearRefreshCookie = res => res.clearCookie('refreshToken', refreshCookieOptions);
+
+async function issueRefreshToken(sessionId) {
+    const token = crypto.randomBytes(48).toString('base64url');
+    const { error } = await supabase
+        .from('refresh_tokens')
+        .insert({ token_hash: hashToken(token), session_id: sessionId });
+    if (error) throw error;
+    return token;
+}
+
+async function createSession(user, req) {
+    const { data: session, error } = await supabase
+        .from('user_sessions')
+        .insert({
+            userid: user.userid,
+            user_agent: req.get('user-agent') || null,
+            ip: req.ip || null,
+            expires_at: new Date(Date.now() + SESSION_TTL_MS).toISOString()
+        })
+        .select('id')
+        .single();
+    if (error) throw error;
+
+    const refreshToken = await issueRefreshToken(session.id);
+    return { sessionId: session.id, refreshToken };
+}
+
+async function revokeSession(sessionId) {
+    const { error } = await supabase
+        .from('user_sessions')
+        .update({ revoked_at: new Date().toISOString() })
+        .eq('id', sessionId)
+        .is('revoked_at', null);
+    if (error) throw error;
+}
+
+async function revokeAllSessions(userId) {
+    const { error } = await supabase
+        .from('user_sessions')
+        .update({ revoked_at: new Date().toISOString() })
+        .eq('userid', userId)
+        .is('revoked_at', null);
+    if (error) throw error;
+}
+
+async function revokeOtherSessions(userId, keepSessionId) {
+    let query = supabase
+        .from('user_sessions')
+        .update({ revoked_at: new Date().toISOString() })
+        .eq('userid', userId)
+        .is('revoked_at', null);
+    if (keepSessionId) query = query.neq('id', keepSessionId);
+
+    const { error } = await query;
+    if (error) throw error;
+}
 
-// Refresh token endpoint
-app.post('/api/token/refresh', asyncHandler(async (req, res) => {
+// Refresh token endpoint (rotates the refresh token on every call)
+app.post('/api/token/refresh', refreshRateLimit, asyncHandler(async (req, res) => {
     const token = req.cookies.refreshToken;
     if (!token) return res.status(401).json({ error: 'No refresh token provided.' });
 
-    try {
-        const { userId } = jwt.verify(token, process.env.REFRESH_TOKEN_SECRET);
-        const { data: user, error } = await supabase
-            .from('useraccount')
-            .select('*')
-            .eq('userid', userId)
-            .single();
-        if (error || !user) throw error || new Error('User not found');
-
-        const newAccessToken = generateAccessToken(user);
-        res.json({ accessToken: newAccessToken });
-    } catch (err) {
-        console.error('Refresh error:', err.message);
+    const reject = () => {
+        clearRefreshCookie(res);
         res.status(403).json({ error: 'Invalid or expired refresh token.' });
+    };
+
+    // 1) Look the token up along with its session
+    const { data: row, error: rowErr } = await supabase
+        .from('refresh_tokens')
+        .select('token_hash, used_at, session:user_sessions ( id, userid, expires_at, revoked_at )')
+        .eq('token_hash', hashToken(token))
+        .maybeSingle();
+    if (rowErr) throw rowErr;
+    if (!row || !row.session) return reject();
+
+    const { session } = row;
+    if (session.revoked_at || new Date(session.expires_at) <= new Date()) return reject();
+
+    // 2) Claim the token; if it was already used, someone is replaying it
+    const { data: claimed, error: claimErr } = await supabase
+        .from('refresh_tokens')
+        .update({ used_at: new Date().toISOString() })
+        .eq('token_hash', row.token_hash)
+        .is('used_at', null)
+        .select('token_hash')
+        .maybeSingle();
+    if (claimErr) throw claimErr;
+    if (row.used_at || !claimed) {
+        console.warn(`Refresh token reuse detected, revoking session ${session.id}`);
+        await revokeSession(session.id);
+        return reject();
     }
+
+    // 3) Load the user
+    const { data: user, error: userErr } = await supabase
+        .from('useraccount')
+        .select('*')
+        .eq('userid', session.userid)
+        .maybeSingle();
+    if (userErr) throw userErr;
+    if (!user || user.suspended_at) return reject();
+
+    // 4) Hand out the next token in the session
+    const refreshToken = await issueRefreshToken(session.id);
+    const { error: touchErr } = await supabase
+        .from('user_sessions')
+        .update({ last_used_at: new Date().toISOString() })
+        .eq('id', session.id);
+    if (touchErr) throw touchErr;
+
+    setRefreshCookie(res, refreshToken);
+    res.json({ accessToken: generateAccessToken(user, session.id) });
 }));
 
 // Registration
 app.post(
     '/register',
+    registerRateLimit,
     asyncHandler(async (req, res) => {
-        const { username, email, password, admin } = req.body;
+        const { username, email, password } = req.body;
 
         // 1) Check for existing email
         const { data: existing, error: existErr } = await supabase
@@ -161,8 +675,9 @@ app.post(
             username,
             email,
             password: hashed,
-            admin: admin ? 1 : 0,
-            avatar_url
+            admin: 0,           // only an existing admin can grant this (/api/admin/users)
+            avatar_url,
+            email_verified: false
         };
         const { data: inserted, error: insertErr } = await supabase
             .from('useraccount')
@@ -171,15 +686,17 @@ app.post(
             .single();
         if (insertErr) throw insertErr;
 
+        // Registration still succeeds if the mail can't go out; the user can resend
+        try {
+            await sendVerificationEmail(inserted, inserted.email);
+        } catch (mailErr) {
+            console.error('Error sending verification email:', mailErr);
+        }
+
         // 5) Generate tokens & set refresh cookie
-        const accessToken = generateAccessToken(inserted);
-        const refreshToken = generateRefreshToken(inserted);
-        res.cookie('refreshToken', refreshToken, {
-            httpOnly: true,
-            secure: true,
-            sameSite: 'None',
-            path: '/',
-        });
+        const { sessionId, refreshToken } = await createSession(inserted, req);
+        const accessToken = generateAccessToken(inserted, sessionId);
+        setRefreshCookie(res, refreshToken);
 
         // 6) Return the safe user object
         const safeUser = {
@@ -187,7 +704,8 @@ app.post(
             username: inserted.username,
             email: inserted.email,
             admin: inserted.admin,
-            avatar: inserted.avatar_url
+            avatar: inserted.avatar_url,
+            email_verified: inserted.email_verified
         };
         res.status(201).json({
             accessToken,
@@ -198,28 +716,99 @@ app.post(
 );
 
 
+// Create the session + refresh cookie and return a matching access token
+async function startSession(req, res, user) {
+    // Only a fully completed login (password and 2FA) clears the failure count
+    await clearLoginFailures(user.username);
+
+    const { sessionId, refreshToken } = await createSession(user, req);
+    setRefreshCookie(res, refreshToken);
+    return generateAccessToken(user, sessionId);
+}
+
+// Open a session for a user who has passed every login step
+async function completeLogin(req, res, user) {
+    if (user.suspended_at) {
+        return res.status(403).json({ message: 'This account has been suspended.' });
+    }
+
+    const accessToken = await startSession(req, res, user);
+
+    const safeUser = {
+        userid: user.userid,
+        username: user.username,
+        email: user.email,
+        admin: user.admin,
+        email_verified: user.email_verified
+    };
+    res.json({ accessToken, user: safeUser });
+}
+
 // Login
-app.post('/login', asyncHandler(async (req, res) => {
+app.post('/login', loginRateLimit, asyncHandler(async (req, res) => {
     const { username, password } = req.body;
+
+    const lock = await guardLoginAttempt(accountKey(username));
+    if (lock) {
+        await recordLoginAttempt(req, { username, reason: 'locked' });
+        return accountLocked(res, lock);
+    }
+
     const { data: users } = await supabase.from('useraccount').select('*').eq('username', username);
     const user = users[0];
-    if (!user || !(await bcrypt.compare(password, user.password))) {
+    if (!user || !user.password || !(await bcrypt.compare(password, user.password))) {
+        await registerLoginFailure(req, {
+            username,
+            userid: user?.userid,
+            reason: user ? 'bad_password' : 'unknown_user'
+        });
         return res.status(401).json({ message: 'Invalid credentials.' });
     }
 
-    const accessToken = generateAccessToken(user);
-    const refreshToken = generateRefreshToken(user);
+    // With 2FA on, the password only earns a challenge for /login/2fa
+    if (user.totp_enabled) {
+        return res.json({
+            twoFactorRequired: true,
+            challengeToken: generateTwoFactorChallenge(user)
+        });
+    }
+
+    await completeLogin(req, res, user);
+}));
 
-    res.cookie('refreshToken', refreshToken, {
-        httpOnly: true,
-        secure: true,           // MUST be true for SameSite=None
-        sameSite: 'None',       // ← allow cross-site
-        path: '/',
-    });
+// Second login step: trade the challenge plus a TOTP or recovery code for tokens
+app.post('/login/2fa', loginRateLimit, asyncHandler(async (req, res) => {
+    const { challengeToken, code, recoveryCode } = req.body;
 
+    let payload;
+    try {
+        payload = jwt.verify(challengeToken, deriveSecret('2fa-challenge'));
+    } catch (err) {
+        return res.status(401).json({ message: 'Login challenge expired. Please log in again.' });
+    }
 
-    const safeUser = { userid: user.userid, username: user.username, email: user.email, admin: user.admin };
-    res.json({ accessToken, user: safeUser });
+    const { data: user, error } = await supabase
+        .from('useraccount')
+        .select('*')
+        .eq('userid', payload.userId)
+        .maybeSingle();
+    if (error) throw error;
+    if (!user || !user.totp_enabled) {
+        return res.status(401).json({ message: 'Login challenge expired. Please log in again.' });
+    }
+
+    const lock = await guardLoginAttempt(accountKey(user.username));
+    if (lock) {
+        await recordLoginAttempt(req, { username: user.username, userid: user.userid, reason: 'locked' });
+        return accountLocked(res, lock);
+    }
+
+    if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+        await registerLoginFailure(req, { username: user.username, userid: user.userid, reason: 'bad_2fa' });
+        return res.status(401).json({ message: 'Invalid authentication code.' });
+    }
+
+    await completeLogin(req, res, user);
 }));
 
 
@@ -232,1340 +821,5237 @@ app.get('/protected', passport.authenticate('jwt', { session: false }), (req, re
 // Get current user profile
 app.get(
     '/api/me',
-    passport.authenticate('jwt', { session: false }),
+    requireUserOrToken,
+    requireScope('profile:read'),
     (req, res) => {
-        const { userid, username, email, admin } = req.user;
-        res.json({ user: { userid, username, email, admin } });
+        const {
+            userid, username, email, admin, email_verified, pending_email, totp_enabled, deletion_scheduled_for
+        } = req.user;
+        res.json({
+            user: { userid, username, email, admin, email_verified, pending_email, totp_enabled, deletion_scheduled_for }
+        });
     }
 );
 
 
-app.post('/api/logout', (req, res) => {
-    // 1) clear the old one
-    res.clearCookie('refreshToken', {
-        httpOnly: true,
-        secure: process.env.NODE_ENV === 'production',
-        sameSite: process.env.NODE_ENV === 'production' ? 'Strict' : 'Lax',
-        path: '/',            // must match the set path
-    });
+app.post('/api/logout', asyncHandler(async (req, res) => {
+    // 1) revoke the session behind the cookie, if it's one we know
+    const token = req.cookies.refreshToken;
+    if (token) {
+        const { data: row, error } = await supabase
+            .from('refresh_tokens')
+            .select('session_id')
+            .eq('token_hash', hashToken(token))
+            .maybeSingle();
+        if (error) throw error;
+        if (row) await revokeSession(row.session_id);
+    }
 
-    res.json({ message: 'Logged out' });
-});
+    // 2) clear the cookie
+    clearRefreshCookie(res);
 
+    res.json({ message: 'Logged out' });
+}));
 
 
+//
+// ───────────── ACTIVE SESSIONS ─────────────
+//
 
+// List the devices you're logged in on
+app.get(
+    '/api/sessions',
+    passport.authenticate('jwt', { session: false }),
+    asyncHandler(async (req, res) => {
+        const me = req.user.userid;
+        const currentId = req.authInfo?.sessionId;
 
+        const { data: rows, error } = await supabase
+            .from('user_sessions')
+            .select('id, user_agent, ip, created_at, last_used_at')
+            .eq('userid', me)
+            .is('revoked_at', null)
+            .gt('expires_at', new Date().toISOString())
+            .order('created_at', { ascending: false });
 
+        if (error) {
+            console.error('Error fetching sessions:', error);
+            return res.status(500).json({ error: 'Database error fetching sessions.' });
+        }
 
+        const sessions = (rows || []).map(s => ({
+            id: s.id,
+            userAgent: s.user_agent,
+            ip: s.ip,
+            createdAt: s.created_at,
+            lastUsedAt: s.last_used_at ?? s.created_at,
+            current: s.id === currentId
+        }));
 
+        res.json(sessions);
+    })
+);
 
-// Route to add a game into the GameInfo database
+// Log out everywhere except this device
 app.post(
-    '/add-game-to-database',
+    '/api/sessions/revoke-others',
     passport.authenticate('jwt', { session: false }),
     asyncHandler(async (req, res) => {
-        const { Name, Consoles } = req.body;             // <-- now Consoles is a JSON string
-        const consoleIds = JSON.parse(Consoles);         // e.g. [1, 5, 12]
+        await revokeOtherSessions(req.user.userid, req.authInfo?.sessionId);
+        const revokedTokens = await revokeApiTokens(req.user.userid);
+        res.json({ success: true, revokedTokens });
+    })
+);
 
-        if (!req.files?.CoverArt) {
-            return res.status(400).json({ error: 'CoverArt is required.' });
-        }
+// Log out a single session
+app.delete(
+    '/api/sessions/:id',
+    passport.authenticate('jwt', { session: false }),
+    asyncHandler(async (req, res) => {
+        const me = req.user.userid;
+        const sessionId = req.params.id;
 
-        // 1) Insert into gameinfo (without console column)
-        const coverArtBase64 = req.files.CoverArt.data.toString('base64');
-        const { data: inserted, error: insertError } = await supabase
-            .from('gameinfo')
-            .insert([{ name: Name, coverart: coverArtBase64 }])
-            .select('gameid')
-            .single();
+        const { data: session, error } = await supabase
+            .from('user_sessions')
+            .select('id')
+            .eq('id', sessionId)
+            .eq('userid', me)
+            .is('revoked_at', null)
+            .maybeSingle();
 
-        if (insertError) {
-            console.error('Error inserting gameinfo:', insertError.message);
-            return res.status(500).json({ error: 'Error adding game.', details: insertError.message });
+        if (error) {
+            console.error('Error fetching session:', error);
+            return res.status(500).json({ error: 'Database error fetching session.' });
         }
-        const gameid = inserted.gameid;
-
-        // 2) Insert into gameinfo_console for each platform
-        const links = consoleIds.map((cid) => ({
-            gameid,
-            consoleid: cid,
-        }));
-        const { error: linkError } = await supabase
-            .from('gameinfo_console')
-            .insert(links);
+        if (!session) return res.status(404).json({ error: 'Session not found.' });
 
-        if (linkError) {
-            console.error('Error linking consoles:', linkError.message);
-            return res
-                .status(500)
-                .json({ error: 'Game added but failed to link consoles.', details: linkError.message });
-        }
+        await revokeSession(session.id);
+        if (session.id === req.authInfo?.sessionId) clearRefreshCookie(res);
 
-        res.status(200).json({ message: 'Game added successfully.' });
+        res.json({ success: true });
     })
 );
 
 
+//
+// ───────────── TWO-FACTOR AUTH (TOTP) ─────────────
+//
 
-// Route for searching games based on a query
-app.get(
-    '/api/search',
-    passport.authenticate('jwt', { session: false }),
-    asyncHandler(async (req, res) => {
-        const searchQuery = req.query.q;
+// RFC 6238 codes: HMAC-SHA1, 6 digits, 30 second steps, ±1 step of clock drift.
+// useraccount holds totp_secret / totp_enabled, totp_pending_secret while
+// enrolling, and totp_last_step so a code can't be replayed.
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'CDD';
+const RECOVERY_CODE_COUNT = 10;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = buffer => {
+    let bits = '';
+    for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+    let out = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        out += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return out;
+};
 
-        if (!searchQuery) {
-            return res.status(400).json({ error: 'Search query is required.' });
-        }
+const base32Decode = str => {
+    let bits = '';
+    for (const char of str.replace(/=+$/, '').toUpperCase()) {
+        const value = BASE32_ALPHABET.indexOf(char);
+        if (value === -1) throw new Error('Invalid base32 character');
+        bits += value.toString(2).padStart(5, '0');
+    }
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    return Buffer.from(bytes);
+};
 
-        try {
-            const results = await searchGames(searchQuery);
-            res.json({ results });
-        } catch (error) {
-            console.error('Error searching games:', error);
-            res.status(500).json({ error: 'Error searching games.' });
-        }
-    })
-);
+function generateTotp(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
 
+// Returns the matching time step, or null. Steps at or before lastStep are
+// refused so each code works once.
+function verifyTotp(secret, code, lastStep = null) {
+    const clean = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(clean)) return null;
+
+    const current = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+    for (const step of [current - 1, current, current + 1]) {
+        if (lastStep != null && step <= lastStep) continue;
+        const expected = generateTotp(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(clean))) return step;
+    }
+    return null;
+}
 
+const normalizeRecoveryCode = code => String(code || '').toLowerCase().replace(/[^0-9a-f]/g, '');
 
-// Function to search games based on a query using Supabase
-async function searchGames(searchTerm) {
-    try {
-        // 1) First, get your basic game rows via your existing RPC
-        const { data: games, error: rpcError } = await supabase
-            .rpc('search_games_unaccent', { search_term: searchTerm });
-        if (rpcError) {
-            throw new Error('Error searching games (unaccent): ' + rpcError.message);
-        }
+// Replace the user's recovery codes; returns the plain codes to show once
+async function regenerateRecoveryCodes(userId) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () =>
+        crypto.randomBytes(8).toString('hex').match(/.{4}/g).join('-')
+    );
 
-        // If no games, early‐return []
-        if (!games || games.length === 0) return [];
+    const { error: delErr } = await supabase
+        .from('recovery_codes')
+        .delete()
+        .eq('userid', userId);
+    if (delErr) throw delErr;
 
-        // 2) Next, fetch all consoles for those GameIds in one go
-        const gameIds = games.map((g) => g.gameid);
-        const { data: consoleRows, error: consErr } = await supabase
-            .from('gameinfo_console')
-            .select('gameid, console:console ( consoleid, name )')
-            .in('gameid', gameIds);
-        if (consErr) throw consErr;
+    const { error: insErr } = await supabase
+        .from('recovery_codes')
+        .insert(codes.map(code => ({ userid: userId, code_hash: hashToken(normalizeRecoveryCode(code)) })));
+    if (insErr) throw insErr;
 
-        // 3) Build a map: gameid → [ {consoleid, name}, … ]
-        const consolesByGame = consoleRows.reduce((map, row) => {
-            if (!map[row.gameid]) map[row.gameid] = [];
-            map[row.gameid].push(row.console);
-            return map;
-        }, {});
+    return codes;
+}
 
-        // 4) Finally, merge consoles into your result shape
-        return games.map((g) => ({
-            GameId: g.gameid,
-            Name: g.name,
-            CoverArt: g.coverart,
-            // either the joined array, or empty if none
-            Consoles: consolesByGame[g.gameid] || []
-        }));
-    } catch (error) {
-        console.error('Error searching games with consoles:', error);
-        throw error;
+// Accepts either a current TOTP code or an unused recovery code
+async function verifySecondFactor(user, { code, recoveryCode }) {
+    if (recoveryCode) {
+        const { data: used, error } = await supabase
+            .from('recovery_codes')
+            .update({ used_at: new Date().toISOString() })
+            .eq('userid', user.userid)
+            .eq('code_hash', hashToken(normalizeRecoveryCode(recoveryCode)))
+            .is('used_at', null)
+            .select('id')
+            .maybeSingle();
+        if (error) throw error;
+        return Boolean(used);
     }
+
+    const step = verifyTotp(user.totp_secret, code, user.totp_last_step);
+    if (step == null) return false;
+
+    // Only moves forward: when two requests race with the same code, the
+    // second one updates nothing and counts as a replay
+    const { data: claimed, error } = await supabase
+        .from('useraccount')
+        .update({ totp_last_step: step })
+        .eq('userid', user.userid)
+        .or(`totp_last_step.is.null,totp_last_step.lt.${step}`)
+        .select('userid')
+        .maybeSingle();
+    if (error) throw error;
+    return Boolean(claimed);
 }
 
-//Check if a game is already in the wishlist
+const generateTwoFactorChallenge = user => jwt.sign(
+    { userId: user.userid },
+    deriveSecret('2fa-challenge'),
+    { expiresIn: '5m' }
+);
+
+// Current 2FA state
 app.get(
-    '/api/check-wishlist/:userId/:gameId',
+    '/api/2fa',
     passport.authenticate('jwt', { session: false }),
     asyncHandler(async (req, res) => {
-        const userId = Number(req.params.userId);
-        const gameId = Number(req.params.gameId);
+        const { count, error } = await supabase
+            .from('recovery_codes')
+            .select('*', { head: true, count: 'exact' })
+            .eq('userid', req.user.userid)
+            .is('used_at', null);
+        if (error) throw error;
 
-        // look for an entry in vgwishlist
-        const { data, error } = await supabase
-            .from('vgwishlist')
-            .select('userid, gameid')
-            .eq('userid', userId)
-            .eq('gameid', gameId);
+        res.json({
+            enabled: Boolean(req.user.totp_enabled),
+            recoveryCodesRemaining: req.user.totp_enabled ? Number(count || 0) : 0
+        });
+    })
+);
 
-        if (error) {
-            console.error('Error checking wishlist:', error.message);
-            return res.status(500).json({ error: 'Error checking wishlist.' });
+// 1) Start enrollment: new secret + otpauth:// URI for the authenticator app
+app.post(
+    '/api/2fa/setup',
+    passport.authenticate('jwt', { session: false }),
+    asyncHandler(async (req, res) => {
+        const user = req.user;
+        if (user.totp_enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is already enabled.' });
         }
 
-        return res.json({ hasWishlist: Array.isArray(data) && data.length > 0 });
-    })
-);
+        const secret = base32Encode(crypto.randomBytes(20));
+        const { error } = await supabase
+            .from('useraccount')
+            .update({ totp_pending_secret: secret })
+            .eq('userid', user.userid);
+        if (error) throw error;
 
+        const label = encodeURIComponent(`${TOTP_ISSUER}:${user.username}`);
+        const otpauthUri = `otpauth://totp/${label}?secret=${secret}`
+            + `&issuer=${encodeURIComponent(TOTP_ISSUER)}`
+            + `&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`;
 
+        res.json({ secret, otpauthUri });
+    })
+);
 
-// Add wishlist game to wishlist
+// 2) Finish enrollment with a code from the app; returns the recovery codes once
 app.post(
-    '/api/add-game-wishlist/:userId/:gameId',
+    '/api/2fa/activate',
     passport.authenticate('jwt', { session: false }),
     asyncHandler(async (req, res) => {
-        const userId = Number(req.params.userId);
-        const gameId = Number(req.params.gameId);
-        const { consoleIds } = req.body;      // array of ints
-
-        if (!Array.isArray(consoleIds) || consoleIds.length === 0) {
-            return res.status(400).json({ error: 'Must select at least one platform' });
+        const user = req.user;
+        if (!user.totp_pending_secret) {
+            return res.status(400).json({ error: 'Start two-factor setup first.' });
         }
 
-        // 1) insert into vgwishlist
-        const { data: wl, error: wErr } = await supabase
-            .from('vgwishlist')
-            .insert({ userid: userId, gameid: gameId })
-            .select('wishlistid')
-            .single();
-        if (wErr) {
-            console.error('Error creating wishlist record:', wErr);
-            return res.status(500).json({ error: 'Error creating wishlist' });
+        const step = verifyTotp(user.totp_pending_secret, req.body.code);
+        if (step == null) {
+            return res.status(400).json({ error: 'Invalid authentication code.' });
         }
 
-        // 2) insert join rows
-        const rows = consoleIds.map(consoleid => ({
-            wishlistid: wl.wishlistid,
-            consoleid
-        }));
-        const { error: wcErr } = await supabase
-            .from('vgwishlist_console')
-            .insert(rows);
-        if (wcErr) {
-            console.error('Error inserting wishlist consoles:', wcErr);
-            return res.status(500).json({ error: 'Error saving platforms' });
+        // Conditional on the pending secret, so a second concurrent request
+        // with the same code finds it gone
+        const { data: activated, error } = await supabase
+            .from('useraccount')
+            .update({
+                totp_secret: user.totp_pending_secret,
+                totp_pending_secret: null,
+                totp_enabled: true,
+                totp_last_step: step
+            })
+            .eq('userid', user.userid)
+            .eq('totp_pending_secret', user.totp_pending_secret)
+            .select('userid')
+            .maybeSingle();
+        if (error) throw error;
+        if (!activated) {
+            return res.status(400).json({ error: 'Start two-factor setup first.' });
         }
 
-        res.json({ message: 'Added to wishlist!' });
+        const recoveryCodes = await regenerateRecoveryCodes(user.userid);
+        res.json({ enabled: true, recoveryCodes });
     })
 );
 
-// Route to retrieve wishlist items for MyWishlist page
-app.get(
-    '/api/mywishlist/:userId',
+// Swap out the recovery codes (needs a current code)
+app.post(
+    '/api/2fa/recovery-codes',
     passport.authenticate('jwt', { session: false }),
     asyncHandler(async (req, res) => {
-        const userId = Number(req.params.userId);
+        const user = req.user;
+        if (!user.totp_enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is not enabled.' });
+        }
+        if (!(await verifySecondFactor(user, { code: req.body.code }))) {
+            return res.status(400).json({ error: 'Invalid authentication code.' });
+        }
 
-        try {
-            // 1️⃣ Get the user’s saved wishlist rows (wishlistid + gameid)
-            const { data: saved, error: sErr } = await supabase
-                .from('vgwishlist')
-                .select('wishlistid, gameid')
-                .eq('userid', userId);
-            if (sErr) {
-                console.error('Error fetching vgwishlist rows:', sErr.message);
-                return res.status(500).json({ error: 'Error fetching wishlist.' });
-            }
-            if (!saved.length) {
-                return res.json({ results: [] });
-            }
+        const recoveryCodes = await regenerateRecoveryCodes(user.userid);
+        res.json({ recoveryCodes });
+    })
+);
 
-            // 2️⃣ Pull basic game info
-            const gameIds = saved.map((r) => r.gameid);
-            const { data: games, error: gErr } = await supabase
-                .from('gameinfo')
-                .select('gameid, name, coverart')
-                .in('gameid', gameIds);
-            if (gErr) {
-                console.error('Error fetching gameinfo:', gErr.message);
-                return res.status(500).json({ error: 'Error fetching games.' });
-            }
+// Turn 2FA off (needs the password plus a code or recovery code)
+app.post(
+    '/api/2fa/disable',
+    passport.authenticate('jwt', { session: false }),
+    asyncHandler(async (req, res) => {
+        const user = req.user;
+        const { password, code, recoveryCode } = req.body;
 
-            // 3️⃣ Pull only the consoles the user picked for each wishlist row
-            const wlIds = saved.map((r) => r.wishlistid);
-            const { data: consoleRows, error: cErr } = await supabase
-                .from('vgwishlist_console')
-                .select('wishlistid, console:console ( consoleid, name )')
-                .in('wishlistid', wlIds);
-            if (cErr) {
-                console.error('Error fetching wishlist consoles:', cErr.message);
-                return res.status(500).json({ error: 'Error fetching consoles.' });
-            }
+        if (!user.totp_enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is not enabled.' });
+        }
+        if (!password || !user.password || !(await bcrypt.compare(password, user.password))) {
+            return res.status(401).json({ error: 'Incorrect password.' });
+        }
+        if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+            return res.status(400).json({ error: 'Invalid authentication code.' });
+        }
 
-            // 4️⃣ Build a lookup: wishlistid → [ {consoleid,name}, … ]
-            const consolesByWl = consoleRows.reduce((map, row) => {
-                map[row.wishlistid] = map[row.wishlistid] || [];
-                map[row.wishlistid].push(row.console);
-                return map;
-            }, {});
+        const { error } = await supabase
+            .from('useraccount')
+            .update({
+                totp_secret: null,
+                totp_pending_secret: null,
+                totp_enabled: false,
+                totp_last_step: null
+            })
+            .eq('userid', user.userid);
+        if (error) throw error;
 
-            // 5️⃣ Assemble final results
-            const results = saved.map(({ wishlistid, gameid }) => {
-                const g = games.find((x) => x.gameid === gameid) || {};
-                return {
-                    GameId: g.gameid,
-                    Name: g.name,
-                    CoverArt: g.coverart,
-                    Consoles: (consolesByWl[wishlistid] || []).sort((a, b) =>
-                        a.name.localeCompare(b.name)
-                    ),
-                };
-            });
+        const { error: delErr } = await supabase
+            .from('recovery_codes')
+            .delete()
+            .eq('userid', user.userid);
+        if (delErr) throw delErr;
 
-            res.json({ results });
-        } catch (err) {
-            console.error('Unexpected error in /api/mywishlist:', err.message);
-            res.status(500).json({ error: 'Internal server error fetching wishlist.' });
-        }
+        res.json({ enabled: false });
     })
 );
 
-// Remove wishlist game from wishlist
-app.delete('/api/removewishlist/:userId/:gameId', passport.authenticate('jwt', { session: false }), asyncHandler(async (req, res) => {
-    const { userId, gameId } = req.params;
-
-    try {
-        console.log(`Attempting to remove game with ID ${gameId} from wishlist of user with ID ${userId}`);
 
-        // Fetch the game first to see if it exists
-        const { data: existingGame, error: fetchError } = await supabase
-            .from('vgwishlist')
-            .select()
-            .eq('userid', userId)
-            .eq('gameid', gameId);
+//
+// ───────────── ACCESS TOKEN MANAGEMENT ─────────────
+//
 
-        if (fetchError) {
-            console.error('Error fetching game:', fetchError.message);
-            return res.status(500).json({ error: 'Error fetching game' });
-        }
+const apiTokenView = row => ({
+    id: row.id,
+    name: row.name,
+    prefix: row.token_prefix,
+    scopes: row.scopes || [],
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at ?? null,
+    expiresAt: row.expires_at ?? null
+});
 
-        console.log('Fetched game:', existingGame);
+// Browser sessions only: a token can't be used to mint or list tokens
 
-        if (!existingGame || existingGame.length === 0) {
-            console.log(`Game with ID ${gameId} not found in the wishlist of user with ID ${userId}`);
-            return res.status(404).json({ error: 'Game not found in the wishlist' });
+// List your active tokens
+app.get(
+    '/api/tokens',
+    passport.authenticate('jwt', { session: false }),
+    asyncHandler(async (req, res) => {
+        const { data, error } = await supabase
+            .from('api_tokens')
+            .select('id, name, token_prefix, scopes, created_at, last_used_at, expires_at')
+            .eq('userid', req.user.userid)
+            .is('revoked_at', null)
+            .order('created_at', { ascending: false });
+        if (error) {
+            console.error('Error fetching api tokens:', error);
+            return res.status(500).json({ error: 'Database error fetching tokens.' });
         }
 
-        // Remove the game from VGWishlist
-        const { data: removedGame, error: removeError } = await supabase
-            .from('vgwishlist')
-            .delete()
-            .eq('userid', userId)
-            .eq('gameid', gameId);
+        res.json({ tokens: (data || []).map(apiTokenView), availableScopes: API_TOKEN_SCOPES });
+    })
+);
 
-        if (removeError) {
-            console.error('Error in remove operation:', removeError.message);
-            return res.status(500).json({ error: 'Error removing game from wishlist' });
+// Create a token; the plain value is only ever returned here
+app.post(
+    '/api/tokens',
+    passport.authenticate('jwt', { session: false }),
+    asyncHandler(async (req, res) => {
+        const { name, scopes, expiresInDays } = req.body;
+
+        if (!name || typeof name !== 'string' || name.trim().length > 100) {
+            return res.status(400).json({ error: 'A token name (up to 100 characters) is required.' });
+        }
+        if (!Array.isArray(scopes) || scopes.length === 0) {
+            return res.status(400).json({ error: 'Pick at least one scope.' });
+        }
+        const unknown = scopes.filter(scope => !API_TOKEN_SCOPES.includes(scope));
+        if (unknown.length) {
+            return res.status(400).json({ error: `Unknown scopes: ${unknown.join(', ')}` });
+        }
+        if (expiresInDays != null && !(Number.isInteger(expiresInDays) && expiresInDays > 0 && expiresInDays <= 365)) {
+            return res.status(400).json({ error: 'expiresInDays must be a whole number from 1 to 365.' });
         }
 
-        console.log('Removed game:', removedGame);
+        const token = API_TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+        const { data: row, error } = await supabase
+            .from('api_tokens')
+            .insert({
+                userid: req.user.userid,
+                name: name.trim(),
+                token_hash: hashToken(token),
+                token_prefix: token.slice(0, API_TOKEN_PREFIX.length + 4),
+                scopes: [...new Set(scopes)],
+                expires_at: expiresInDays
+                    ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString()
+                    : null
+            })
+            .select('id, name, token_prefix, scopes, created_at, last_used_at, expires_at')
+            .single();
+        if (error) throw error;
 
-        if (removedGame == null) {
-            res.status(200).json({ message: 'Game removed successfully' });
-        } else {
-            console.log(`Game with ID ${gameId} not found in the wishlist of user with ID ${userId}`);
-            res.status(404).json({ error: 'Game not found in the wishlist' });
-        }
-    } catch (error) {
-        console.error('Error removing game from wishlist:', error.message);
-        res.status(500).json({ error: 'Error removing game from wishlist' });
-    }
-}));
+        res.status(201).json({ token, ...apiTokenView(row) });
+    })
+);
 
-// GET the consoles for a wishlist item
-app.get(
-    '/api/get-wishlist-details/:userId/:gameId',
+// Revoke a token
+app.delete(
+    '/api/tokens/:id',
     passport.authenticate('jwt', { session: false }),
     asyncHandler(async (req, res) => {
-        const userId = Number(req.params.userId);
-        const gameId = Number(req.params.gameId);
+        const { data: revoked, error } = await supabase
+            .from('api_tokens')
+            .update({ revoked_at: new Date().toISOString() })
+            .eq('id', req.params.id)
+            .eq('userid', req.user.userid)
+            .is('revoked_at', null)
+            .select('id')
+            .maybeSingle();
+        if (error) throw error;
+        if (!revoked) return res.status(404).json({ error: 'Token not found.' });
 
-        // 1) First grab the wishlistid
-        const { data: wl, error: wlErr } = await supabase
-            .from('vgwishlist')
-            .select('wishlistid')
-            .eq('userid', userId)
-            .eq('gameid', gameId)
-            .single();
+        res.json({ success: true });
+    })
+);
 
-        if (wlErr || !wl) {
-            console.error('Error fetching wishlist parent:', wlErr);
-            return res.status(404).json({ error: 'Wishlist item not found.' });
-        }
 
-        // 2) Now fetch child consoles for that wishlistid
-        const { data: rows, error } = await supabase
-            .from('vgwishlist_console')
-            .select('console ( consoleid, name )')
-            .eq('wishlistid', wl.wishlistid);
+//
+// ───────────── SOCIAL LOGIN (OIDC) ─────────────
+//
 
-        if (error) {
-            console.error('Error fetching wishlist consoles:', error);
-            return res.status(500).json({ error: 'Error fetching wishlist consoles.' });
-        }
+// Authorization code + PKCE against any OpenID Connect provider. Providers
+// come from OIDC_PROVIDERS, a JSON object keyed by provider id:
+//   {"google": {"issuer": "https://accounts.google.com", "clientId": "…",
+//               "clientSecret": "…", "name": "Google", "scope": "openid email profile"}}
+// A local mock issuer (http://localhost:…) works the same way. External
+// accounts are linked to useraccount rows through user_identities.
+const API_BASE_URL = process.env.API_BASE_URL || `http://localhost:${PORT}`;
+const OIDC_FLOW_TTL = '10m';
+const OIDC_CACHE_MS = 60 * 60 * 1000;
+
+const oidcProviders = (() => {
+    if (!process.env.OIDC_PROVIDERS) return {};
+    try {
+        return JSON.parse(process.env.OIDC_PROVIDERS);
+    } catch (err) {
+        throw new Error(`OIDC_PROVIDERS is not valid JSON: ${err.message}`);
+    }
+})();
 
-        // unwrap and return
-        const consoles = (rows || []).map(r => r.console);
-        res.json({ consoles });
-    })
-);
+const oidcRedirectUri = providerId => `${API_BASE_URL}/auth/oidc/${providerId}/callback`;
 
-// PUT update consoles on a wishlist entry
-app.put(
-    '/api/edit-wishlist/:userId/:gameId',
-    passport.authenticate('jwt', { session: false }),
-    asyncHandler(async (req, res) => {
-        const userId = Number(req.params.userId);
-        const gameId = Number(req.params.gameId);
-        const { consoleIds } = req.body;
+const oidcFlowCookieOptions = { ...refreshCookieOptions, path: '/auth/oidc' };
 
-        // 1) Fetch the wishlistid first
-        const { data: wl, error: wlErr } = await supabase
-            .from('vgwishlist')
-            .select('wishlistid')
-            .eq('userid', userId)
-            .eq('gameid', gameId)
-            .single();
-        if (wlErr || !wl) {
-            console.error('Error fetching wishlist parent:', wlErr);
-            return res.status(404).json({ error: 'Wishlist item not found.' });
-        }
-        const wishlistid = wl.wishlistid;
+const fetchJson = async (url, options) => {
+    const response = await fetch(url, options);
+    const body = await response.json().catch(() => null);
+    if (!response.ok) {
+        throw new Error(`${url} responded ${response.status}: ${body?.error_description || body?.error || ''}`);
+    }
+    return body;
+};
 
-        // 2) Delete old child links by wishlistid
-        const { error: delErr } = await supabase
-            .from('vgwishlist_console')
-            .delete()
-            .eq('wishlistid', wishlistid);
-        if (delErr) {
-            console.error('Error deleting old consoles:', delErr);
-            throw delErr;
-        }
+const discoveryCache = new Map();
+const jwksCache = new Map();
 
-        // 3) Insert new ones
-        if (Array.isArray(consoleIds) && consoleIds.length) {
-            const rows = consoleIds.map(cid => ({
-                wishlistid,
-                consoleid: cid
-            }));
-            const { error: insErr } = await supabase
-                .from('vgwishlist_console')
-                .insert(rows);
-            if (insErr) {
-                console.error('Error inserting new consoles:', insErr);
-                throw insErr;
+async function getOidcDiscovery(providerId) {
+    const cached = discoveryCache.get(providerId);
+    if (cached && Date.now() - cached.fetchedAt < OIDC_CACHE_MS) return cached.value;
+
+    const issuer = oidcProviders[providerId].issuer.replace(/\/$/, '');
+    const value = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+    discoveryCache.set(providerId, { value, fetchedAt: Date.now() });
+    return value;
+}
+
+// Signing key for an ID token; refetches the JWKS once when the kid is new (key rotation)
+async function getOidcSigningKey(providerId, kid) {
+    const findKey = keys => keys.find(k => (kid ? k.kid === kid : k.use !== 'enc'));
+
+    let cached = jwksCache.get(providerId);
+    let jwk = cached && Date.now() - cached.fetchedAt < OIDC_CACHE_MS ? findKey(cached.keys) : null;
+    if (!jwk) {
+        const { jwks_uri } = await getOidcDiscovery(providerId);
+        const { keys } = await fetchJson(jwks_uri);
+        cached = { keys, fetchedAt: Date.now() };
+        jwksCache.set(providerId, cached);
+        jwk = findKey(keys);
+    }
+    if (!jwk) throw new Error('No matching signing key for ID token');
+
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+}
+
+async function verifyIdToken(providerId, idToken, nonce) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded) throw new Error('Malformed ID token');
+
+    const discovery = await getOidcDiscovery(providerId);
+    const key = await getOidcSigningKey(providerId, decoded.header.kid);
+    const claims = jwt.verify(idToken, key, {
+        algorithms: ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384', 'ES512'],
+        issuer: discovery.issuer,
+        audience: oidcProviders[providerId].clientId
+    });
+    if (claims.nonce !== nonce) throw new Error('ID token nonce mismatch');
+    return claims;
+}
+
+async function exchangeOidcCode(providerId, code, codeVerifier) {
+    const provider = oidcProviders[providerId];
+    const { token_endpoint } = await getOidcDiscovery(providerId);
+
+    const form = new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: oidcRedirectUri(providerId),
+        client_id: provider.clientId,
+        code_verifier: codeVerifier
+    });
+    if (provider.clientSecret) form.set('client_secret', provider.clientSecret);
+
+    return fetchJson(token_endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+        body: form
+    });
+}
+
+// Username for a brand new account, based on whatever the provider tells us
+async function pickOidcUsername(claims) {
+    const base = (claims.preferred_username || claims.nickname || claims.email?.split('@')[0] || 'player')
+        .replace(/[^a-zA-Z0-9_]/g, '')
+        .slice(0, 20) || 'player';
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+        const candidate = attempt === 0 ? base : `${base}${crypto.randomInt(1000, 10000)}`;
+        const { data, error } = await supabase
+            .from('useraccount')
+            .select('userid')
+            .ilike('username', candidate);
+        if (error) throw error;
+        if (!data.length) return candidate;
+    }
+    throw new Error('Could not find a free username');
+}
+
+// Every OIDC outcome ends with a redirect back to the frontend
+const oidcRedirect = (res, pathAndQuery) => {
+    res.clearCookie('oidc_flow', oidcFlowCookieOptions);
+    res.redirect(`${FRONTEND_URL}${pathAndQuery}`);
+};
+
+const requireOidcProvider = (req, res, next) => {
+    if (oidcProviders[req.params.provider]) return next();
+    res.status(404).json({ error: 'Unknown login provider.' });
+};
+
+// Providers the login page can offer
+app.get('/auth/oidc/providers', (req, res) => {
+    res.json(Object.entries(oidcProviders).map(([id, p]) => ({ id, name: p.name || id })));
+});
+
+// Start a login (or, with ?link=<ticket>, an account link): off to the provider
+app.get(
+    '/auth/oidc/:provider/start',
+    loginRateLimit,
+    requireOidcProvider,
+    asyncHandler(async (req, res) => {
+        const providerId = req.params.provider;
+        const provider = oidcProviders[providerId];
+
+        let linkUserId = null;
+        if (req.query.link) {
+            try {
+                const ticket = jwt.verify(req.query.link, deriveSecret('oidc-link'));
+                if (ticket.provider !== providerId) throw new Error('Provider mismatch');
+                linkUserId = ticket.userId;
+            } catch (err) {
+                return oidcRedirect(res, '/profile?oauthError=link_expired');
             }
         }
 
-        res.status(200).json({ message: 'Wishlist updated successfully' });
+        const state = crypto.randomBytes(16).toString('base64url');
+        const nonce = crypto.randomBytes(16).toString('base64url');
+        const codeVerifier = crypto.randomBytes(32).toString('base64url');
+        const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+        // The flow details live in a signed cookie until the callback
+        res.cookie('oidc_flow', jwt.sign(
+            { provider: providerId, state, nonce, codeVerifier, linkUserId },
+            deriveSecret('oidc-flow'),
+            { expiresIn: OIDC_FLOW_TTL }
+        ), { ...oidcFlowCookieOptions, maxAge: 10 * 60 * 1000 });
+
+        const { authorization_endpoint } = await getOidcDiscovery(providerId);
+        const url = new URL(authorization_endpoint);
+        url.search = new URLSearchParams({
+            response_type: 'code',
+            client_id: provider.clientId,
+            redirect_uri: oidcRedirectUri(providerId),
+            scope: provider.scope || 'openid email profile',
+            state,
+            nonce,
+            code_challenge: codeChallenge,
+            code_challenge_method: 'S256'
+        }).toString();
+
+        res.redirect(url.toString());
     })
 );
 
-
-
-// Route to retrieve collection items for MyCollection page
+// The provider sends the browser back here
 app.get(
-    '/api/mycollection/:userId',
-    passport.authenticate('jwt', { session: false }),
+    '/auth/oidc/:provider/callback',
+    loginRateLimit,
+    requireOidcProvider,
     asyncHandler(async (req, res) => {
-        const userId = Number(req.params.userId);
+        const providerId = req.params.provider;
 
+        // 1) Match the callback to the flow we started
+        let flow;
         try {
-            // 1️⃣ Pull the user’s saved games (collectionid + gameid)
-            const { data: saved, error: sErr } = await supabase
-                .from('vgcollection')
-                .select('collectionid, gameid')
-                .eq('userid', userId);
-            if (sErr) {
-                console.error('Error fetching vgcollection rows:', sErr);
-                return res.status(500).json({ error: 'Error fetching collection rows.' });
-            }
-            if (saved.length === 0) {
-                return res.json({ results: [] });
+            flow = jwt.verify(req.cookies.oidc_flow, deriveSecret('oidc-flow'));
+        } catch (err) {
+            return oidcRedirect(res, '/login?oauthError=expired');
+        }
+        const errorPage = flow.linkUserId ? '/profile' : '/login';
+        if (req.query.error) {
+            return oidcRedirect(res, `${errorPage}?oauthError=${encodeURIComponent(req.query.error)}`);
+        }
+        if (flow.provider !== providerId || !req.query.state || req.query.state !== flow.state) {
+            return oidcRedirect(res, `${errorPage}?oauthError=state_mismatch`);
+        }
+
+        // 2) Swap the code for tokens and check the ID token
+        let claims;
+        try {
+            const tokens = await exchangeOidcCode(providerId, req.query.code, flow.codeVerifier);
+            claims = await verifyIdToken(providerId, tokens.id_token, flow.nonce);
+
+            if (!claims.email && tokens.access_token) {
+                const { userinfo_endpoint } = await getOidcDiscovery(providerId);
+                if (userinfo_endpoint) {
+                    const info = await fetchJson(userinfo_endpoint, {
+                        headers: { Authorization: `Bearer ${tokens.access_token}` }
+                    });
+                    if (info.sub === claims.sub) {
+                        claims = { ...claims, email: info.email, email_verified: info.email_verified };
+                    }
+                }
             }
+        } catch (err) {
+            console.error(`OIDC callback failed for ${providerId}:`, err.message);
+            return oidcRedirect(res, `${errorPage}?oauthError=provider_error`);
+        }
 
-            // Build two helper arrays:
-            const gameIds = saved.map((r) => r.gameid);
-            const vcIds = saved.map((r) => r.collectionid);
+        const { data: identity, error: idErr } = await supabase
+            .from('user_identities')
+            .select('id, userid')
+            .eq('provider', providerId)
+            .eq('subject', claims.sub)
+            .maybeSingle();
+        if (idErr) throw idErr;
 
-            // 2️⃣ Fetch base info from gameinfo
-            const { data: games, error: gErr } = await supabase
-                .from('gameinfo')
-                .select('gameid, name, coverart')
-                .in('gameid', gameIds);
-            if (gErr) {
-                console.error('Error fetching gameinfo:', gErr);
-                return res.status(500).json({ error: 'Error fetching games.' });
+        // 3a) Linking to the logged-in account
+        if (flow.linkUserId) {
+            if (identity && identity.userid !== flow.linkUserId) {
+                return oidcRedirect(res, '/profile?oauthError=identity_in_use');
             }
-
-            // 3️⃣ Fetch only the user‐picked consoles from vgcollection_console
-            const { data: ccRows, error: ccErr } = await supabase
-                .from('vgcollection_console')
-                .select('collectionid, console:console ( consoleid, name )')
-                .in('collectionid', vcIds);
-            if (ccErr) {
-                console.error('Error fetching user consoles:', ccErr);
-                return res.status(500).json({ error: 'Error fetching consoles.' });
+            if (!identity) {
+                const { error: linkErr } = await supabase
+                    .from('user_identities')
+                    .insert({
+                        userid: flow.linkUserId,
+                        provider: providerId,
+                        subject: claims.sub,
+                        email: claims.email ?? null
+                    });
+                if (linkErr) {
+                    console.error('Error linking identity:', linkErr);
+                    return oidcRedirect(res, '/profile?oauthError=link_failed');
+                }
             }
+            return oidcRedirect(res, `/profile?linked=${encodeURIComponent(providerId)}`);
+        }
 
-            // 4️⃣ Build a lookup: vgcollectionid → [ {consoleid,name}, … ]
-            const consolesByVg = ccRows.reduce((map, row) => {
-                map[row.collectionid] = map[row.collectionid] || [];
-                map[row.collectionid].push(row.console);
-                return map;
-            }, {});
+        // 3b) Logging in: existing link, or a fresh account
+        let user;
+        if (identity) {
+            const { data, error } = await supabase
+                .from('useraccount')
+                .select('*')
+                .eq('userid', identity.userid)
+                .single();
+            if (error) throw error;
+            user = data;
+
+            const { error: touchErr } = await supabase
+                .from('user_identities')
+                .update({ last_login_at: new Date().toISOString() })
+                .eq('id', identity.id);
+            if (touchErr) console.error('Error updating identity last_login_at:', touchErr.message);
+        } else {
+            if (!claims.email) return oidcRedirect(res, '/login?oauthError=email_required');
 
-            // 5️⃣ Assemble the final shape
-            const results = saved.map(({ collectionid, gameid }) => {
-                const g = games.find((x) => x.gameid === gameid) || {};
-                return {
-                    GameId: g.gameid,
-                    Name: g.name,
-                    CoverArt: g.coverart,
-                    Consoles: (consolesByVg[collectionid] || [])
-                        .sort((a, b) => a.name.localeCompare(b.name)),
-                };
-            });
+            // Never auto-link by email: the owner has to log in and link it themselves
+            const { data: existing, error: existErr } = await supabase
+                .from('useraccount')
+                .select('userid')
+                .eq('email', claims.email);
+            if (existErr) throw existErr;
+            if (existing.length) return oidcRedirect(res, '/login?oauthError=account_exists');
 
-            return res.json({ results });
-        } catch (error) {
-            console.error('Unexpected error in /api/mycollection:', error);
-            return res
-                .status(500)
-                .json({ error: 'Internal server error fetching collection.' });
+            const { data: created, error: createErr } = await supabase
+                .from('useraccount')
+                .insert({
+                    username: await pickOidcUsername(claims),
+                    email: claims.email,
+                    password: null,     // no password until they set one via reset
+                    admin: 0,
+                    email_verified: claims.email_verified === true
+                })
+                .select('*')
+                .single();
+            if (createErr) throw createErr;
+            user = created;
+
+            const { error: linkErr } = await supabase
+                .from('user_identities')
+                .insert({
+                    userid: user.userid,
+                    provider: providerId,
+                    subject: claims.sub,
+                    email: claims.email,
+                    last_login_at: new Date().toISOString()
+                });
+            if (linkErr) throw linkErr;
         }
-    })
-);
 
+        if (user.suspended_at) return oidcRedirect(res, '/login?oauthError=suspended');
 
-// Navigation from Search to check if the game details already exist for the game in collection
-app.get('/api/check-gamedetails/:userId/:gameId', passport.authenticate('jwt', { session: false }), asyncHandler(async (req, res) => {
-    const { userId, gameId } = req.params;
+        // 4) Same rules as /login: 2FA first if it's on
+        if (user.totp_enabled) {
+            return oidcRedirect(res, `/login/2fa#challenge=${generateTwoFactorChallenge(user)}`);
+        }
 
-    try {
-        const result = await checkGameDetails(userId, gameId);
+        // The frontend picks up its access token from /api/token/refresh
+        await startSession(req, res, user);
+        oidcRedirect(res, '/oauth/callback');
+    })
+);
 
-        res.json({ hasDetails: result });
-    } catch (error) {
-        console.error('Error checking GameDetails:', error.message);
-        res.status(500).json({ error: 'Error checking GameDetails.' });
-    }
-}));
+// Linked external accounts
+app.get(
+    '/api/identities',
+    passport.authenticate('jwt', { session: false }),
+    asyncHandler(async (req, res) => {
+        const { data, error } = await supabase
+            .from('user_identities')
+            .select('provider, email, created_at, last_login_at')
+            .eq('userid', req.user.userid);
+        if (error) {
+            console.error('Error fetching identities:', error);
+            return res.status(500).json({ error: 'Database error fetching linked accounts.' });
+        }
 
-// Function to check if game details exist for a game in the collection
-async function checkGameDetails(userId, gameId) {
-    const { data, error } = await supabase
-        .from('vgcollection')
-        .select('gamedetailsid')
-        .eq('userid', userId)
-        .eq('gameid', gameId)
-        .not('gamedetailsid', 'is', null);
+        res.json({ identities: data || [], hasPassword: Boolean(req.user.password) });
+    })
+);
 
-    if (error) {
-        console.error('Error checking game details:', error.message);
-        throw error;
+// Get a URL that links a provider to the logged-in account
+app.post(
+    '/api/identities/:provider/link',
+    passport.authenticate('jwt', { session: false }),
+    requireOidcProvider,
+    (req, res) => {
+        const ticket = jwt.sign(
+            { userId: req.user.userid, provider: req.params.provider },
+            deriveSecret('oidc-link'),
+            { expiresIn: '5m' }
+        );
+        res.json({
+            url: `${API_BASE_URL}/auth/oidc/${req.params.provider}/start?link=${encodeURIComponent(ticket)}`
+        });
     }
+);
 
-    return data.length > 0;
-}
-
-// Giving GameInfo to the GameDetails page for details addition
-app.get(
-    '/api/game-info/:gameId',
+// Unlink a provider, as long as some way to log in is left
+app.delete(
+    '/api/identities/:provider',
     passport.authenticate('jwt', { session: false }),
     asyncHandler(async (req, res) => {
-        const gameId = Number(req.params.gameId);
-        // 1️⃣ Fetch the core record
-        const { data: core, error: coreErr } = await supabase
-            .from('gameinfo')
-            .select('gameid, name, coverart')
-            .eq('gameid', gameId)
-            .single();
-        if (coreErr || !core) {
-            return res.status(404).json({ error: 'Game not found' });
+        const me = req.user.userid;
+
+        const { data: identities, error } = await supabase
+            .from('user_identities')
+            .select('id, provider')
+            .eq('userid', me);
+        if (error) throw error;
+
+        const target = identities.find(i => i.provider === req.params.provider);
+        if (!target) return res.status(404).json({ error: 'That provider is not linked.' });
+        if (!req.user.password && identities.length === 1) {
+            return res.status(400).json({ error: 'Set a password before unlinking your only login method.' });
         }
 
-        // 2️⃣ Fetch its consoles via the join table
-        const { data: joinRows, error: joinErr } = await supabase
-            .from('gameinfo_console')
-            .select('console:console ( consoleid, name )')
-            .eq('gameid', gameId);
-        if (joinErr) {
-            console.error('Error fetching consoles for game:', joinErr);
-            return res.status(500).json({ error: 'Error fetching consoles' });
+        await deleteIn('user_identities', 'id', [target.id]);
+        res.json({ success: true });
+    })
+);
+
+
+//
+// ───────────── PASSWORD RESET ─────────────
+//
+
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000; // 1 hour
+
+// Request a reset link. Always answers the same way so it can't be used
+// to find out which emails have accounts.
+app.post(
+    '/api/password/forgot',
+    mailRateLimit,
+    asyncHandler(async (req, res) => {
+        const { email } = req.body;
+        const genericReply = { message: 'If that email is registered, a reset link is on its way.' };
+
+        if (!email) {
+            return res.status(400).json({ error: 'Email is required.' });
         }
 
-        // 3️⃣ Extract the console objects
-        const consoles = joinRows.map((r) => r.console);
+        const { data: user, error: userErr } = await supabase
+            .from('useraccount')
+            .select('userid, username, email')
+            .eq('email', email)
+            .maybeSingle();
+        if (userErr) throw userErr;
+        if (!user) return res.json(genericReply);
 
-        // 4️⃣ Respond with the combined shape
-        res.status(200).json({
-            gameDetails: {
-                gameid: core.gameid,
-                name: core.name,
-                coverart: core.coverart,
-                consoles,            // ← your new array of { consoleid, name }
-            },
+        // 1) Drop any older unused tokens so only the newest link works
+        const { error: delErr } = await supabase
+            .from('password_reset_tokens')
+            .delete()
+            .eq('userid', user.userid)
+            .is('used_at', null);
+        if (delErr) throw delErr;
+
+        // 2) Store only the hash of the token we email out
+        const token = crypto.randomBytes(32).toString('hex');
+        const { error: insErr } = await supabase
+            .from('password_reset_tokens')
+            .insert({
+                userid: user.userid,
+                token_hash: hashToken(token),
+                expires_at: new Date(Date.now() + PASSWORD_RESET_TTL_MS).toISOString()
+            });
+        if (insErr) throw insErr;
+
+        // 3) Send the link
+        const link = `${FRONTEND_URL}/reset-password?token=${token}`;
+        await sendMail({
+            to: user.email,
+            subject: 'Reset your password',
+            text: `Hi ${user.username},\n\n`
+                + `Use the link below to choose a new password. It expires in 1 hour and can only be used once.\n\n`
+                + `${link}\n\n`
+                + `If you didn't ask for this, you can ignore this email.`
         });
+
+        res.json(genericReply);
     })
 );
 
-
-// Adding Game Details + Game VGCollection Record
+// Redeem a reset token and set the new password
 app.post(
-    '/api/add-game-details/:userId/:gameId',
-    passport.authenticate('jwt', { session: false }),
+    '/api/password/reset',
     asyncHandler(async (req, res) => {
-        const userId = Number(req.params.userId);
-        const gameId = Number(req.params.gameId);
+        const { token, newPassword } = req.body;
 
-        // Pull everything directly out of req.body
-        const {
-            ownership,
-            included,
-            checkboxes,
-            notes,
-            completion,
-            review,
-            spoiler,
-            price,
-            rating,
-            consoleIds     // ← now exists at top‐level
-        } = req.body;
+        if (!token || !newPassword) {
+            return res.status(400).json({ error: 'Token and new password are required.' });
+        }
 
+        // 1) Mark the token used; the used_at filter makes this single-use
+        //    even if two requests race with the same token
+        const { data: resetRow, error: claimErr } = await supabase
+            .from('password_reset_tokens')
+            .update({ used_at: new Date().toISOString() })
+            .eq('token_hash', hashToken(token))
+            .is('used_at', null)
+            .gt('expires_at', new Date().toISOString())
+            .select('userid')
+            .maybeSingle();
+        if (claimErr) throw claimErr;
+        if (!resetRow) {
+            return res.status(400).json({ error: 'Invalid or expired reset token.' });
+        }
+
+        // 2) Save the new password
+        const hashed = await bcrypt.hash(newPassword, 10);
+        const { error: updErr } = await supabase
+            .from('useraccount')
+            .update({ password: hashed })
+            .eq('userid', resetRow.userid);
+        if (updErr) throw updErr;
+
+        // 3) Log out every existing session and revoke personal access tokens
+        await revokeAllSessions(resetRow.userid);
+        await revokeApiTokens(resetRow.userid);
+
+        res.json({ message: 'Password has been reset. Please log in again.' });
+    })
+);
+
+
+//
+// ───────────── EMAIL VERIFICATION ─────────────
+//
+
+const EMAIL_VERIFICATION_TTL = '24h';
+const EMAIL_RESEND_COOLDOWN_MS = 60 * 1000;
+
+// The token carries the address it confirms, so a link for an older
+// pending address stops working once the user asks for a different one
+const generateEmailVerificationToken = (userId, email) => jwt.sign(
+    { userId, email },
+    deriveSecret('email-verification'),
+    { expiresIn: EMAIL_VERIFICATION_TTL }
+);
+
+async function sendVerificationEmail(user, email) {
+    const token = generateEmailVerificationToken(user.userid, email);
+    const link = `${FRONTEND_URL}/verify-email?token=${token}`;
+
+    await sendMail({
+        to: email,
+        subject: 'Confirm your email address',
+        text: `Hi ${user.username},\n\n`
+            + `Please confirm ${email} by opening the link below. It expires in 24 hours.\n\n`
+            + `${link}\n\n`
+            + `If you didn't request this, you can ignore this email.`
+    });
+
+    const { error } = await supabase
+        .from('useraccount')
+        .update({ email_verification_sent_at: new Date().toISOString() })
+        .eq('userid', user.userid);
+    if (error) throw error;
+}
+
+// Gate for features that reach other users (friend requests, messaging)
+const requireVerifiedEmail = (req, res, next) => {
+    if (req.user.email_verified) return next();
+    res.status(403).json({ error: 'Please verify your email address first.' });
+};
+
+// Confirm an address from the emailed link
+app.post(
+    '/api/email/verify',
+    asyncHandler(async (req, res) => {
+        const { token } = req.body;
+        if (!token) return res.status(400).json({ error: 'Token is required.' });
+
+        let payload;
         try {
-            // Call a helper that takes each field separately
-            await insertGameDetailsAndCollection(userId, gameId, {
-                ownership,
-                included,
-                checkboxes,
-                notes,
-                completion,
-                review,
-                spoiler,
-                price,
-                rating,
-                consoleIds
-            });
+            payload = jwt.verify(token, deriveSecret('email-verification'));
+        } catch (err) {
+            return res.status(400).json({ error: 'Invalid or expired verification link.' });
+        }
 
-            return res.status(200).json({ message: 'Game details added successfully!' });
-        } catch (error) {
-            console.error('Error adding game details:', error);
-            return res.status(500).json({ error: 'Error adding game details.' });
+        const { data: user, error: userErr } = await supabase
+            .from('useraccount')
+            .select('userid, email, email_verified, pending_email')
+            .eq('userid', payload.userId)
+            .maybeSingle();
+        if (userErr) throw userErr;
+        if (!user) return res.status(400).json({ error: 'Invalid or expired verification link.' });
+
+        // 1) Pending change: promote the new address, unless someone took it meanwhile
+        if (user.pending_email && user.pending_email === payload.email) {
+            const { data: taken, error: takenErr } = await supabase
+                .from('useraccount')
+                .select('userid')
+                .eq('email', payload.email)
+                .neq('userid', user.userid);
+            if (takenErr) throw takenErr;
+            if (taken.length) {
+                return res.status(409).json({ error: 'Email in use.' });
+            }
+
+            const { error: updErr } = await supabase
+                .from('useraccount')
+                .update({ email: payload.email, pending_email: null, email_verified: true })
+                .eq('userid', user.userid);
+            if (updErr) throw updErr;
+
+            // Same as a password change: every session has to log in again
+            await revokeAllSessions(user.userid);
+            clearRefreshCookie(res);
+
+            return res.json({ message: 'Email address confirmed.', email: payload.email });
+        }
+
+        // 2) Address set at registration
+        if (user.email === payload.email) {
+            if (!user.email_verified) {
+                const { error: updErr } = await supabase
+                    .from('useraccount')
+                    .update({ email_verified: true })
+                    .eq('userid', user.userid);
+                if (updErr) throw updErr;
+            }
+            return res.json({ message: 'Email address confirmed.', email: user.email });
         }
+
+        res.status(400).json({ error: 'This verification link is no longer valid.' });
+    })
+);
+
+// Send the confirmation mail again (pending change first, else the unverified address)
+app.post(
+    '/api/email/verification/resend',
+    passport.authenticate('jwt', { session: false }),
+    asyncHandler(async (req, res) => {
+        const user = req.user;
+        const target = user.pending_email || (!user.email_verified ? user.email : null);
+
+        if (!target) {
+            return res.status(400).json({ error: 'Your email address is already verified.' });
+        }
+
+        const lastSent = user.email_verification_sent_at
+            ? new Date(user.email_verification_sent_at).getTime()
+            : 0;
+        const waitMs = lastSent + EMAIL_RESEND_COOLDOWN_MS - Date.now();
+        if (waitMs > 0) {
+            res.set('Retry-After', String(Math.ceil(waitMs / 1000)));
+            return res.status(429).json({ error: 'Please wait before requesting another email.' });
+        }
+
+        await sendVerificationEmail(user, target);
+        res.json({ message: `Verification email sent to ${target}.` });
     })
 );
 
-async function insertGameDetailsAndCollection(userId, gameId, data) {
-    const {
-        ownership,
-        included,
-        checkboxes,
-        notes,
-        completion,
-        review,
-        spoiler,
-        price,
-        rating,
-        consoleIds
-    } = data;
 
-    // 1️⃣ Insert into gamedetails
-    const { data: gd, error: gdErr } = await supabase
-        .from('gamedetails')
-        .insert({
-            ownership,
-            included,
-            condition: Array.isArray(checkboxes) ? checkboxes.join(', ') : checkboxes,
-            notes,
-            completion,
-            review,
-            spoiler: spoiler ? 1 : 0,
-            price,
-            rating
-        })
-        .select('gamedetailsid')
-        .single();
-    if (gdErr) throw gdErr;
 
-    // 2️⃣ Insert into vgcollection
-    const { data: vc, error: vcErr } = await supabase
-        .from('vgcollection')
-        .insert({
-            userid: userId,
-            gameid: gameId,
-            gamedetailsid: gd.gamedetailsid
-        })
-        .select('collectionid')
-        .single();
-    if (vcErr) throw vcErr;
 
-    // 3️⃣ Insert chosen consoles
-    if (Array.isArray(consoleIds) && consoleIds.length) {
-        const rows = consoleIds.map((cid) => ({
-            collectionid: vc.collectionid,
-            consoleid: cid,
-        }));
-        const { error: ccErr } = await supabase
-            .from('vgcollection_console')
-            .insert(rows);
-        if (ccErr) throw ccErr;
-    }
 
-    return true;
-}
 
 
-// Remove a game from the collection
-app.delete('/api/removecollection/:userId/:gameId', passport.authenticate('jwt', { session: false }), asyncHandler(async (req, res) => {
-    const userId = req.params.userId;
-    const gameId = req.params.gameId;
 
+
+//
+// ───────────── GAME METADATA ─────────────
+//
+
+// Canonical genre names; input is matched case-insensitively
+const GENRES = [
+    'Action', 'Adventure', 'Arcade', 'Fighting', 'Platformer', 'Puzzle', 'Racing',
+    'RPG', 'Shooter', 'Simulation', 'Sports', 'Strategy', 'Party', 'Rhythm',
+    'Horror', 'Visual Novel', 'Educational', 'Compilation'
+];
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 30;
+const MAX_DESCRIPTION_LENGTH = 5000;
+const MAX_ALIASES = 20;
+const METADATA_COLUMNS = 'publisher, developer, description, genres, tags, aliases';
+
+// List fields arrive as JSON strings from multipart forms, or as arrays from JSON bodies
+const parseListField = value => {
+    if (typeof value !== 'string') return value;
     try {
-        // Fetch collection data for the game
-        const { data: collectionData, error: collectionError } = await supabase
-            .from('vgcollection')
-            .select('collectionid, gamedetailsid')
-            .eq('userid', userId)
-            .eq('gameid', gameId)
-            .single();
+        return JSON.parse(value);
+    } catch (err) {
+        return undefined;
+    }
+};
 
-        if (collectionError) {
-            console.error('Error fetching collection data:', collectionError.message);
-            return res.status(500).json({ error: 'Error fetching collection data' });
+const isIsoDate = value =>
+    typeof value === 'string' &&
+    /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+    !Number.isNaN(Date.parse(value)) &&
+    new Date(value).toISOString().slice(0, 10) === value;
+
+// Validate Publisher, Developer, Description, Genres, Tags and ReleaseDates.
+// Only fields present in the body are returned: `fields` are gameinfo
+// columns, `releaseDates` (when given) replaces the game's release dates.
+function parseGameMetadata(body) {
+    const fields = {};
+    const optionalText = value => (value === null || String(value).trim() === '' ? null : String(value).trim());
+
+    for (const [key, column] of [['Publisher', 'publisher'], ['Developer', 'developer']]) {
+        if (body[key] === undefined) continue;
+        fields[column] = optionalText(body[key]);
+        if (fields[column] && fields[column].length > 100) {
+            return { error: `${key} must be 100 characters or fewer.` };
         }
+    }
 
-        if (collectionData) {
-            const vgCollectionId = collectionData.collectionid;
-            const gameDetailsId = collectionData.gamedetailsid;
+    if (body.Description !== undefined) {
+        fields.description = optionalText(body.Description);
+        if (fields.description && fields.description.length > MAX_DESCRIPTION_LENGTH) {
+            return { error: `Description must be ${MAX_DESCRIPTION_LENGTH} characters or fewer.` };
+        }
+    }
 
-            console.log(`Fetched collection data: VGCollectionId=${vgCollectionId}, GameDetailsId=${gameDetailsId}`);
+    if (body.Genres !== undefined) {
+        const genres = parseListField(body.Genres);
+        if (!Array.isArray(genres)) return { error: 'Genres must be a list.' };
+        const canonical = genres.map(g => GENRES.find(known => known.toLowerCase() === String(g).trim().toLowerCase()));
+        if (canonical.includes(undefined)) {
+            return { error: `Genres must be from: ${GENRES.join(', ')}.` };
+        }
+        fields.genres = [...new Set(canonical)];
+    }
 
-            if (vgCollectionId && gameDetailsId) {
-                // Remove the game from VGCollection
-                await removeGameFromCollection(userId, gameId);
+    if (body.Tags !== undefined) {
+        const tags = parseListField(body.Tags);
+        if (!Array.isArray(tags)) return { error: 'Tags must be a list.' };
+        const cleaned = [...new Set(tags.map(t => String(t).trim().toLowerCase()).filter(Boolean))];
+        if (cleaned.length > MAX_TAGS || cleaned.some(t => t.length > MAX_TAG_LENGTH)) {
+            return { error: `Up to ${MAX_TAGS} tags of at most ${MAX_TAG_LENGTH} characters each.` };
+        }
+        fields.tags = cleaned;
+    }
 
-                // Remove the associated GameDetails record
-                await removeGameDetails(gameDetailsId);
+    // Alternate titles: abbreviations, regional names ("FF7", "Biohazard")
+    if (body.Aliases !== undefined) {
+        const aliases = parseListField(body.Aliases);
+        if (!Array.isArray(aliases)) return { error: 'Aliases must be a list.' };
+        const seen = new Set();
+        const cleaned = aliases
+            .map(a => String(a).trim())
+            .filter(a => a && !seen.has(normalizeGameName(a)) && seen.add(normalizeGameName(a)));
+        if (cleaned.length > MAX_ALIASES || cleaned.some(a => a.length > 100)) {
+            return { error: `Up to ${MAX_ALIASES} aliases of at most 100 characters each.` };
+        }
+        fields.aliases = cleaned;
+    }
 
-                res.status(200).json({ message: 'Game removed successfully' });
-            } else {
-                console.warn('No valid VGCollectionId or GameDetailsId found');
-                res.status(404).json({ error: 'Invalid collection data' });
+    let releaseDates;
+    if (body.ReleaseDates !== undefined) {
+        const entries = parseListField(body.ReleaseDates);
+        if (!Array.isArray(entries)) return { error: 'ReleaseDates must be a list.' };
+
+        releaseDates = [];
+        const seen = new Set();
+        for (const entry of entries) {
+            const consoleid = Number(entry?.consoleid);
+            const region = entry?.region;
+            if (!Number.isInteger(consoleid) || !REGIONS.includes(region) || !isIsoDate(entry?.date)) {
+                return { error: `Each release date needs a consoleid, a region (${REGIONS.join(', ')}) and a date (YYYY-MM-DD).` };
             }
-        } else {
-            res.status(404).json({ error: 'Game not found in the collection' });
+            const key = `${consoleid}:${region}`;
+            if (seen.has(key)) return { error: 'Only one release date per console and region.' };
+            seen.add(key);
+            releaseDates.push({ consoleid, region, release_date: entry.date });
         }
-    } catch (error) {
-        console.error('Error removing game from collection:', error.message);
-        res.status(500).json({ error: 'Error removing game from collection' });
     }
-}));
 
-// Function to remove a game from the collection
-async function removeGameFromCollection(userId, gameId) {
-    const { error } = await supabase
-        .from('vgcollection')
-        .delete()
-        .eq('userid', userId)
-        .eq('gameid', gameId);
+    return { fields, releaseDates };
+}
 
-    if (error) {
-        console.error('Error removing game from collection:', error.message);
-        throw error;
+// Release dates can only be given for consoles the game is on
+const releaseDatesOutsideConsoles = (releaseDates, consoleIds) =>
+    releaseDates.some(d => !consoleIds.includes(d.consoleid));
+
+// Make game_release_dates for a game exactly match `releaseDates`
+async function setReleaseDates(gameId, releaseDates) {
+    await deleteIn('game_release_dates', 'gameid', [gameId]);
+    if (releaseDates.length) {
+        const { error } = await supabase
+            .from('game_release_dates')
+            .insert(releaseDates.map(d => ({ ...d, gameid: gameId })));
+        if (error) throw error;
     }
 }
 
-// Function to remove a GameDetails record
-async function removeGameDetails(gameDetailsId) {
-    if (!gameDetailsId) {
-        console.error('Invalid gameDetailsId:', gameDetailsId);
-        throw new Error('Invalid gameDetailsId');
-    }
+// gameid → release dates (earliest first) for a batch of games
+async function fetchReleaseDates(gameIds) {
+    const rows = await selectIn(
+        'game_release_dates',
+        'gameid, region, release_date, console:console ( consoleid, name )',
+        'gameid',
+        gameIds
+    );
+    rows.sort((a, b) => a.release_date.localeCompare(b.release_date));
+
+    return rows.reduce((map, row) => {
+        (map[row.gameid] = map[row.gameid] || []).push({
+            consoleid: row.console?.consoleid,
+            console: row.console?.name,
+            region: row.region,
+            date: row.release_date
+        });
+        return map;
+    }, {});
+}
 
-    const { error } = await supabase
-        .from('gamedetails')
-        .delete()
-        .eq('gamedetailsid', gameDetailsId);
+// Insert a catalog entry together with its cover, consoles and release dates.
+// Shared by /add-game-to-database and the importer; if any step fails the
+// half-created game is removed again and the error rethrown.
+async function createGame({
+    name, consoleIds, metadata = {}, releaseDates = [], coverVariants,
+    status, submittedBy = null, importSource = null, importExternalId = null
+}) {
+    const { data: inserted, error } = await supabase
+        .from('gameinfo')
+        .insert([{
+            name,
+            ...metadata,
+            status,
+            submitted_by: submittedBy,
+            import_source: importSource,
+            import_external_id: importExternalId
+        }])
+        .select('gameid')
+        .single();
+    if (error) throw error;
+    const gameId = inserted.gameid;
 
-    if (error) {
-        console.error('Error removing game details:', error.message);
-        throw error;
+    try {
+        const cover = coverVariants ? await storeCoverArt(supabase, gameId, coverVariants) : null;
+        await setGameConsoles(gameId, consoleIds.map(Number));
+        if (releaseDates?.length) await setReleaseDates(gameId, releaseDates);
+        return { gameId, cover };
+    } catch (err) {
+        await deleteGame(gameId).catch(cleanupErr =>
+            console.error(`Error cleaning up game ${gameId}:`, cleanupErr.message));
+        throw err;
     }
 }
 
+// Remove a game and everything hanging off the catalog entry itself
+// (callers make sure no collection or wishlist still points at it)
+async function deleteGame(gameId) {
+    await deleteIn('gameinfo_console', 'gameid', [gameId]);
+    await deleteIn('game_release_dates', 'gameid', [gameId]);
+    await deleteIn('game_barcodes', 'gameid', [gameId]);
+    await deleteIn('barcode_submissions', 'gameid', [gameId]);
+    await deleteIn('gameinfo', 'gameid', [gameId]);
+    await removeCoverArt(supabase, gameId);
+}
 
-// Replace your old get-game-details with this:
 app.get(
-    '/api/get-game-details/:userId/:gameId',
-    passport.authenticate('jwt', { session: false }),
-    asyncHandler(async (req, res) => {
-        const userId = Number(req.params.userId);
-        const gameId = Number(req.params.gameId);
+    '/api/genres',
+    requireUserOrToken,
+    requireScope('catalog:read'),
+    (req, res) => res.json({ results: GENRES })
+);
 
-        try {
-            // Fetch the VGCollection row, join in the user-picked consoles
-            const { data, error } = await supabase
-                .from('vgcollection')
-                .select(`
-          gameinfo (
-            gameid,
-            name,
-            coverart
-          ),
-          vgcollection_console (
-            console (
-              consoleid,
-              name
-            )
-          ),
-          gamedetails (
-            ownership,
-            included,
-            condition,
-            notes,
-            price,
-            completion,
-            rating,
-            review,
-            spoiler
-          )
-        `)
-                .eq('userid', userId)
-                .eq('gameid', gameId)
-                .single();
 
-            if (error) {
-                console.error('Error fetching game details:', error.message);
-                return res.status(500).json({ error: 'Error fetching game details.' });
-            }
-            if (!data) {
-                return res.status(404).json({ error: 'Game details not found' });
-            }
+// Route to add a game into the GameInfo database
+app.post(
+    '/add-game-to-database',
+    requireUserOrToken,
+    requireScope('catalog:write'),
+    asyncHandler(async (req, res) => {
+        const { Name, Consoles } = req.body;             // <-- now Consoles is a JSON string
+        const consoleIds = parseConsoleIds(Consoles);    // e.g. [1, 5, 12]
+        if (!consoleIds) {
+            return res.status(400).json({ error: 'Consoles must be a list of console ids.' });
+        }
+
+        if (!req.files?.CoverArt) {
+            return res.status(400).json({ error: 'CoverArt is required.' });
+        }
 
-            // Pull out the consoles the user actually picked
-            const consoles = (data.vgcollection_console || []).map((j) => j.console);
+        // Optional metadata: Publisher, Developer, Description, Genres, Tags, ReleaseDates
+        const { fields: metadata, releaseDates, error: metadataError } = parseGameMetadata(req.body);
+        if (metadataError) return res.status(400).json({ error: metadataError });
+        if (releaseDates && releaseDatesOutsideConsoles(releaseDates, consoleIds)) {
+            return res.status(400).json({ error: 'Release dates must be for one of the selected consoles.' });
+        }
 
-            // Turn the condition string back into an array
-            const conditionArr = data.gamedetails.condition
-                ? data.gamedetails.condition.split(',').map((c) => c.trim())
-                : [];
+        // 0) Resize the cover up front so a bad upload never creates a game
+        let coverVariants;
+        try {
+            coverVariants = await renderCoverArt(req.files.CoverArt.data);
+        } catch (err) {
+            if (!err.invalidImage) throw err;
+            return res.status(400).json({ error: 'CoverArt must be an image.' });
+        }
 
-            res.json({
-                gameinfo: {
-                    gameid: data.gameinfo.gameid,
-                    name: data.gameinfo.name,
-                    coverart: data.gameinfo.coverart,
-                    consoles    // <-- user‐picked consoles only
-                },
-                gamedetails: {
-                    ...data.gamedetails,
-                    condition: conditionArr
-                }
+        // 1) Create the entry with its cover, consoles and release dates.
+        //    Submissions from regular users wait in the moderation queue;
+        //    admins publish directly.
+        const status = isAdmin(req.user) ? 'approved' : 'pending';
+        let created;
+        try {
+            created = await createGame({
+                name: Name,
+                consoleIds,
+                metadata,
+                releaseDates,
+                coverVariants,
+                status,
+                submittedBy: req.user.userid
             });
         } catch (err) {
-            console.error('Unexpected error fetching game details:', err.message);
-            res.status(500).json({ error: 'Error fetching game details.' });
+            console.error('Error adding game:', err.message);
+            return res.status(500).json({ error: 'Error adding game.', details: err.message });
         }
+
+        res.status(200).json({
+            message: status === 'approved'
+                ? 'Game added successfully.'
+                : 'Game submitted for review. You can already add it to your own collection.',
+            gameId: created.gameId,
+            status,
+            Cover: created.cover
+        });
     })
 );
 
 
-// Add this new route to your server code
-app.put('/api/edit-game-details/:userId/:gameId', passport.authenticate('jwt', { session: false }), async (req, res) => {
-    const userId = parseInt(req.params.userId, 10);
-    const gameId = parseInt(req.params.gameId, 10);
-    const gameDetails = req.body;
 
-    try {
-        // Call the editGameDetails function with the provided parameters
-        const success = await editGameDetails(userId, gameId, gameDetails);
+// Route for searching games based on a query
+app.get(
+    '/api/search',
+    requireUserOrToken,
+    requireScope('catalog:read'),
+    asyncHandler(async (req, res) => {
+        const searchQuery = req.query.q;
 
-        if (success) {
-            res.status(200).json({ message: 'Game details updated successfully' });
-        } else {
-            res.status(500).json({ message: 'Failed to update game details' });
+        if (!searchQuery) {
+            return res.status(400).json({ error: 'Search query is required.' });
         }
-    } catch (error) {
-        console.error('Error updating game details:', error);
-        res.status(500).json({ message: 'Internal server error' });
-    }
-});
-
-// Function to update game details
-async function editGameDetails(userId, gameId, gameDetails) {
-    const {
-        ownership,
-        included,
-        checkboxes,
-        notes,
-        gameCompletion: completion,
-        review,
-        spoiler: spoiler,
-        price,
-        rating,
-        consoleIds   // ← array of consoleid from client
-    } = gameDetails;
 
-    const condition = Array.isArray(checkboxes)
-        ? checkboxes.join(',')
-        : checkboxes;
+        // Paging, sorting and filters; see searchGames for what each one does
+        const limit = Math.min(Math.max(Number(req.query.limit) || SEARCH_PAGE_SIZE, 1), SEARCH_MAX_PAGE_SIZE);
+        const offset = Math.max(Number(req.query.offset) || 0, 0);
+        const sort = req.query.sort || 'relevance';
+        // Most popular first unless asked otherwise
+        const order = req.query.order
+            ? (req.query.order === 'desc' ? 'desc' : 'asc')
+            : (sort === 'popularity' ? 'desc' : 'asc');
+        if (!SEARCH_SORTS.includes(sort)) {
+            return res.status(400).json({ error: `sort must be one of ${SEARCH_SORTS.join(', ')}.` });
+        }
 
-    const spoilerValue = Number(spoiler) === 1 ? 1 : 0;
+        const consoles = req.query.console
+            ? String(req.query.console).split(',').map(Number)
+            : [];
+        if (!consoles.every(Number.isInteger)) {
+            return res.status(400).json({ error: 'console must be a comma-separated list of console ids.' });
+        }
 
-    try {
-        // 1) get the vgcollection record, including its collectionid & gamedetailsid
-        const { data: vgcol, error: vgcolErr } = await supabase
-            .from('vgcollection')
-            .select('collectionid, gamedetailsid')
-            .eq('userid', userId)
-            .eq('gameid', gameId)
-            .single();
-        if (vgcolErr || !vgcol) {
-            console.error('fetch vgcollection failed:', vgcolErr);
-            return false;
+        let genre = null;
+        if (req.query.genre) {
+            genre = GENRES.find((g) => g.toLowerCase() === String(req.query.genre).toLowerCase());
+            if (!genre) return res.status(400).json({ error: `genre must be one of ${GENRES.join(', ')}.` });
         }
 
-        const { collectionid, gamedetailsid } = vgcol;
+        // year=1994 or year=1990-1999
+        let yearFrom = null;
+        let yearTo = null;
+        if (req.query.year) {
+            const match = /^(\d{4})(?:-(\d{4}))?$/.exec(String(req.query.year));
+            if (!match) return res.status(400).json({ error: 'year must look like 1994 or 1990-1999.' });
+            yearFrom = Number(match[1]);
+            yearTo = Number(match[2] || match[1]);
+        }
 
-        // 2) update the gamedetails row
-        const { error: updErr } = await supabase
-            .from('gamedetails')
-            .update({
+        try {
+            const { results, total, facets } = await searchGames(searchQuery, req.user, {
+                consoles, genre, yearFrom, yearTo, sort, order, limit, offset
+            });
+            res.json({ results, total, limit, offset, facets });
+        } catch (error) {
+            console.error('Error searching games:', error);
+            res.status(500).json({ error: 'Error searching games.' });
+        }
+    })
+);
+
+
+
+const SEARCH_PAGE_SIZE = 24;
+const SEARCH_MAX_PAGE_SIZE = 100;
+const SEARCH_SORTS = ['relevance', 'name', 'release_date', 'popularity'];
+
+// Cover fields shared by every list response: CoverArt keeps its old name
+// but is now the medium rendition's URL; Cover has all three sizes.
+const coverFields = (game) => {
+    const cover = coverUrls(game);
+    return { CoverArt: cover?.medium ?? null, Cover: cover };
+};
+
+// Function to search games based on a query using Supabase
+// Approved games are public; a submission still in moderation (or rejected)
+// is only visible to, and usable by, the user who submitted it
+const gameVisibleTo = (game, userId) =>
+    Boolean(game) && (game.status === 'approved' || game.submitted_by === userId);
+
+// Route guard for /:userId/:gameId routes that add a game to a collection or wishlist
+const requireVisibleGame = asyncHandler(async (req, res, next) => {
+    const { data: game, error } = await supabase
+        .from('gameinfo')
+        .select('gameid, status, submitted_by')
+        .eq('gameid', Number(req.params.gameId))
+        .maybeSingle();
+    if (error) throw error;
+    if (!gameVisibleTo(game, Number(req.params.userId))) {
+        return res.status(404).json({ error: 'Game not found' });
+    }
+    next();
+});
+
+// Search options (all optional):
+//   consoles  console ids; a game matches if it's on any of them
+//   genre     canonical genre name
+//   yearFrom, yearTo  released (anywhere) within these years
+//   sort      relevance (match score) | name | release_date | popularity
+//   order     asc | desc
+//   limit, offset
+// Returns { results, total, facets } where facets.consoles counts matches
+// per console with every filter applied except the console one. Filtering,
+// facets, sorting and paging run in the database (search_catalog); only the
+// requested page is loaded in full.
+async function searchGames(searchTerm, viewer, options = {}) {
+    const {
+        consoles = [], genre = null, yearFrom = null, yearTo = null,
+        sort = 'relevance', order = 'asc', limit = SEARCH_PAGE_SIZE, offset = 0
+    } = options;
+
+    try {
+        // 1) Typo-tolerant matching (pg_trgm, see match_games), visibility,
+        //    filters, facets, sort and the page itself
+        const { data: found, error } = await supabase.rpc('search_catalog', {
+            p_term: searchTerm,
+            p_viewer: viewer.userid,
+            p_consoles: consoles,
+            p_genre: genre,
+            p_year_from: yearFrom,
+            p_year_to: yearTo,
+            p_sort: sort,
+            p_order: order,
+            p_limit: limit,
+            p_offset: offset
+        });
+        if (error) throw new Error('Error searching games: ' + error.message);
+
+        const page = found.results;
+        const facets = { consoles: found.facets };
+        if (page.length === 0) return { results: [], total: found.total, facets };
+
+        // 2) Details and consoles for the games on this page
+        const gameIds = page.map((g) => g.gameid);
+        const infoRows = await selectIn(
+            'gameinfo',
+            `gameid, name, status, ${COVER_COLUMNS}, ${METADATA_COLUMNS}`,
+            'gameid',
+            gameIds
+        );
+        const infoById = new Map(infoRows.map((r) => [r.gameid, r]));
+        const consoleRows = await selectIn(
+            'gameinfo_console',
+            'gameid, console:console ( consoleid, name )',
+            'gameid',
+            gameIds
+        );
+        const consolesByGame = consoleRows.reduce((map, row) => {
+            if (!map[row.gameid]) map[row.gameid] = [];
+            map[row.gameid].push(row.console);
+            return map;
+        }, {});
+
+        // 3) Your result shape, in the order search_catalog put them
+        const results = page.map((g) => {
+            const info = infoById.get(g.gameid);
+            return {
+                GameId: g.gameid,
+                Name: info.name,
+                ...coverFields(info),
+                Status: info.status,
+                Publisher: info.publisher,
+                Developer: info.developer,
+                Genres: info.genres || [],
+                Tags: info.tags || [],
+                // earliest release anywhere
+                ReleaseDate: g.release_date,
+                // either the joined array, or empty if none
+                Consoles: consolesByGame[g.gameid] || [],
+                Aliases: info.aliases || [],
+                // set when the query matched an alternate title rather than the name
+                MatchedAlias: g.alias,
+                Relevance: Math.round(g.score * 1000) / 1000,
+                // collections plus wishlists the game is in
+                Popularity: g.popularity
+            };
+        });
+
+        return { results, total: found.total, facets };
+    } catch (error) {
+        console.error('Error searching games with consoles:', error);
+        throw error;
+    }
+}
+
+// .in() lists travel in the URL, so large id lists are fetched in chunks
+async function selectIn(table, columns, column, values, chunkSize = 200) {
+    const rows = [];
+    for (let i = 0; i < values.length; i += chunkSize) {
+        const { data, error } = await supabase
+            .from(table)
+            .select(columns)
+            .in(column, values.slice(i, i + chunkSize));
+        if (error) throw error;
+        rows.push(...data);
+    }
+    return rows;
+}
+
+// Type-ahead suggestions: the best title matches (?q=, ?limit= up to 20)
+app.get(
+    '/api/search/autocomplete',
+    requireUserOrToken,
+    requireScope('catalog:read'),
+    asyncHandler(async (req, res) => {
+        const q = String(req.query.q || '').trim();
+        const limit = Math.min(Math.max(Number(req.query.limit) || 8, 1), 20);
+        if (q.length < 2) return res.json({ results: [] });
+
+        const { data: matches, error } = await supabase.rpc('match_games', {
+            p_term: q,
+            p_viewer: req.user.userid,
+            p_limit: limit
+        });
+        if (error) throw error;
+
+        const results = matches.map(m => ({
+            GameId: m.gameid,
+            Name: m.name,
+            MatchedAlias: m.alias,
+            CoverThumb: m.cover_thumb_url || null
+        }));
+
+        res.json({ results });
+    })
+);
+
+
+//Check if a game is already in the wishlist
+app.get(
+    '/api/check-wishlist/:userId/:gameId',
+    requireUserOrToken,
+    requireScope('wishlist:read'),
+    requireSelfOrAdmin(),
+    asyncHandler(async (req, res) => {
+        const userId = Number(req.params.userId);
+        const gameId = Number(req.params.gameId);
+
+        // look for an entry in vgwishlist
+        const { data, error } = await supabase
+            .from('vgwishlist')
+            .select('userid, gameid')
+            .eq('userid', userId)
+            .eq('gameid', gameId);
+
+        if (error) {
+            console.error('Error checking wishlist:', error.message);
+            return res.status(500).json({ error: 'Error checking wishlist.' });
+        }
+
+        return res.json({ hasWishlist: Array.isArray(data) && data.length > 0 });
+    })
+);
+
+
+
+// Add wishlist game to wishlist
+app.post(
+    '/api/add-game-wishlist/:userId/:gameId',
+    requireUserOrToken,
+    requireScope('wishlist:write'),
+    requireSelfOrAdmin(),
+    requireVisibleGame,
+    asyncHandler(async (req, res) => {
+        const userId = Number(req.params.userId);
+        const gameId = Number(req.params.gameId);
+        const { consoleIds } = req.body;      // array of ints
+
+        if (!Array.isArray(consoleIds) || consoleIds.length === 0) {
+            return res.status(400).json({ error: 'Must select at least one platform' });
+        }
+
+        // The wishlist row and its platforms are written in one transaction
+        // (add_wishlist_item in supabase/migrations)
+        const { error } = await supabase.rpc('add_wishlist_item', {
+            p_userid: userId,
+            p_gameid: gameId,
+            p_console_ids: consoleIds.map(Number)
+        });
+        if (error) {
+            console.error('Error creating wishlist record:', error);
+            return res.status(500).json({ error: 'Error creating wishlist' });
+        }
+
+        res.json({ message: 'Added to wishlist!' });
+    })
+);
+
+// Route to retrieve wishlist items for MyWishlist page
+app.get(
+    '/api/mywishlist/:userId',
+    requireUserOrToken,
+    requireScope('wishlist:read'),
+    requireSelfOrAdmin(),
+    asyncHandler(async (req, res) => {
+        const userId = Number(req.params.userId);
+
+        try {
+            // 1️⃣ Get the user’s saved wishlist rows (wishlistid + gameid)
+            const { data: saved, error: sErr } = await supabase
+                .from('vgwishlist')
+                .select('wishlistid, gameid')
+                .eq('userid', userId);
+            if (sErr) {
+                console.error('Error fetching vgwishlist rows:', sErr.message);
+                return res.status(500).json({ error: 'Error fetching wishlist.' });
+            }
+            if (!saved.length) {
+                return res.json({ results: [] });
+            }
+
+            // 2️⃣ Pull basic game info
+            const gameIds = saved.map((r) => r.gameid);
+            const { data: games, error: gErr } = await supabase
+                .from('gameinfo')
+                .select(`gameid, name, ${COVER_COLUMNS}`)
+                .in('gameid', gameIds);
+            if (gErr) {
+                console.error('Error fetching gameinfo:', gErr.message);
+                return res.status(500).json({ error: 'Error fetching games.' });
+            }
+
+            // 3️⃣ Pull only the consoles the user picked for each wishlist row
+            const wlIds = saved.map((r) => r.wishlistid);
+            const { data: consoleRows, error: cErr } = await supabase
+                .from('vgwishlist_console')
+                .select('wishlistid, console:console ( consoleid, name )')
+                .in('wishlistid', wlIds);
+            if (cErr) {
+                console.error('Error fetching wishlist consoles:', cErr.message);
+                return res.status(500).json({ error: 'Error fetching consoles.' });
+            }
+
+            // 4️⃣ Build a lookup: wishlistid → [ {consoleid,name}, … ]
+            const consolesByWl = consoleRows.reduce((map, row) => {
+                map[row.wishlistid] = map[row.wishlistid] || [];
+                map[row.wishlistid].push(row.console);
+                return map;
+            }, {});
+
+            // 5️⃣ Assemble final results
+            const results = saved.map(({ wishlistid, gameid }) => {
+                const g = games.find((x) => x.gameid === gameid) || {};
+                return {
+                    GameId: g.gameid,
+                    Name: g.name,
+                    ...coverFields(g),
+                    Consoles: (consolesByWl[wishlistid] || []).sort((a, b) =>
+                        a.name.localeCompare(b.name)
+                    ),
+                };
+            });
+
+            res.json({ results });
+        } catch (err) {
+            console.error('Unexpected error in /api/mywishlist:', err.message);
+            res.status(500).json({ error: 'Internal server error fetching wishlist.' });
+        }
+    })
+);
+
+// Remove wishlist game from wishlist
+app.delete('/api/removewishlist/:userId/:gameId', requireUserOrToken, requireScope('wishlist:write'), requireSelfOrAdmin(), asyncHandler(async (req, res) => {
+    const { userId, gameId } = req.params;
+
+    try {
+        console.log(`Attempting to remove game with ID ${gameId} from wishlist of user with ID ${userId}`);
+
+        // Fetch the game first to see if it exists
+        const { data: existingGame, error: fetchError } = await supabase
+            .from('vgwishlist')
+            .select()
+            .eq('userid', userId)
+            .eq('gameid', gameId);
+
+        if (fetchError) {
+            console.error('Error fetching game:', fetchError.message);
+            return res.status(500).json({ error: 'Error fetching game' });
+        }
+
+        console.log('Fetched game:', existingGame);
+
+        if (!existingGame || existingGame.length === 0) {
+            console.log(`Game with ID ${gameId} not found in the wishlist of user with ID ${userId}`);
+            return res.status(404).json({ error: 'Game not found in the wishlist' });
+        }
+
+        // Remove the game from VGWishlist
+        const { data: removedGame, error: removeError } = await supabase
+            .from('vgwishlist')
+            .delete()
+            .eq('userid', userId)
+            .eq('gameid', gameId);
+
+        if (removeError) {
+            console.error('Error in remove operation:', removeError.message);
+            return res.status(500).json({ error: 'Error removing game from wishlist' });
+        }
+
+        console.log('Removed game:', removedGame);
+
+        if (removedGame == null) {
+            res.status(200).json({ message: 'Game removed successfully' });
+        } else {
+            console.log(`Game with ID ${gameId} not found in the wishlist of user with ID ${userId}`);
+            res.status(404).json({ error: 'Game not found in the wishlist' });
+        }
+    } catch (error) {
+        console.error('Error removing game from wishlist:', error.message);
+        res.status(500).json({ error: 'Error removing game from wishlist' });
+    }
+}));
+
+// GET the consoles for a wishlist item
+app.get(
+    '/api/get-wishlist-details/:userId/:gameId',
+    requireUserOrToken,
+    requireScope('wishlist:read'),
+    requireSelfOrAdmin(),
+    asyncHandler(async (req, res) => {
+        const userId = Number(req.params.userId);
+        const gameId = Number(req.params.gameId);
+
+        // 1) First grab the wishlistid
+        const { data: wl, error: wlErr } = await supabase
+            .from('vgwishlist')
+            .select('wishlistid')
+            .eq('userid', userId)
+            .eq('gameid', gameId)
+            .single();
+
+        if (wlErr || !wl) {
+            console.error('Error fetching wishlist parent:', wlErr);
+            return res.status(404).json({ error: 'Wishlist item not found.' });
+        }
+
+        // 2) Now fetch child consoles for that wishlistid
+        const { data: rows, error } = await supabase
+            .from('vgwishlist_console')
+            .select('console ( consoleid, name )')
+            .eq('wishlistid', wl.wishlistid);
+
+        if (error) {
+            console.error('Error fetching wishlist consoles:', error);
+            return res.status(500).json({ error: 'Error fetching wishlist consoles.' });
+        }
+
+        // unwrap and return
+        const consoles = (rows || []).map(r => r.console);
+        res.json({ consoles });
+    })
+);
+
+// PUT update consoles on a wishlist entry
+app.put(
+    '/api/edit-wishlist/:userId/:gameId',
+    requireUserOrToken,
+    requireScope('wishlist:write'),
+    requireSelfOrAdmin(),
+    asyncHandler(async (req, res) => {
+        const userId = Number(req.params.userId);
+        const gameId = Number(req.params.gameId);
+        const { consoleIds } = req.body;
+
+        // 1) Fetch the wishlistid first
+        const { data: wl, error: wlErr } = await supabase
+            .from('vgwishlist')
+            .select('wishlistid')
+            .eq('userid', userId)
+            .eq('gameid', gameId)
+            .single();
+        if (wlErr || !wl) {
+            console.error('Error fetching wishlist parent:', wlErr);
+            return res.status(404).json({ error: 'Wishlist item not found.' });
+        }
+        const wishlistid = wl.wishlistid;
+
+        // 2) Delete old child links by wishlistid
+        const { error: delErr } = await supabase
+            .from('vgwishlist_console')
+            .delete()
+            .eq('wishlistid', wishlistid);
+        if (delErr) {
+            console.error('Error deleting old consoles:', delErr);
+            throw delErr;
+        }
+
+        // 3) Insert new ones
+        if (Array.isArray(consoleIds) && consoleIds.length) {
+            const rows = consoleIds.map(cid => ({
+                wishlistid,
+                consoleid: cid
+            }));
+            const { error: insErr } = await supabase
+                .from('vgwishlist_console')
+                .insert(rows);
+            if (insErr) {
+                console.error('Error inserting new consoles:', insErr);
+                throw insErr;
+            }
+        }
+
+        res.status(200).json({ message: 'Wishlist updated successfully' });
+    })
+);
+
+
+
+// Route to retrieve collection items for MyCollection page
+app.get(
+    '/api/mycollection/:userId',
+    requireUserOrToken,
+    requireScope('collection:read'),
+    requireSelfOrAdmin(),
+    asyncHandler(async (req, res) => {
+        const userId = Number(req.params.userId);
+
+        try {
+            // 1️⃣ Pull the user’s saved games (collectionid + gameid)
+            const { data: saved, error: sErr } = await supabase
+                .from('vgcollection')
+                .select('collectionid, gameid')
+                .eq('userid', userId);
+            if (sErr) {
+                console.error('Error fetching vgcollection rows:', sErr);
+                return res.status(500).json({ error: 'Error fetching collection rows.' });
+            }
+            if (saved.length === 0) {
+                return res.json({ results: [] });
+            }
+
+            // Build two helper arrays:
+            const gameIds = saved.map((r) => r.gameid);
+            const vcIds = saved.map((r) => r.collectionid);
+
+            // 2️⃣ Fetch base info from gameinfo
+            const { data: games, error: gErr } = await supabase
+                .from('gameinfo')
+                .select(`gameid, name, ${COVER_COLUMNS}`)
+                .in('gameid', gameIds);
+            if (gErr) {
+                console.error('Error fetching gameinfo:', gErr);
+                return res.status(500).json({ error: 'Error fetching games.' });
+            }
+
+            // 3️⃣ Fetch only the user‐picked consoles from vgcollection_console
+            const { data: ccRows, error: ccErr } = await supabase
+                .from('vgcollection_console')
+                .select('collectionid, console:console ( consoleid, name )')
+                .in('collectionid', vcIds);
+            if (ccErr) {
+                console.error('Error fetching user consoles:', ccErr);
+                return res.status(500).json({ error: 'Error fetching consoles.' });
+            }
+
+            // 4️⃣ Build a lookup: vgcollectionid → [ {consoleid,name}, … ]
+            const consolesByVg = ccRows.reduce((map, row) => {
+                map[row.collectionid] = map[row.collectionid] || [];
+                map[row.collectionid].push(row.console);
+                return map;
+            }, {});
+
+            // 5️⃣ Assemble the final shape
+            // One entry per owned copy; CollectionId tells copies of a game apart
+            const results = saved.map(({ collectionid, gameid }) => {
+                const g = games.find((x) => x.gameid === gameid) || {};
+                return {
+                    CollectionId: collectionid,
+                    GameId: g.gameid,
+                    Name: g.name,
+                    ...coverFields(g),
+                    Consoles: (consolesByVg[collectionid] || [])
+                        .sort((a, b) => a.name.localeCompare(b.name)),
+                };
+            });
+
+            return res.json({ results });
+        } catch (error) {
+            console.error('Unexpected error in /api/mycollection:', error);
+            return res
+                .status(500)
+                .json({ error: 'Internal server error fetching collection.' });
+        }
+    })
+);
+
+
+// Navigation from Search to check if the game details already exist for the game in collection
+app.get('/api/check-gamedetails/:userId/:gameId', requireUserOrToken, requireScope('collection:read'), requireSelfOrAdmin(), asyncHandler(async (req, res) => {
+    const { userId, gameId } = req.params;
+
+    try {
+        const copies = await checkGameDetails(userId, gameId);
+
+        res.json({ hasDetails: copies > 0, copies });
+    } catch (error) {
+        console.error('Error checking GameDetails:', error.message);
+        res.status(500).json({ error: 'Error checking GameDetails.' });
+    }
+}));
+
+// Function to count the copies of a game in the collection that have details
+async function checkGameDetails(userId, gameId) {
+    const { data, error } = await supabase
+        .from('vgcollection')
+        .select('gamedetailsid')
+        .eq('userid', userId)
+        .eq('gameid', gameId)
+        .not('gamedetailsid', 'is', null);
+
+    if (error) {
+        console.error('Error checking game details:', error.message);
+        throw error;
+    }
+
+    return data.length;
+}
+
+// Giving GameInfo to the GameDetails page for details addition
+app.get(
+    '/api/game-info/:gameId',
+    requireUserOrToken,
+    requireScope('catalog:read'),
+    asyncHandler(async (req, res) => {
+        const gameId = Number(req.params.gameId);
+        // 1️⃣ Fetch the core record
+        const { data: core, error: coreErr } = await supabase
+            .from('gameinfo')
+            .select(`gameid, name, ${COVER_COLUMNS}, ${METADATA_COLUMNS}, status, submitted_by, rejection_reason`)
+            .eq('gameid', gameId)
+            .single();
+        if (coreErr || !core || !(isAdmin(req.user) || gameVisibleTo(core, req.user.userid))) {
+            return res.status(404).json({ error: 'Game not found' });
+        }
+
+        // 2️⃣ Fetch its consoles via the join table
+        const { data: joinRows, error: joinErr } = await supabase
+            .from('gameinfo_console')
+            .select('console:console ( consoleid, name )')
+            .eq('gameid', gameId);
+        if (joinErr) {
+            console.error('Error fetching consoles for game:', joinErr);
+            return res.status(500).json({ error: 'Error fetching consoles' });
+        }
+
+        // 3️⃣ Extract the console objects
+        const consoles = joinRows.map((r) => r.console);
+        const releaseDates = (await fetchReleaseDates([gameId]))[gameId] || [];
+
+        // 4️⃣ Respond with the combined shape
+        res.status(200).json({
+            gameDetails: {
+                gameid: core.gameid,
+                name: core.name,
+                coverart: coverUrls(core)?.medium ?? null,
+                cover: coverUrls(core),
+                consoles,            // ← your new array of { consoleid, name }
+                publisher: core.publisher,
+                developer: core.developer,
+                description: core.description,
+                genres: core.genres || [],
+                tags: core.tags || [],
+                aliases: core.aliases || [],
+                release_dates: releaseDates,   // [{ consoleid, console, region, date }], earliest first
+                status: core.status,
+                rejection_reason: core.status === 'rejected' ? core.rejection_reason : null,
+            },
+        });
+    })
+);
+
+
+// Adding Game Details + Game VGCollection Record
+app.post(
+    '/api/add-game-details/:userId/:gameId',
+    requireUserOrToken,
+    requireScope('collection:write'),
+    requireSelfOrAdmin(),
+    requireVisibleGame,
+    asyncHandler(async (req, res) => {
+        const userId = Number(req.params.userId);
+        const gameId = Number(req.params.gameId);
+
+        // Pull everything directly out of req.body
+        const {
+            ownership,
+            included,
+            checkboxes,
+            notes,
+            completion,
+            review,
+            spoiler,
+            price,
+            rating,
+            consoleIds,    // ← now exists at top‐level
+            platforms      // ← optional per-console detail blocks
+        } = req.body;
+
+        const platformError = await validatePlatforms(platforms, consoleIds, gameId);
+        if (platformError) return res.status(400).json({ error: platformError });
+
+        try {
+            // Call a helper that takes each field separately. Every call adds
+            // another copy, so owning the same game twice is fine.
+            const collectionId = await insertGameDetailsAndCollection(userId, gameId, {
                 ownership,
                 included,
-                condition,
+                checkboxes,
                 notes,
                 completion,
                 review,
-                spoiler: spoilerValue,
+                spoiler,
                 price,
-                rating
+                rating,
+                consoleIds,
+                platforms
+            });
+
+            return res.status(200).json({ message: 'Game details added successfully!', collectionId });
+        } catch (error) {
+            console.error('Error adding game details:', error);
+            return res.status(500).json({ error: 'Error adding game details.' });
+        }
+    })
+);
+
+// Per-console detail blocks: [{ consoleId, ownership, included, checkboxes,
+// notes, completion, review, spoiler, price, rating }], one per console, for
+// consoles the copy is on (consoleIds) and the game was released on.
+// Consoles without a block share the copy's own details.
+// Resolves to an error message, or null when the blocks are fine.
+async function validatePlatforms(platforms, consoleIds, gameId) {
+    if (platforms === undefined || platforms === null) return null;
+    if (!Array.isArray(platforms)) return 'platforms must be a list.';
+    const picked = new Set(consoleIdsPayload(consoleIds));
+    const seen = new Set();
+    for (const p of platforms) {
+        const consoleId = Number(p?.consoleId);
+        if (!Number.isInteger(consoleId)) return 'Each platform needs a consoleId.';
+        if (seen.has(consoleId)) return 'Only one details block per console.';
+        if (!picked.has(consoleId)) return `Console ${consoleId} has a details block but is not in consoleIds.`;
+        seen.add(consoleId);
+    }
+    if (!seen.size) return null;
+
+    const { data: links, error } = await supabase
+        .from('gameinfo_console')
+        .select('consoleid')
+        .eq('gameid', gameId);
+    if (error) throw error;
+    const released = new Set(links.map(l => Number(l.consoleid)));
+    const missing = [...seen].filter(id => !released.has(id));
+    if (missing.length) return `The game is not on console(s): ${missing.join(', ')}.`;
+    return null;
+}
+
+// A gamedetails row (column name → value) from the fields the client sends,
+// when adding a copy and when editing one
+function gameDetailsRow(details) {
+    const { ownership, included, checkboxes, notes, completion, review, spoiler, price, rating } = details;
+    return {
+        ownership,
+        included,
+        condition: Array.isArray(checkboxes) ? checkboxes.join(', ') : checkboxes,
+        notes,
+        completion,
+        review,
+        spoiler: Number(spoiler) === 1 ? 1 : 0,
+        price,
+        rating
+    };
+}
+
+// Platform blocks as the collection functions in supabase/migrations take them
+const platformsPayload = platforms => (platforms || []).map(block => ({
+    consoleid: Number(block.consoleId),
+    details: gameDetailsRow(block)
+}));
+
+const consoleIdsPayload = consoleIds => (Array.isArray(consoleIds) ? consoleIds.map(Number) : []);
+
+// Add one copy: the details, the vgcollection row and its consoles are
+// written in a single transaction (add_collection_item), so a failure
+// leaves nothing behind
+async function insertGameDetailsAndCollection(userId, gameId, data) {
+    const { consoleIds, platforms } = data;
+
+    const { data: collectionId, error } = await supabase.rpc('add_collection_item', {
+        p_userid: userId,
+        p_gameid: gameId,
+        p_details: gameDetailsRow(data),
+        p_console_ids: consoleIdsPayload(consoleIds),
+        p_platforms: platformsPayload(platforms)
+    });
+    if (error) throw error;
+
+    return collectionId;
+}
+
+
+// Remove a game from the collection, every copy of it
+// (DELETE /api/collection/items/:collectionId removes a single copy)
+app.delete('/api/removecollection/:userId/:gameId', requireUserOrToken, requireScope('collection:write'), requireSelfOrAdmin(), asyncHandler(async (req, res) => {
+    const userId = req.params.userId;
+    const gameId = req.params.gameId;
+
+    try {
+        // Fetch collection data for the game
+        const { data: copies, error: collectionError } = await supabase
+            .from('vgcollection')
+            .select('collectionid, gamedetailsid')
+            .eq('userid', userId)
+            .eq('gameid', gameId);
+
+        if (collectionError) {
+            console.error('Error fetching collection data:', collectionError.message);
+            return res.status(500).json({ error: 'Error fetching collection data' });
+        }
+
+        if (!copies.length) {
+            return res.status(404).json({ error: 'Game not found in the collection' });
+        }
+
+        await removeCollectionItems(copies);
+        res.status(200).json({ message: 'Game removed successfully', removed: copies.length });
+    } catch (error) {
+        console.error('Error removing game from collection:', error.message);
+        res.status(500).json({ error: 'Error removing game from collection' });
+    }
+}));
+
+// Function to remove collection copies along with their consoles and details,
+// all in one transaction (remove_collection_items)
+async function removeCollectionItems(items) {
+    if (!items.length) return;
+    const { error } = await supabase.rpc('remove_collection_items', {
+        p_collection_ids: items.map(i => i.collectionid)
+    });
+    if (error) throw error;
+}
+
+
+// Replace your old get-game-details with this:
+app.get(
+    '/api/get-game-details/:userId/:gameId',
+    requireUserOrToken,
+    requireScope('collection:read'),
+    requireSelfOrAdmin(),
+    asyncHandler(async (req, res) => {
+        const userId = Number(req.params.userId);
+        const gameId = Number(req.params.gameId);
+
+        try {
+            // Fetch the user's copies of the game, join in the user-picked consoles
+            const { data: copies, error } = await supabase
+                .from('vgcollection')
+                .select(COLLECTION_ITEM_COLUMNS)
+                .eq('userid', userId)
+                .eq('gameid', gameId)
+                .order('collectionid', { ascending: true });
+
+            if (error) {
+                console.error('Error fetching game details:', error.message);
+                return res.status(500).json({ error: 'Error fetching game details.' });
+            }
+            if (!copies.length) {
+                return res.status(404).json({ error: 'Game details not found' });
+            }
+
+            // With several copies this shows the first; copies lists them all
+            res.json({
+                ...collectionItemView(copies[0]),
+                copies: copies.map((c) => c.collectionid)
+            });
+        } catch (err) {
+            console.error('Unexpected error fetching game details:', err.message);
+            res.status(500).json({ error: 'Error fetching game details.' });
+        }
+    })
+);
+
+const COLLECTION_ITEM_COLUMNS = `
+          collectionid,
+          gameinfo (
+            gameid,
+            name,
+            cover_thumb_url,
+            cover_medium_url,
+            cover_full_url
+          ),
+          vgcollection_console (
+            console (
+              consoleid,
+              name
+            ),
+            gamedetails (
+              ownership,
+              included,
+              condition,
+              notes,
+              price,
+              completion,
+              rating,
+              review,
+              spoiler
+            )
+          ),
+          gamedetails (
+            ownership,
+            included,
+            condition,
+            notes,
+            price,
+            completion,
+            rating,
+            review,
+            spoiler
+          )
+        `;
+
+// Shape of one collection copy, as the GameDetails page expects it
+function collectionItemView(data) {
+    // Pull out the consoles the user actually picked
+    const consoles = (data.vgcollection_console || []).map((j) => j.console);
+
+    // Turn the condition string back into an array
+    const detailsView = (details) => details && {
+        ...details,
+        condition: details.condition ? details.condition.split(',').map((c) => c.trim()) : []
+    };
+
+    return {
+        collectionId: data.collectionid,
+        gameinfo: {
+            gameid: data.gameinfo.gameid,
+            name: data.gameinfo.name,
+            coverart: coverUrls(data.gameinfo)?.medium ?? null,
+            cover: coverUrls(data.gameinfo),
+            consoles    // <-- user‐picked consoles only
+        },
+        gamedetails: detailsView(data.gamedetails) || { condition: [] },
+        // Per console: its own details, or null where the copy's apply
+        platforms: (data.vgcollection_console || []).map((j) => ({
+            console: j.console,
+            gamedetails: detailsView(j.gamedetails)
+        }))
+    };
+}
+
+
+// Add this new route to your server code
+app.put('/api/edit-game-details/:userId/:gameId', requireUserOrToken, requireScope('collection:write'), requireSelfOrAdmin(), async (req, res) => {
+    const userId = parseInt(req.params.userId, 10);
+    const gameId = parseInt(req.params.gameId, 10);
+    const gameDetails = req.body;
+
+    try {
+        const platformError = await validatePlatforms(gameDetails.platforms, gameDetails.consoleIds, gameId);
+        if (platformError) return res.status(400).json({ error: platformError });
+
+        // Only unambiguous when the user owns a single copy; otherwise the
+        // client has to pick one via PUT /api/collection/items/:collectionId
+        const { data: copies, error } = await supabase
+            .from('vgcollection')
+            .select('collectionid, gamedetailsid')
+            .eq('userid', userId)
+            .eq('gameid', gameId);
+        if (error) throw error;
+        if (!copies.length) {
+            return res.status(404).json({ message: 'Game not found in the collection' });
+        }
+        if (copies.length > 1) {
+            return res.status(409).json({
+                message: 'You own several copies of this game; edit one by its collection id.',
+                copies: copies.map(c => c.collectionid)
+            });
+        }
+
+        // Call the editGameDetails function with the provided parameters
+        const success = await editGameDetails(copies[0], gameDetails);
+
+        if (success) {
+            res.status(200).json({ message: 'Game details updated successfully' });
+        } else {
+            res.status(500).json({ message: 'Failed to update game details' });
+        }
+    } catch (error) {
+        console.error('Error updating game details:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Function to update the details and consoles of one collection copy.
+// Takes the same fields as adding a copy; callers validate `platforms`
+// first (validatePlatforms).
+async function editGameDetails(vgcol, gameDetails) {
+    const {
+        consoleIds,  // ← array of consoleid from client
+        platforms    // ← optional per-console detail blocks
+    } = gameDetails;
+
+    try {
+        // Updates the gamedetails row, then swaps the old console links (and
+        // the per-console details hanging off them) for the new consoleIds
+        // and platform blocks, in one transaction (edit_collection_item).
+        // Fields left undefined drop out of the JSON and keep their value.
+        const { data: updated, error } = await supabase.rpc('edit_collection_item', {
+            p_collectionid: vgcol.collectionid,
+            p_details: gameDetailsRow(gameDetails),
+            p_console_ids: consoleIdsPayload(consoleIds),
+            p_platforms: platformsPayload(platforms)
+        });
+
+        if (error) {
+            console.error('edit_collection_item failed:', error);
+            return false;
+        }
+        return updated === true;
+    } catch (err) {
+        console.error('Unexpected error in editGameDetails:', err);
+        return false;
+    }
+}
+
+//
+// ───────────── COLLECTION COPIES ─────────────
+//
+
+// Every copy of one game in a user's collection
+app.get(
+    '/api/collection/:userId/games/:gameId/items',
+    requireUserOrToken,
+    requireScope('collection:read'),
+    requireSelfOrAdmin(),
+    asyncHandler(async (req, res) => {
+        const { data: copies, error } = await supabase
+            .from('vgcollection')
+            .select(COLLECTION_ITEM_COLUMNS)
+            .eq('userid', Number(req.params.userId))
+            .eq('gameid', Number(req.params.gameId))
+            .order('collectionid', { ascending: true });
+        if (error) {
+            console.error('Error fetching collection copies:', error);
+            return res.status(500).json({ error: 'Error fetching collection copies.' });
+        }
+
+        res.json({ results: copies.map(collectionItemView) });
+    })
+);
+
+app.get(
+    '/api/collection/items/:collectionId',
+    requireUserOrToken,
+    requireScope('collection:read'),
+    requireCollectionItem,
+    asyncHandler(async (req, res) => {
+        const { data, error } = await supabase
+            .from('vgcollection')
+            .select(COLLECTION_ITEM_COLUMNS)
+            .eq('collectionid', req.collectionItem.collectionid)
+            .single();
+        if (error) throw error;
+
+        res.json(collectionItemView(data));
+    })
+);
+
+// Same body as /api/edit-game-details, for one specific copy
+app.put(
+    '/api/collection/items/:collectionId',
+    requireUserOrToken,
+    requireScope('collection:write'),
+    requireCollectionItem,
+    asyncHandler(async (req, res) => {
+        const platformError = await validatePlatforms(req.body.platforms, req.body.consoleIds, req.collectionItem.gameid);
+        if (platformError) return res.status(400).json({ error: platformError });
+
+        const success = await editGameDetails(req.collectionItem, req.body);
+        if (!success) return res.status(500).json({ error: 'Failed to update game details' });
+
+        res.json({ message: 'Game details updated successfully' });
+    })
+);
+
+app.delete(
+    '/api/collection/items/:collectionId',
+    requireUserOrToken,
+    requireScope('collection:write'),
+    requireCollectionItem,
+    asyncHandler(async (req, res) => {
+        await removeCollectionItems([req.collectionItem]);
+        res.json({ message: 'Copy removed from the collection.' });
+    })
+);
+
+
+app.get('/api/reports/:reportType', passport.authenticate('jwt', { session: false }), requireAdmin, async (req, res) => {
+    try {
+        console.log("Received request for report type:", req.params.reportType);
+        const reportTypes = req.params.reportType.split(','); // Split the report types
+        const results = {};
+
+        // Process each report type
+        for (const reportType of reportTypes) {
+            console.log(`Processing report type: ${reportType}`);
+
+            // Total Users
+            if (reportType === 'TotalUsers') {
+                const { data: totalUsersData, error: totalUsersError } = await supabase
+                    .from('useraccount')
+                    .select('userid', { count: 'exact' });
+
+                if (totalUsersError) throw totalUsersError;
+                results.totalUsers = { count: totalUsersData.length };
+            }
+
+            // Total Collections
+            if (reportType === 'TotalCollections') {
+                const { data: totalCollectionsData, error: totalCollectionsError } = await supabase
+                    .from('vgcollection')
+                    .select('collectionid', { count: 'exact' });
+
+                if (totalCollectionsError) throw totalCollectionsError;
+                results.totalCollections = { count: totalCollectionsData.length };
+            }
+
+            // Most Collected Game
+            if (reportType === 'MostCollectedGame') {
+                const { data: vgCollectionData, error: vgCollectionError } = await supabase
+                    .from('vgcollection')
+                    .select('gameid');
+
+                if (vgCollectionError) throw vgCollectionError;
+
+                // Count occurrences of each gameid
+                const gameCount = {};
+                vgCollectionData.forEach(({ gameid }) => {
+                    gameCount[gameid] = (gameCount[gameid] || 0) + 1;
+                });
+
+                // Find the gameid with the highest count
+                let mostCollectedGameId = null;
+                let maxCount = 0;
+                for (const gameid in gameCount) {
+                    if (gameCount[gameid] > maxCount) {
+                        maxCount = gameCount[gameid];
+                        mostCollectedGameId = gameid;
+                    }
+                }
+
+                if (mostCollectedGameId) {
+                    const { data: mostCollectedGame, error: mostCollectedGameError } = await supabase
+                        .from('gameinfo')
+                        .select('*')
+                        .eq('gameid', mostCollectedGameId)
+                        .single();
+
+                    if (mostCollectedGameError) throw mostCollectedGameError;
+                    results.mostCollectedGame = {
+                        ...mostCollectedGame,
+                        count: maxCount
+                    };
+                } else {
+                    results.mostCollectedGame = { count: 0 };
+                }
+            }
+
+            // Highest Reviewed Game
+            if (reportType === 'HighestReviewedGame') {
+                // Step 1: Fetch the highest rating from gamedetails
+                const { data: highestRatingData, error: highestRatingError } = await supabase
+                    .from('gamedetails')
+                    .select('rating, gamedetailsid')
+                    .order('rating', { ascending: false })
+                    .limit(1);
+
+                if (highestRatingError) throw highestRatingError;
+
+                // Extract the highest rating and corresponding gamedetailsid
+                const highestRating = highestRatingData[0]?.rating;
+                const highestGamedetailsId = highestRatingData[0]?.gamedetailsid;
+
+                if (highestGamedetailsId) {
+                    // Step 2: Find the gameid related to the highest-rated gamedetailsid
+                    const { data: gameIdData, error: gameIdError } = await supabase
+                        .from('vgcollection')
+                        .select('gameid')
+                        .eq('gamedetailsid', highestGamedetailsId)
+                        .limit(1);
+
+                    if (gameIdError) throw gameIdError;
+
+                    // ...or, for per-console details, via the console link
+                    let gameId = gameIdData[0]?.gameid;
+                    if (!gameId) {
+                        const { data: linkData, error: linkError } = await supabase
+                            .from('vgcollection_console')
+                            .select('vgcollection ( gameid )')
+                            .eq('gamedetailsid', highestGamedetailsId)
+                            .limit(1);
+
+                        if (linkError) throw linkError;
+                        gameId = linkData[0]?.vgcollection?.gameid;
+                    }
+
+                    if (gameId) {
+                        // Step 3: Fetch the game details from gameinfo using gameid
+                        const { data: gameInfoData, error: gameInfoError } = await supabase
+                            .from('gameinfo')
+                            .select('*')
+                            .eq('gameid', gameId)
+                            .single();
+
+                        if (gameInfoError) throw gameInfoError;
+
+                        // Combine the rating with the game info
+                        results.highestReviewedGame = {
+                            ...gameInfoData,
+                            rating: highestRating
+                        };
+                    } else {
+                        results.highestReviewedGame = { name: 'N/A', rating: 'N/A' };  // Default if no game found
+                    }
+                } else {
+                    results.highestReviewedGame = { name: 'N/A', rating: 'N/A' };  // Default if no rating found
+                }
+            }
+
+
+            // Most Wanted Game
+            if (reportType === 'MostWantedGame') {
+                // Fetch all wishlist entries
+                const { data: wishlistData, error: wishlistError } = await supabase
+                    .from('vgwishlist')
+                    .select('gameid');
+
+                if (wishlistError) throw wishlistError;
+
+                // Count occurrences of each gameid
+                const gameCount = {};
+                wishlistData.forEach(({ gameid }) => {
+                    gameCount[gameid] = (gameCount[gameid] || 0) + 1;
+                });
+
+                // Find the gameid with the highest count
+                let mostWantedGameId = null;
+                let maxCount = 0;
+                for (const gameid in gameCount) {
+                    if (gameCount[gameid] > maxCount) {
+                        maxCount = gameCount[gameid];
+                        mostWantedGameId = gameid;
+                    }
+                }
+
+                if (mostWantedGameId) {
+                    // Fetch details of the most wanted game
+                    const { data: mostWantedGame, error: mostWantedGameError } = await supabase
+                        .from('gameinfo')
+                        .select('*')
+                        .eq('gameid', mostWantedGameId)
+                        .single();
+
+                    if (mostWantedGameError) throw mostWantedGameError;
+                    results.mostWantedGame = {
+                        ...mostWantedGame,
+                        count: maxCount  // Include the count in the response
+                    };
+                } else {
+                    results.mostWantedGame = { count: 0 };  // Default to 0 if no game found
+                }
+            }
+
+
+            // Total Wishlists
+            if (reportType === 'TotalWishlists') {
+                const { data: totalWishlistsData, error: totalWishlistsError } = await supabase
+                    .from('vgwishlist')
+                    .select('*', { count: 'exact' });
+
+                if (totalWishlistsError) throw totalWishlistsError;
+                results.totalWishlists = { count: totalWishlistsData.length };
+            }
+        }
+
+        res.json(results);
+    } catch (error) {
+        console.error('Error fetching reports:', error);
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+
+app.put('/api/update-username/:userId', passport.authenticate('jwt', { session: false }), requireSelfOrAdmin(), asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+    const { newUsername } = req.body;
+
+    try {
+        // Update the username in the Supabase UserAccount table
+        const { data, error } = await supabase
+            .from('useraccount')
+            .update({ username: newUsername })
+            .eq('userid', parseInt(userId)); // Ensure userId is the correct type
+
+        // Log the data and error for debugging
+        console.log('Update Data:', data);
+        console.log('Update Error:', error);
+
+        if (error) {
+            throw error;
+        }
+
+        // If `data` is null, but no error, assume success
+        if (data === null) {
+            res.status(200).json({ message: 'Username updated successfully' });
+        } else {
+            res.status(404).json({ error: 'Username update has an error' });
+        }
+    } catch (error) {
+        console.error('Error updating username:', error.message);
+        res.status(500).json({ error: 'Error updating username' });
+    }
+}));
+
+
+// Check if username exists
+app.get('/api/check-username/:username', passport.authenticate('jwt', { session: false }), probeRateLimit, asyncHandler(async (req, res) => {
+    const { username } = req.params;
+
+    try {
+        const { data, error } = await supabase
+            .from('useraccount')
+            .select('username')
+            .eq('username', username);
+
+        if (error) throw error;
+
+        const exists = data.length > 0;
+        res.json({ exists });
+    } catch (error) {
+        console.error('Error checking username:', error.message);
+        res.status(500).json({ error: 'Error checking username' });
+    }
+}));
+
+
+// Update password
+app.put('/api/update-password/:userId', passport.authenticate('jwt', { session: false }), requireSelfOrAdmin(), asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+    const { currentPassword, newPassword } = req.body;
+    const self = req.user.userid === Number(userId);
+
+    // Changing your own password needs the current one (accounts that only
+    // ever signed in through a provider have none yet); admins resetting
+    // someone else's don't
+    if (self && req.user.password
+        && (!currentPassword || !(await bcrypt.compare(currentPassword, req.user.password)))) {
+        return res.status(401).json({ error: 'Incorrect password.' });
+    }
+
+    try {
+        // Hash the new password
+        const hashedPassword = await bcrypt.hash(newPassword, 10);
+
+        // Update the password in the Supabase UserAccount table
+        const { data, error } = await supabase
+            .from('useraccount')
+            .update({ password: hashedPassword })
+            .eq('userid', userId);
+
+        if (error) throw error;
+
+        if (data === null) {
+            // Every session (the caller's too, when it is their own password)
+            // has to log in with the new password, and every personal access
+            // token stops working
+            await revokeAllSessions(userId);
+            const revokedTokens = await revokeApiTokens(userId);
+            if (self) clearRefreshCookie(res);
+            res.status(200).json({ message: 'Password updated successfully', revokedTokens });
+        } else {
+            res.status(404).json({ error: 'User not found or password unchanged' });
+        }
+    } catch (error) {
+        console.error('Error updating password:', error.message);
+        res.status(500).json({ error: 'Error updating password' });
+    }
+}));
+
+
+// Update email
+app.put('/api/update-email/:userId', passport.authenticate('jwt', { session: false }), requireSelfOrAdmin(), asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+    const { newEmail } = req.body;
+
+    try {
+        // Make sure nobody already owns the new address
+        const { data: existing, error: existErr } = await supabase
+            .from('useraccount')
+            .select('userid')
+            .eq('email', newEmail);
+        if (existErr) throw existErr;
+        if (existing.length) {
+            return res.status(400).json({ error: 'Email in use.' });
+        }
+
+        // Park the new address as pending; it only goes live once confirmed
+        const { data: user, error } = await supabase
+            .from('useraccount')
+            .update({ pending_email: newEmail })
+            .eq('userid', userId)
+            .select('userid, username')
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!user) {
+            return res.status(404).json({ error: 'User not found or email unchanged' });
+        }
+
+        // Sessions are revoked once the new address is confirmed (/api/email/verify)
+        await sendVerificationEmail(user, newEmail);
+
+        res.status(200).json({
+            message: 'Check your new email address to confirm the change.',
+            pending_email: newEmail
+        });
+    } catch (error) {
+        console.error('Error updating email:', error.message);
+        res.status(500).json({ error: 'Error updating email' });
+    }
+}));
+
+
+// Check if email exists
+app.get('/api/check-email/:email', passport.authenticate('jwt', { session: false }), probeRateLimit, asyncHandler(async (req, res) => {
+    const { email } = req.params;
+
+    try {
+        const { data, error } = await supabase
+            .from('useraccount')
+            .select('email')
+            .eq('email', email);
+
+        if (error) throw error;
+
+        const exists = data.length > 0;
+        res.json({ exists });
+    } catch (error) {
+        console.error('Error checking email:', error.message);
+        res.status(500).json({ error: 'Error checking email' });
+    }
+}));
+
+
+// Update avatar (upload a new one)
+app.post(
+    '/api/users/avatar',
+    passport.authenticate('jwt', { session: false }),
+    asyncHandler(async (req, res) => {
+        const userId = req.user.userid;
+
+        if (!req.files?.avatar) {
+            return res.status(400).json({ error: 'No file uploaded.' });
+        }
+
+        const avatar = req.files.avatar;
+        const objectPath = `${Date.now()}_${avatar.name}`;
+
+        // 1) upload to storage
+        const { error: uploadErr } = await supabase
+            .storage
+            .from('avatars')
+            .upload(objectPath, avatar.data, {
+                contentType: avatar.mimetype,
+                upsert: true
+            });
+        if (uploadErr) throw uploadErr;
+
+        // 2) get public URL
+        const { data: urlData, error: urlErr } = supabase
+            .storage
+            .from('avatars')
+            .getPublicUrl(objectPath);
+        if (urlErr) throw urlErr;
+
+        const avatar_url = urlData.publicUrl;
+
+        // 3) update user row
+        const { data: updated, error: updateErr } = await supabase
+            .from('useraccount')
+            .update({ avatar_url })
+            .eq('userid', userId)
+            .select('userid,username,email,admin,avatar_url')
+            .single();
+        if (updateErr) throw updateErr;
+
+        res.json({ avatar: updated.avatar_url });
+    })
+);
+
+// Remove avatar (reset to null)
+app.delete(
+    '/api/users/avatar',
+    passport.authenticate('jwt', { session: false }),
+    asyncHandler(async (req, res) => {
+        const userId = req.user.userid;
+
+        // clear the column
+        const { data: updated, error } = await supabase
+            .from('useraccount')
+            .update({ avatar_url: null })
+            .eq('userid', userId)
+            .select('avatar_url')
+            .single();
+        if (error) throw error;
+
+        res.json({ avatar: null });
+    })
+);
+
+
+//
+// ───────────── COLLECTION INTEGRITY ─────────────
+//
+
+// Collection and wishlist writes run as single transactions now, but the
+// old multi-step writes left orphans behind: gamedetails rows nothing points
+// at, and collection copies or wishlist entries without any console.
+// repair_collection_orphans removes the former and links the latter to the
+// game's console when it only has one; the rest are reported for review.
+const ORPHAN_REPAIR_INTERVAL_MS = 24 * 60 * 60 * 1000; // daily
+
+// Report of the last real (not dry) run, scheduled or started by an admin
+let lastOrphanRepair = null;
+
+async function repairCollectionOrphans({ dryRun = false } = {}) {
+    const { data, error } = await supabase.rpc('repair_collection_orphans', { p_dry_run: dryRun });
+    if (error) throw error;
+    if (!dryRun) lastOrphanRepair = { ranAt: new Date().toISOString(), ...data };
+    return data;
+}
+
+// Daily run, started when the server listens rather than when the app is
+// loaded (the tests load it without listening)
+function scheduleCollectionOrphanRepair() {
+    setInterval(() => {
+        repairCollectionOrphans().catch(err => console.error('Error repairing collection orphans:', err));
+    }, ORPHAN_REPAIR_INTERVAL_MS).unref();
+}
+
+// What the last repair did, e.g. the collections it could not resolve
+app.get(
+    '/api/admin/maintenance/collection-orphans',
+    passport.authenticate('jwt', { session: false }),
+    requireAdmin,
+    (req, res) => res.json({ lastRun: lastOrphanRepair })
+);
+
+// Run the repair now (?dryRun=true only reports what it would do)
+app.post(
+    '/api/admin/maintenance/collection-orphans',
+    passport.authenticate('jwt', { session: false }),
+    requireAdmin,
+    asyncHandler(async (req, res) => {
+        const dryRun = req.query.dryRun === 'true' || req.body.dryRun === true;
+        try {
+            res.json(await repairCollectionOrphans({ dryRun }));
+        } catch (err) {
+            console.error('Error repairing collection orphans:', err);
+            res.status(500).json({ error: 'Error repairing collection orphans.' });
+        }
+    })
+);
+
+
+//
+// ───────────── ACCOUNT DELETION ─────────────
+//
+
+// DELETE /api/me only schedules the deletion; the account can be restored
+// until the grace period runs out, then the purge job removes everything.
+const ACCOUNT_DELETION_GRACE_DAYS = 14;
+const ACCOUNT_PURGE_INTERVAL_MS = 60 * 60 * 1000; // hourly
+
+const deleteIn = async (table, column, values) => {
+    if (!values.length) return;
+    const { error } = await supabase.from(table).delete().in(column, values);
+    if (error) throw error;
+};
+
+// Object path inside the 'avatars' bucket, taken from the stored public URL
+const avatarObjectPath = url => {
+    const marker = '/avatars/';
+    const at = url ? url.indexOf(marker) : -1;
+    return at === -1 ? null : decodeURIComponent(url.slice(at + marker.length).split('?')[0]);
+};
+
+// Remove a user and everything that hangs off them
+async function deleteUserData(userId) {
+    const { data: user, error: userErr } = await supabase
+        .from('useraccount')
+        .select('userid, avatar_url')
+        .eq('userid', userId)
+        .maybeSingle();
+    if (userErr) throw userErr;
+    if (!user) return false;
+
+    const involving = (a, b) => `${a}.eq.${userId},${b}.eq.${userId}`;
+
+    // 1) Chat threads and every message in them
+    const { data: threads, error: thErr } = await supabase
+        .from('chat_threads')
+        .select('id')
+        .or(involving('user_a', 'user_b'));
+    if (thErr) throw thErr;
+    const threadIds = threads.map(t => t.id);
+    await deleteIn('messages', 'thread_id', threadIds);
+
+    const { error: msgErr } = await supabase
+        .from('messages')
+        .delete()
+        .or(involving('senderid', 'receiverid'));
+    if (msgErr) throw msgErr;
+    await deleteIn('chat_threads', 'id', threadIds);
+
+    // 2) Friendships and friend requests, both directions
+    const { error: friErr } = await supabase
+        .from('friendships')
+        .delete()
+        .or(involving('user_a', 'user_b'));
+    if (friErr) throw friErr;
+
+    const { error: reqErr } = await supabase
+        .from('friend_requests')
+        .delete()
+        .or(involving('requester_id', 'target_id'));
+    if (reqErr) throw reqErr;
+
+    // 3) Wishlist
+    const { data: wishlist, error: wlErr } = await supabase
+        .from('vgwishlist')
+        .select('wishlistid')
+        .eq('userid', userId);
+    if (wlErr) throw wlErr;
+    await deleteIn('vgwishlist_console', 'wishlistid', wishlist.map(w => w.wishlistid));
+    await deleteIn('vgwishlist', 'wishlistid', wishlist.map(w => w.wishlistid));
+
+    // 4) Collection, then the gamedetails rows it pointed at
+    const { data: collection, error: colErr } = await supabase
+        .from('vgcollection')
+        .select('collectionid, gamedetailsid')
+        .eq('userid', userId);
+    if (colErr) throw colErr;
+    await removeCollectionItems(collection);
+
+    // 5) Login state
+    const { data: sessions, error: sessErr } = await supabase
+        .from('user_sessions')
+        .select('id')
+        .eq('userid', userId);
+    if (sessErr) throw sessErr;
+    await deleteIn('refresh_tokens', 'session_id', sessions.map(s => s.id));
+    await deleteIn('user_sessions', 'userid', [userId]);
+    await deleteIn('recovery_codes', 'userid', [userId]);
+    await deleteIn('password_reset_tokens', 'userid', [userId]);
+    await deleteIn('api_tokens', 'userid', [userId]);
+    await deleteIn('user_identities', 'userid', [userId]);
+    await deleteIn('notifications', 'userid', [userId]);
+
+    // Pending and rejected submissions only ever showed up for them, so they
+    // go; approved games stay in the catalog, just without the link back
+    const { data: unpublished, error: unpubErr } = await supabase
+        .from('gameinfo')
+        .select('gameid')
+        .eq('submitted_by', userId)
+        .in('status', ['pending', 'rejected']);
+    if (unpubErr) throw unpubErr;
+    for (const { gameid } of unpublished) await deleteGame(gameid);
+
+    const { error: subErr } = await supabase
+        .from('gameinfo')
+        .update({ submitted_by: null })
+        .eq('submitted_by', userId);
+    if (subErr) throw subErr;
+    const { error: revErr } = await supabase
+        .from('gameinfo')
+        .update({ reviewed_by: null })
+        .eq('reviewed_by', userId);
+    if (revErr) throw revErr;
+
+    // Barcode contributions: their pending ones go, approved mappings stay
+    await deleteIn('barcode_submissions', 'submitted_by', [userId]);
+    for (const [table, column] of [['game_barcodes', 'added_by'], ['barcode_submissions', 'reviewed_by']]) {
+        const { error } = await supabase.from(table).update({ [column]: null }).eq(column, userId);
+        if (error) throw error;
+    }
+
+    // Takeout archives (files first, then the rows)
+    const { data: exports, error: expErr } = await supabase
+        .from('data_exports')
+        .select('storage_path')
+        .eq('userid', userId);
+    if (expErr) throw expErr;
+    const exportPaths = exports.map(e => e.storage_path).filter(Boolean);
+    if (exportPaths.length) {
+        const { error: rmErr } = await supabase.storage.from(EXPORTS_BUCKET).remove(exportPaths);
+        if (rmErr) console.error('Error removing export archives:', rmErr.message);
+    }
+    await deleteIn('data_exports', 'userid', [userId]);
+
+    // The failed-login audit stays, minus the link to the account
+    const { error: auditErr } = await supabase
+        .from('login_attempts')
+        .update({ userid: null })
+        .eq('userid', userId);
+    if (auditErr) throw auditErr;
+
+    // 6) Avatar file
+    const avatarPath = avatarObjectPath(user.avatar_url);
+    if (avatarPath) {
+        const { error: rmErr } = await supabase.storage.from('avatars').remove([avatarPath]);
+        if (rmErr) console.error('Error removing avatar object:', rmErr.message);
+    }
+
+    // 7) Finally the account itself
+    await deleteIn('useraccount', 'userid', [userId]);
+    return true;
+}
+
+// Purge accounts whose grace period is over
+async function purgeScheduledDeletions() {
+    const { data: due, error } = await supabase
+        .from('useraccount')
+        .select('userid')
+        .lte('deletion_scheduled_for', new Date().toISOString());
+    if (error) throw error;
+
+    for (const { userid } of due) {
+        try {
+            await deleteUserData(userid);
+            console.log(`Deleted account ${userid} after grace period`);
+        } catch (err) {
+            console.error(`Error deleting account ${userid}:`, err);
+        }
+    }
+}
+
+setInterval(() => {
+    purgeScheduledDeletions().catch(err => console.error('Account purge failed:', err));
+}, ACCOUNT_PURGE_INTERVAL_MS).unref();
+
+// Accounts created through a provider have no password; a login through one
+// of their linked providers within this window stands in for it
+const ACCOUNT_DELETION_REAUTH_MS = 10 * 60 * 1000;
+
+async function hasRecentProviderLogin(userId) {
+    const { data, error } = await supabase
+        .from('user_identities')
+        .select('id')
+        .eq('userid', userId)
+        .gte('last_login_at', new Date(Date.now() - ACCOUNT_DELETION_REAUTH_MS).toISOString())
+        .limit(1);
+    if (error) throw error;
+    return data.length > 0;
+}
+
+// Schedule deletion of your own account. Needs the password, plus a code when
+// 2FA is on; password-less accounts need that code or a fresh provider login.
+app.delete(
+    '/api/me',
+    passport.authenticate('jwt', { session: false }),
+    asyncHandler(async (req, res) => {
+        const user = req.user;
+        const { password, code, recoveryCode } = req.body;
+
+        if (user.password) {
+            if (!password || !(await bcrypt.compare(password, user.password))) {
+                return res.status(401).json({ error: 'Incorrect password.' });
+            }
+        } else if (!user.totp_enabled && !(await hasRecentProviderLogin(user.userid))) {
+            return res.status(401).json({
+                error: 'Please log in again with your linked account to confirm.',
+                reauthRequired: true
+            });
+        }
+        if (user.totp_enabled && !(await verifySecondFactor(user, { code, recoveryCode }))) {
+            return res.status(400).json({ error: 'Invalid authentication code.' });
+        }
+
+        const scheduledFor = new Date(Date.now() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+        const { error } = await supabase
+            .from('useraccount')
+            .update({
+                deletion_requested_at: new Date().toISOString(),
+                deletion_scheduled_for: scheduledFor.toISOString()
             })
-            .eq('gamedetailsid', gamedetailsid);
+            .eq('userid', user.userid);
+        if (error) throw error;
+
+        try {
+            await sendMail({
+                to: user.email,
+                subject: 'Your account is scheduled for deletion',
+                text: `Hi ${user.username},\n\n`
+                    + `Your account and all of its data will be permanently deleted on ${scheduledFor.toUTCString()}.\n\n`
+                    + `Changed your mind? Log in before then and cancel the deletion from your profile; `
+                    + `logging in by itself does not cancel it.`
+            });
+        } catch (mailErr) {
+            console.error('Error sending deletion notice:', mailErr);
+        }
+
+        res.json({ deletion_scheduled_for: scheduledFor.toISOString() });
+    })
+);
+
+// Cancel a scheduled deletion during the grace period
+app.post(
+    '/api/me/deletion/cancel',
+    passport.authenticate('jwt', { session: false }),
+    asyncHandler(async (req, res) => {
+        if (!req.user.deletion_scheduled_for) {
+            return res.status(400).json({ error: 'No deletion is scheduled.' });
+        }
+
+        const { error } = await supabase
+            .from('useraccount')
+            .update({ deletion_requested_at: null, deletion_scheduled_for: null })
+            .eq('userid', req.user.userid);
+        if (error) throw error;
+
+        res.json({ deletion_scheduled_for: null });
+    })
+);
+
+
+//
+// ───────────── PERSONAL DATA EXPORT ─────────────
+//
+
+// POST /api/me/exports queues a job (data_exports row) that gathers everything
+// we hold about the user into a zip (JSON + CSV) in the private 'exports'
+// bucket. The status endpoint hands out a short-lived signed download link.
+const EXPORTS_BUCKET = 'exports';
+const EXPORT_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;   // archives kept for 7 days
+const EXPORT_LINK_TTL_SECONDS = 15 * 60;               // download links live 15 minutes
+const EXPORT_STALE_MS = 60 * 60 * 1000;                // a job running this long died with its process
+
+const csvCell = value => {
+    if (value == null) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// columns: [[header, row => value], …]
+const toCsv = (rows, columns) => [
+    columns.map(([header]) => csvCell(header)).join(','),
+    ...rows.map(row => columns.map(([, pick]) => csvCell(pick(row))).join(','))
+].join('\r\n') + '\r\n';
+
+async function collectUserData(userId) {
+    const involving = (a, b) => `${a}.eq.${userId},${b}.eq.${userId}`;
+    const check = ({ data, error }) => {
+        if (error) throw error;
+        return data || [];
+    };
+
+    // 1) Profile, minus credentials
+    const { data: account, error: accErr } = await supabase
+        .from('useraccount')
+        .select('*')
+        .eq('userid', userId)
+        .single();
+    if (accErr) throw accErr;
+    const { password, totp_secret, totp_pending_secret, totp_last_step, ...profile } = account;
+
+    // 2) Collection + details + chosen consoles
+    const collection = check(await supabase
+        .from('vgcollection')
+        .select(`
+        collectionid,
+        gameid,
+        gameinfo ( name ),
+        vgcollection_console (
+          console ( consoleid, name ),
+          gamedetails ( ownership, included, condition, notes, price, completion, rating, review, spoiler )
+        ),
+        gamedetails ( ownership, included, condition, notes, price, completion, rating, review, spoiler )
+      `)
+        .eq('userid', userId));
+
+    // 3) Wishlist + chosen consoles
+    const wishlist = check(await supabase
+        .from('vgwishlist')
+        .select('wishlistid, gameid, gameinfo ( name ), vgwishlist_console ( console ( consoleid, name ) )')
+        .eq('userid', userId));
+
+    // 4) Friends and friend requests
+    const friendships = check(await supabase
+        .from('friendships')
+        .select('user_a, user_b, created_at')
+        .or(involving('user_a', 'user_b')));
+    const requests = check(await supabase
+        .from('friend_requests')
+        .select('requester_id, target_id, created_at')
+        .or(involving('requester_id', 'target_id')));
+
+    // 5) Chat threads and their messages
+    const threads = check(await supabase
+        .from('chat_threads')
+        .select('id, user_a, user_b')
+        .or(involving('user_a', 'user_b')));
+    const messages = threads.length
+        ? check(await supabase
+            .from('messages')
+            .select('messageid, thread_id, senderid, content, dateadded, seen')
+            .in('thread_id', threads.map(t => t.id))
+            .order('dateadded', { ascending: true }))
+        : [];
+
+    // One lookup for every other user we need a name for
+    const otherIds = [...new Set([
+        ...friendships.map(f => (f.user_a === userId ? f.user_b : f.user_a)),
+        ...requests.map(r => (r.requester_id === userId ? r.target_id : r.requester_id)),
+        ...threads.map(t => (t.user_a === userId ? t.user_b : t.user_a))
+    ])];
+    const others = otherIds.length
+        ? check(await supabase.from('useraccount').select('userid, username').in('userid', otherIds))
+        : [];
+    const nameOf = id => (id === userId ? profile.username : others.find(u => u.userid === id)?.username ?? null);
+
+    return {
+        profile,
+        collection: collection.map(c => ({
+            collectionid: c.collectionid,
+            gameid: c.gameid,
+            game: c.gameinfo?.name ?? null,
+            consoles: (c.vgcollection_console || []).map(j => j.console),
+            details: c.gamedetails,
+            // consoles with details of their own
+            platforms: (c.vgcollection_console || [])
+                .filter(j => j.gamedetails)
+                .map(j => ({ console: j.console, details: j.gamedetails }))
+        })),
+        wishlist: wishlist.map(w => ({
+            wishlistid: w.wishlistid,
+            gameid: w.gameid,
+            game: w.gameinfo?.name ?? null,
+            consoles: (w.vgwishlist_console || []).map(j => j.console)
+        })),
+        friends: friendships.map(f => {
+            const other = f.user_a === userId ? f.user_b : f.user_a;
+            return { userid: other, username: nameOf(other), friends_since: f.created_at };
+        }),
+        friend_requests: requests.map(r => {
+            const outgoing = r.requester_id === userId;
+            const other = outgoing ? r.target_id : r.requester_id;
+            return { direction: outgoing ? 'outgoing' : 'incoming', userid: other, username: nameOf(other), sent_at: r.created_at };
+        }),
+        messages: threads.map(t => {
+            const other = t.user_a === userId ? t.user_b : t.user_a;
+            return {
+                thread_id: t.id,
+                with: { userid: other, username: nameOf(other) },
+                messages: messages
+                    .filter(m => m.thread_id === t.id)
+                    .map(m => ({ ...m, sender: nameOf(m.senderid) }))
+            };
+        })
+    };
+}
+
+async function buildExportArchive(data) {
+    const zip = new JSZip();
+
+    for (const [name, value] of Object.entries(data)) {
+        zip.file(`json/${name}.json`, JSON.stringify(value, null, 2));
+    }
+
+    zip.file('csv/collection.csv', toCsv(data.collection, [
+        ['collection_id', c => c.collectionid],
+        ['game_id', c => c.gameid],
+        ['game', c => c.game],
+        ['consoles', c => c.consoles.map(x => x?.name).join('; ')],
+        ['ownership', c => c.details?.ownership],
+        ['included', c => c.details?.included],
+        ['condition', c => c.details?.condition],
+        ['price', c => c.details?.price],
+        ['completion', c => c.details?.completion],
+        ['rating', c => c.details?.rating],
+        ['notes', c => c.details?.notes],
+        ['review', c => c.details?.review],
+        ['spoiler', c => c.details?.spoiler]
+    ]));
+    zip.file('csv/wishlist.csv', toCsv(data.wishlist, [
+        ['wishlist_id', w => w.wishlistid],
+        ['game_id', w => w.gameid],
+        ['game', w => w.game],
+        ['consoles', w => w.consoles.map(x => x?.name).join('; ')]
+    ]));
+    zip.file('csv/friends.csv', toCsv(data.friends, [
+        ['user_id', f => f.userid],
+        ['username', f => f.username],
+        ['friends_since', f => f.friends_since]
+    ]));
+    zip.file('csv/friend_requests.csv', toCsv(data.friend_requests, [
+        ['direction', r => r.direction],
+        ['user_id', r => r.userid],
+        ['username', r => r.username],
+        ['sent_at', r => r.sent_at]
+    ]));
+    zip.file('csv/messages.csv', toCsv(
+        data.messages.flatMap(t => t.messages.map(m => ({ ...m, with: t.with.username }))),
+        [
+            ['thread_id', m => m.thread_id],
+            ['with', m => m.with],
+            ['message_id', m => m.messageid],
+            ['sender', m => m.sender],
+            ['content', m => m.content],
+            ['sent_at', m => m.dateadded],
+            ['seen', m => m.seen]
+        ]
+    ));
+
+    return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+const updateExport = async (id, fields) => {
+    const { error } = await supabase.from('data_exports').update(fields).eq('id', id);
+    if (error) throw error;
+};
+
+// The background job itself; never throws, failures land on the row
+async function runDataExport(job) {
+    try {
+        await updateExport(job.id, { status: 'processing', started_at: new Date().toISOString() });
+
+        const archive = await buildExportArchive(await collectUserData(job.userid));
+        const storagePath = `${job.userid}/${job.id}.zip`;
+        const { error: upErr } = await supabase
+            .storage
+            .from(EXPORTS_BUCKET)
+            .upload(storagePath, archive, { contentType: 'application/zip', upsert: true });
+        if (upErr) throw upErr;
+
+        await updateExport(job.id, {
+            status: 'ready',
+            storage_path: storagePath,
+            completed_at: new Date().toISOString(),
+            expires_at: new Date(Date.now() + EXPORT_RETENTION_MS).toISOString()
+        });
+    } catch (err) {
+        console.error(`Data export ${job.id} failed:`, err);
+        await updateExport(job.id, { status: 'failed', error: err.message || 'Export failed' })
+            .catch(updErr => console.error('Error marking export failed:', updErr));
+    }
+}
+
+// Hourly: delete expired archives, fail jobs whose process went away
+async function cleanUpExports() {
+    const now = new Date().toISOString();
+
+    const { data: expired, error: expErr } = await supabase
+        .from('data_exports')
+        .select('id, storage_path')
+        .eq('status', 'ready')
+        .lte('expires_at', now);
+    if (expErr) throw expErr;
+    const paths = expired.map(e => e.storage_path).filter(Boolean);
+    if (paths.length) {
+        const { error: rmErr } = await supabase.storage.from(EXPORTS_BUCKET).remove(paths);
+        if (rmErr) throw rmErr;
+    }
+    if (expired.length) {
+        const { error } = await supabase
+            .from('data_exports')
+            .update({ status: 'expired', storage_path: null })
+            .in('id', expired.map(e => e.id));
+        if (error) throw error;
+    }
+
+    const { error: staleErr } = await supabase
+        .from('data_exports')
+        .update({ status: 'failed', error: 'Export was interrupted' })
+        .in('status', ['pending', 'processing'])
+        .lte('created_at', new Date(Date.now() - EXPORT_STALE_MS).toISOString());
+    if (staleErr) throw staleErr;
+}
+
+setInterval(() => {
+    cleanUpExports().catch(err => console.error('Export cleanup failed:', err));
+}, 60 * 60 * 1000).unref();
+
+const exportView = row => ({
+    id: row.id,
+    status: row.status,
+    createdAt: row.created_at,
+    completedAt: row.completed_at ?? null,
+    expiresAt: row.expires_at ?? null,
+    error: row.status === 'failed' ? row.error : null
+});
+
+// Queue a new export (or return the one already running)
+app.post(
+    '/api/me/exports',
+    passport.authenticate('jwt', { session: false }),
+    asyncHandler(async (req, res) => {
+        const me = req.user.userid;
+
+        const { data: running, error: runErr } = await supabase
+            .from('data_exports')
+            .select('*')
+            .eq('userid', me)
+            .in('status', ['pending', 'processing'])
+            .limit(1);
+        if (runErr) throw runErr;
+        if (running.length) return res.status(202).json(exportView(running[0]));
+
+        const { data: job, error } = await supabase
+            .from('data_exports')
+            .insert({ userid: me, status: 'pending' })
+            .select('*')
+            .single();
+        if (error) throw error;
+
+        runDataExport(job);
+        res.status(202).json(exportView(job));
+    })
+);
+
+// Your exports, newest first
+app.get(
+    '/api/me/exports',
+    passport.authenticate('jwt', { session: false }),
+    asyncHandler(async (req, res) => {
+        const { data, error } = await supabase
+            .from('data_exports')
+            .select('*')
+            .eq('userid', req.user.userid)
+            .order('created_at', { ascending: false });
+        if (error) {
+            console.error('Error fetching exports:', error);
+            return res.status(500).json({ error: 'Database error fetching exports.' });
+        }
+
+        res.json((data || []).map(exportView));
+    })
+);
+
+// Status of one export, with a fresh download link once it's ready
+app.get(
+    '/api/me/exports/:exportId',
+    passport.authenticate('jwt', { session: false }),
+    asyncHandler(async (req, res) => {
+        const { data: job, error } = await supabase
+            .from('data_exports')
+            .select('*')
+            .eq('id', req.params.exportId)
+            .eq('userid', req.user.userid)
+            .maybeSingle();
+        if (error) {
+            console.error('Error fetching export:', error);
+            return res.status(500).json({ error: 'Database error fetching export.' });
+        }
+        if (!job) return res.status(404).json({ error: 'Export not found.' });
+
+        const view = exportView(job);
+        if (job.status === 'ready' && new Date(job.expires_at) > new Date()) {
+            const { data: signed, error: signErr } = await supabase
+                .storage
+                .from(EXPORTS_BUCKET)
+                .createSignedUrl(job.storage_path, EXPORT_LINK_TTL_SECONDS, {
+                    download: `cdd-export-${job.id}.zip`
+                });
+            if (signErr) throw signErr;
+
+            view.downloadUrl = signed.signedUrl;
+            view.downloadUrlExpiresAt = new Date(Date.now() + EXPORT_LINK_TTL_SECONDS * 1000).toISOString();
+        }
+
+        res.json(view);
+    })
+);
+
+
+// Protected route example (use this structure for a "protected route")
+app.get('/profiles', passport.authenticate('jwt', { session: false }), requireAdmin, asyncHandler(async (req, res) => {
+    console.log('Profiles request received');
+    const { data, error } = await supabase.from('useraccount').select(ADMIN_USER_COLUMNS);
+    if (error) {
+        console.error('Error fetching profiles:', error.message);
+        return res.status(400).json({ error });
+    }
+    console.log('Profiles fetched successfully:', data);
+    res.json(data);
+}));
+
+
+//
+// ───────────── ADMIN: USER MANAGEMENT ─────────────
+//
+
+// Admins can't demote, suspend or delete themselves, so there's always one left
+const refuseSelf = (req, res) => {
+    if (Number(req.params.userId) !== req.user.userid) return false;
+    res.status(400).json({ error: 'You cannot do this to your own account.' });
+    return true;
+};
+
+// List / search users (?q= matches username or email)
+app.get(
+    '/api/admin/users',
+    passport.authenticate('jwt', { session: false }),
+    requireAdmin,
+    asyncHandler(async (req, res) => {
+        const q = (req.query.q || '').trim();
+        const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+        const offset = Math.max(Number(req.query.offset) || 0, 0);
+
+        let query = supabase
+            .from('useraccount')
+            .select(ADMIN_USER_COLUMNS, { count: 'exact' })
+            .order('userid', { ascending: true })
+            .range(offset, offset + limit - 1);
+        if (q) {
+            // strip characters that have meaning inside a PostgREST or() filter
+            const term = q.replace(/[,()*%]/g, '');
+            query = query.or(`username.ilike.%${term}%,email.ilike.%${term}%`);
+        }
+
+        const { data, count, error } = await query;
+        if (error) {
+            console.error('Error listing users:', error);
+            return res.status(500).json({ error: 'Database error listing users.' });
+        }
+
+        res.json({ users: data || [], total: count ?? 0, limit, offset });
+    })
+);
+
+// Grant or remove admin rights
+app.put(
+    '/api/admin/users/:userId/admin',
+    passport.authenticate('jwt', { session: false }),
+    requireAdmin,
+    asyncHandler(async (req, res) => {
+        if (refuseSelf(req, res)) return;
+        const userId = Number(req.params.userId);
+        const { admin } = req.body;
+
+        if (typeof admin !== 'boolean') {
+            return res.status(400).json({ error: '"admin" must be true or false.' });
+        }
+
+        const { data: updated, error } = await supabase
+            .from('useraccount')
+            .update({ admin: admin ? 1 : 0 })
+            .eq('userid', userId)
+            .select(ADMIN_USER_COLUMNS)
+            .maybeSingle();
+        if (error) throw error;
+        if (!updated) return res.status(404).json({ error: 'User not found.' });
+
+        res.json({ user: updated });
+    })
+);
+
+// Suspend (kills every session) or reinstate a user
+app.put(
+    '/api/admin/users/:userId/suspension',
+    passport.authenticate('jwt', { session: false }),
+    requireAdmin,
+    asyncHandler(async (req, res) => {
+        if (refuseSelf(req, res)) return;
+        const userId = Number(req.params.userId);
+        const { suspended, reason } = req.body;
+
+        if (typeof suspended !== 'boolean') {
+            return res.status(400).json({ error: '"suspended" must be true or false.' });
+        }
+
+        const { data: updated, error } = await supabase
+            .from('useraccount')
+            .update(suspended
+                ? { suspended_at: new Date().toISOString(), suspension_reason: reason || null }
+                : { suspended_at: null, suspension_reason: null })
+            .eq('userid', userId)
+            .select(ADMIN_USER_COLUMNS)
+            .maybeSingle();
+        if (error) throw error;
+        if (!updated) return res.status(404).json({ error: 'User not found.' });
+
+        if (suspended) await revokeAllSessions(userId);
+
+        res.json({ user: updated });
+    })
+);
+
+// Failed login audit (?username= / ?ip= to narrow it down)
+app.get(
+    '/api/admin/login-attempts',
+    passport.authenticate('jwt', { session: false }),
+    requireAdmin,
+    asyncHandler(async (req, res) => {
+        const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 500);
+        const offset = Math.max(Number(req.query.offset) || 0, 0);
+
+        let query = supabase
+            .from('login_attempts')
+            .select('id, username, userid, ip, user_agent, reason, created_at', { count: 'exact' })
+            .order('created_at', { ascending: false })
+            .range(offset, offset + limit - 1);
+        if (req.query.username) query = query.ilike('username', req.query.username);
+        if (req.query.ip) query = query.eq('ip', req.query.ip);
+
+        const { data, count, error } = await query;
+        if (error) {
+            console.error('Error fetching login attempts:', error);
+            return res.status(500).json({ error: 'Database error fetching login attempts.' });
+        }
+
+        res.json({ attempts: data || [], total: count ?? 0, limit, offset });
+    })
+);
+
+// Delete a user
+app.delete(
+    '/api/admin/users/:userId',
+    passport.authenticate('jwt', { session: false }),
+    requireAdmin,
+    asyncHandler(async (req, res) => {
+        if (refuseSelf(req, res)) return;
+        const userId = Number(req.params.userId);
+
+        // No grace period when an admin does it
+        if (!(await deleteUserData(userId))) {
+            return res.status(404).json({ error: 'User not found.' });
+        }
+
+        res.json({ success: true });
+    })
+);
+
+
+//
+// ───────────── ADMIN: GAME CATALOG ─────────────
+//
+
+// Console ids arrive as a JSON string from multipart forms, or as an array from JSON bodies
+const parseConsoleIds = value => {
+    let ids = value;
+    if (typeof value === 'string') {
+        try {
+            ids = JSON.parse(value);
+        } catch (err) {
+            return null;
+        }
+    }
+    if (!Array.isArray(ids) || !ids.every(id => Number.isInteger(Number(id)))) return null;
+    return [...new Set(ids.map(Number))];
+};
+
+async function fetchGame(gameId) {
+    const { data, error } = await supabase
+        .from('gameinfo')
+        .select('gameid, name')
+        .eq('gameid', gameId)
+        .maybeSingle();
+    if (error) throw error;
+    return data;
+}
+
+// Make gameinfo_console for a game exactly match consoleIds
+async function setGameConsoles(gameId, consoleIds) {
+    const { error: delErr } = await supabase
+        .from('gameinfo_console')
+        .delete()
+        .eq('gameid', gameId);
+    if (delErr) throw delErr;
+
+    if (consoleIds.length) {
+        const { error: insErr } = await supabase
+            .from('gameinfo_console')
+            .insert(consoleIds.map(consoleid => ({ gameid: gameId, consoleid })));
+        if (insErr) throw insErr;
+    }
+
+    // Release dates for consoles the game is no longer on
+    let prune = supabase.from('game_release_dates').delete().eq('gameid', gameId);
+    if (consoleIds.length) prune = prune.not('consoleid', 'in', `(${consoleIds.join(',')})`);
+    const { error: pruneErr } = await prune;
+    if (pruneErr) throw pruneErr;
+}
+
+// Edit a catalog entry: any of Name, Consoles, CoverArt (file) and the
+// metadata fields accepted by parseGameMetadata
+app.put(
+    '/api/admin/games/:gameId',
+    passport.authenticate('jwt', { session: false }),
+    requireAdmin,
+    asyncHandler(async (req, res) => {
+        const gameId = Number(req.params.gameId);
+        const { Name, Consoles } = req.body;
+
+        if (!(await fetchGame(gameId))) {
+            return res.status(404).json({ error: 'Game not found' });
+        }
+
+        // 1) Core fields
+        const changes = {};
+        if (Name !== undefined) {
+            if (typeof Name !== 'string' || !Name.trim()) {
+                return res.status(400).json({ error: 'Name cannot be empty.' });
+            }
+            changes.name = Name.trim();
+        }
+        let coverVariants;
+        if (req.files?.CoverArt) {
+            try {
+                coverVariants = await renderCoverArt(req.files.CoverArt.data);
+            } catch (err) {
+                if (!err.invalidImage) throw err;
+                return res.status(400).json({ error: 'CoverArt must be an image.' });
+            }
+        }
+
+        let consoleIds;
+        if (Consoles !== undefined) {
+            consoleIds = parseConsoleIds(Consoles);
+            if (!consoleIds) {
+                return res.status(400).json({ error: 'Consoles must be a list of console ids.' });
+            }
+        }
+
+        const { fields: metadata, releaseDates, error: metadataError } = parseGameMetadata(req.body);
+        if (metadataError) return res.status(400).json({ error: metadataError });
+        Object.assign(changes, metadata);
+
+        if (releaseDates) {
+            let gameConsoleIds = consoleIds;
+            if (!gameConsoleIds) {
+                const { data: rows, error } = await supabase
+                    .from('gameinfo_console')
+                    .select('consoleid')
+                    .eq('gameid', gameId);
+                if (error) throw error;
+                gameConsoleIds = rows.map(r => r.consoleid);
+            }
+            if (releaseDatesOutsideConsoles(releaseDates, gameConsoleIds)) {
+                return res.status(400).json({ error: 'Release dates must be for one of the game\'s consoles.' });
+            }
+        }
+
+        if (Object.keys(changes).length) {
+            const { error } = await supabase
+                .from('gameinfo')
+                .update(changes)
+                .eq('gameid', gameId);
+            if (error) {
+                console.error('Error updating gameinfo:', error.message);
+                return res.status(500).json({ error: 'Error updating game.', details: error.message });
+            }
+        }
+
+        // 2) Linked consoles and release dates
+        if (consoleIds) await setGameConsoles(gameId, consoleIds);
+        if (releaseDates) await setReleaseDates(gameId, releaseDates);
+
+        // 3) New cover replaces the stored renditions
+        if (coverVariants) await storeCoverArt(supabase, gameId, coverVariants);
+
+        res.json({ message: 'Game updated successfully.' });
+    })
+);
+
+// Delete a catalog entry nobody has collected or wishlisted (otherwise merge it)
+app.delete(
+    '/api/admin/games/:gameId',
+    passport.authenticate('jwt', { session: false }),
+    requireAdmin,
+    asyncHandler(async (req, res) => {
+        const gameId = Number(req.params.gameId);
+
+        if (!(await fetchGame(gameId))) {
+            return res.status(404).json({ error: 'Game not found' });
+        }
+
+        const countRefs = async table => {
+            const { count, error } = await supabase
+                .from(table)
+                .select('*', { head: true, count: 'exact' })
+                .eq('gameid', gameId);
+            if (error) throw error;
+            return count || 0;
+        };
+        const [collections, wishlists] = await Promise.all([countRefs('vgcollection'), countRefs('vgwishlist')]);
+        if (collections || wishlists) {
+            return res.status(409).json({
+                error: 'Game is in use. Merge it into another entry instead.',
+                collections,
+                wishlists
+            });
+        }
+
+        await deleteGame(gameId);
+
+        res.json({ message: 'Game deleted.' });
+    })
+);
+
+// Fold a duplicate (:gameId) into the canonical entry (body.intoGameId)
+app.post(
+    '/api/admin/games/:gameId/merge',
+    passport.authenticate('jwt', { session: false }),
+    requireAdmin,
+    asyncHandler(async (req, res) => {
+        const duplicateId = Number(req.params.gameId);
+        const canonicalId = Number(req.body.intoGameId);
+
+        if (!Number.isInteger(canonicalId) || canonicalId === duplicateId) {
+            return res.status(400).json({ error: 'intoGameId must be a different game.' });
+        }
+        const [duplicate, canonical] = await Promise.all([fetchGame(duplicateId), fetchGame(canonicalId)]);
+        if (!duplicate || !canonical) {
+            return res.status(404).json({ error: 'Game not found' });
+        }
+
+        // Consoles, wishlists, collections, release dates and barcodes move
+        // to the canonical game and the duplicate is deleted, all in one
+        // transaction (merge_games). Collection copies all move as they are;
+        // a wishlist on both entries folds into the canonical one.
+        const { data: merged, error } = await supabase.rpc('merge_games', {
+            p_canonical: canonicalId,
+            p_duplicate: duplicateId
+        });
+        if (error?.code === 'P0002') return res.status(404).json({ error: 'Game not found' });
+        if (error) throw error;
+
+        await removeCoverArt(supabase, duplicateId);
+
+        res.json({
+            message: `Merged "${duplicate.name}" into "${canonical.name}".`,
+            gameId: canonicalId,
+            ...merged
+        });
+    })
+);
+
+
+
+
+
+//
+// ───────────── ADMIN: METADATA IMPORT ─────────────
+//
+
+// Configured from the environment: IGDB_CLIENT_ID + IGDB_CLIENT_SECRET,
+// MOBYGAMES_API_KEY, IMPORTER_FIXTURE_PATH (see importProviders.js)
+const importProviders = loadImportProviders();
+
+const requireImportProvider = (req, res, next) => {
+    req.importProvider = importProviders.get(req.params.provider);
+    if (req.importProvider) return next();
+    res.status(404).json({ error: 'Unknown import provider.' });
+};
+
+// Comparable form of a title: case, accents, punctuation and a leading
+// "The" don't count, so "The Legend of Zelda: Ocarina of Time" and
+// "legend of zelda ocarina of time" are the same game
+const normalizeGameName = name =>
+    String(name)
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim()
+        .replace(/^the /, '');
+
+// External genre names that don't match ours verbatim
+const GENRE_ALIASES = {
+    'role-playing (rpg)': 'RPG',
+    'role-playing': 'RPG',
+    platform: 'Platformer',
+    sport: 'Sports',
+    simulator: 'Simulation',
+    music: 'Rhythm',
+    'real time strategy (rts)': 'Strategy',
+    'turn-based strategy (tbs)': 'Strategy',
+    "hack and slash/beat 'em up": 'Action',
+    'point-and-click': 'Adventure',
+    'quiz/trivia': 'Party'
+};
+
+// Known genres become Genres, anything else is kept as a tag
+function mapExternalGenres(names) {
+    const genres = new Set();
+    const tags = new Set();
+    for (const name of names || []) {
+        const lower = String(name).trim().toLowerCase();
+        const genre = GENRES.find(g => g.toLowerCase() === lower) || GENRE_ALIASES[lower];
+        if (genre) genres.add(genre);
+        else if (lower && lower.length <= MAX_TAG_LENGTH) tags.add(lower);
+    }
+    return { genres: [...genres], tags: [...tags].slice(0, MAX_TAGS) };
+}
+
+// Existing games the import would duplicate: the same external record, or the same title
+async function findDuplicateGames(providerId, game) {
+    const { data: sameSource, error } = await supabase
+        .from('gameinfo')
+        .select('gameid, name')
+        .eq('import_source', providerId)
+        .eq('import_external_id', game.externalId);
+    if (error) throw error;
+
+    // Narrow by the longest word of the title, then compare normalized names
+    const wanted = normalizeGameName(game.name);
+    const word = wanted.split(' ').sort((a, b) => b.length - a.length)[0] || wanted;
+    const { data: candidates, error: nameErr } = await supabase
+        .from('gameinfo')
+        .select('gameid, name')
+        .ilike('name', `%${word}%`)
+        .limit(200);
+    if (nameErr) throw nameErr;
+
+    const duplicates = new Map(sameSource.map(g => [g.gameid, { ...g, reason: 'external_id' }]));
+    for (const g of candidates) {
+        if (!duplicates.has(g.gameid) && normalizeGameName(g.name) === wanted) {
+            duplicates.set(g.gameid, { ...g, reason: 'name' });
+        }
+    }
+    return [...duplicates.values()];
+}
+
+// Everything an import would write, worked out from the provider's record:
+// consoles matched by name, genres/tags, release dates on matched consoles
+async function buildImportPlan(provider, externalId) {
+    const game = await provider.fetchGame(externalId);
+    if (!game) return null;
+
+    const { data: consoles, error } = await supabase.from('console').select('consoleid, name');
+    if (error) throw error;
+    const consoleByName = new Map(consoles.map(c => [normalizeGameName(c.name), c]));
+
+    const matched = new Map();
+    const unmatchedPlatforms = [];
+    for (const platform of game.platforms) {
+        const found = consoleByName.get(normalizeGameName(platform));
+        if (found) matched.set(found.consoleid, found);
+        else unmatchedPlatforms.push(platform);
+    }
+
+    // One date per console and region, the earliest the provider knows of
+    const releaseDates = new Map();
+    for (const d of game.releaseDates) {
+        const found = consoleByName.get(normalizeGameName(d.platform));
+        if (!found || !REGIONS.includes(d.region)) continue;
+        const key = `${found.consoleid}:${d.region}`;
+        if (!releaseDates.has(key) || d.date < releaseDates.get(key).release_date) {
+            releaseDates.set(key, { consoleid: found.consoleid, region: d.region, release_date: d.date });
+        }
+    }
+
+    const { genres, tags } = mapExternalGenres(game.genres);
+    return {
+        source: { provider: provider.id, externalId: game.externalId, coverUrl: game.coverUrl || null },
+        name: game.name,
+        metadata: {
+            publisher: game.publisher || null,
+            developer: game.developer || null,
+            description: game.description ? game.description.slice(0, MAX_DESCRIPTION_LENGTH) : null,
+            genres,
+            tags,
+            aliases: [...new Set((game.aliases || []).map(a => String(a).trim()).filter(Boolean))]
+                .filter(a => a.length <= 100 && normalizeGameName(a) !== normalizeGameName(game.name))
+                .slice(0, MAX_ALIASES)
+        },
+        consoles: [...matched.values()],
+        unmatchedPlatforms,
+        releaseDates: [...releaseDates.values()],
+        duplicates: await findDuplicateGames(provider.id, game),
+        game
+    };
+}
+
+// Provider errors (bad credentials, rate limits), timeouts and network
+// failures are all upstream failures: 502, whichever route hit them
+const isImportProviderFailure = err =>
+    err.name === 'ImportProviderError' ||
+    err.name === 'TimeoutError' ||
+    err.name === 'AbortError' ||
+    (err.name === 'TypeError' && err.message === 'fetch failed');
+
+const importProviderFailed = (res, err) => {
+    console.error('Import provider error:', err.message);
+    res.status(502).json({ error: 'The import provider could not be reached.', details: err.message });
+};
+
+app.get(
+    '/api/admin/import/providers',
+    passport.authenticate('jwt', { session: false }),
+    requireAdmin,
+    (req, res) => {
+        res.json([...importProviders.values()].map(p => ({ id: p.id, label: p.label })));
+    }
+);
+
+// Search an external source (?q=)
+app.get(
+    '/api/admin/import/:provider/search',
+    passport.authenticate('jwt', { session: false }),
+    requireAdmin,
+    requireImportProvider,
+    asyncHandler(async (req, res) => {
+        const q = String(req.query.q || '').trim();
+        if (!q) return res.status(400).json({ error: 'Search query is required.' });
+
+        let results;
+        try {
+            results = await req.importProvider.search(q);
+        } catch (err) {
+            if (!isImportProviderFailure(err)) throw err;
+            return importProviderFailed(res, err);
+        }
+        res.json({ results });
+    })
+);
+
+// Preview what importing one external game would create
+app.get(
+    '/api/admin/import/:provider/games/:externalId',
+    passport.authenticate('jwt', { session: false }),
+    requireAdmin,
+    requireImportProvider,
+    asyncHandler(async (req, res) => {
+        let plan;
+        try {
+            plan = await buildImportPlan(req.importProvider, req.params.externalId);
+        } catch (err) {
+            if (!isImportProviderFailure(err)) throw err;
+            return importProviderFailed(res, err);
+        }
+        if (!plan) return res.status(404).json({ error: 'Game not found at the provider.' });
+
+        const { game, ...preview } = plan;
+        res.json(preview);
+    })
+);
+
+// Import one external game into the catalog. Body (all optional):
+//   Consoles       console ids to use instead of the matched ones
+//   allowDuplicate import even if a game with the same title exists
+app.post(
+    '/api/admin/import/:provider/games/:externalId',
+    passport.authenticate('jwt', { session: false }),
+    requireAdmin,
+    requireImportProvider,
+    asyncHandler(async (req, res) => {
+        let plan;
+        try {
+            plan = await buildImportPlan(req.importProvider, req.params.externalId);
+        } catch (err) {
+            if (!isImportProviderFailure(err)) throw err;
+            return importProviderFailed(res, err);
+        }
+        if (!plan) return res.status(404).json({ error: 'Game not found at the provider.' });
+
+        // The same external record is never imported twice; a title match
+        // needs an explicit go-ahead
+        const allowDuplicate = req.body.allowDuplicate === true || req.body.allowDuplicate === 'true';
+        const blocking = plan.duplicates.filter(d => d.reason === 'external_id' || !allowDuplicate);
+        if (blocking.length) {
+            return res.status(409).json({ error: 'This game is already in the catalog.', duplicates: blocking });
+        }
+
+        let consoleIds = plan.consoles.map(c => c.consoleid);
+        if (req.body.Consoles !== undefined) {
+            consoleIds = parseConsoleIds(req.body.Consoles);
+            if (!consoleIds) {
+                return res.status(400).json({ error: 'Consoles must be a list of console ids.' });
+            }
+        }
+        if (!consoleIds.length) {
+            return res.status(400).json({
+                error: 'None of the platforms match a console. Pass Consoles to pick them.',
+                unmatchedPlatforms: plan.unmatchedPlatforms
+            });
+        }
+
+        // A missing or broken cover doesn't stop the import; it can be added later
+        let coverVariants = null;
+        try {
+            const image = await req.importProvider.loadCover(plan.game);
+            if (image) coverVariants = await renderCoverArt(image);
+        } catch (err) {
+            console.error(`Skipping cover for ${plan.source.provider}:${plan.source.externalId}:`, err.message);
+        }
+
+        const { gameId, cover } = await createGame({
+            name: plan.name,
+            consoleIds,
+            metadata: plan.metadata,
+            releaseDates: plan.releaseDates.filter(d => consoleIds.includes(d.consoleid)),
+            coverVariants,
+            status: 'approved',
+            importSource: plan.source.provider,
+            importExternalId: plan.source.externalId
+        });
+
+        res.status(201).json({ message: `Imported "${plan.name}".`, gameId, Cover: cover });
+    })
+);
+
+
+//
+// ───────────── ADMIN: BULK CATALOG IMPORT ─────────────
+//
+
+const BULK_IMPORT_MAX_ROWS = 2000;
+const BULK_IMPORT_BATCH_SIZE = 100;
+const BULK_COVER_CONCURRENCY = 4;
+
+// Minimal RFC 4180 reader: quoted fields, doubled quotes, CRLF, BOM.
+// Returns one object per data row keyed by the normalized header names.
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    text = text.replace(/^\uFEFF/, '');
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"' && field === '') {
+            quoted = true;
+        } else if (ch === ',') {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (quoted) throw new Error('Unterminated quoted field.');
+    if (field !== '' || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const nonEmpty = rows.filter(r => r.some(cell => cell.trim() !== ''));
+    if (!nonEmpty.length) return [];
+    const headers = nonEmpty[0].map(h => h.trim().toLowerCase().replace(/\s+/g, '_'));
+    return nonEmpty.slice(1).map(cells =>
+        Object.fromEntries(headers.map((h, i) => [h, cells[i] ?? ''])));
+}
+
+// CSV cells hold several values separated by "|"; JSON may use real arrays
+const splitMulti = value => {
+    if (value === undefined || value === null || value === '') return [];
+    const list = Array.isArray(value) ? value : String(value).split('|');
+    return list.map(v => String(v).trim()).filter(Boolean);
+};
+
+// Every gameid/name in the catalog, fetched a page at a time
+async function fetchAllGameNames() {
+    const pageSize = 1000;
+    const all = [];
+    for (let from = 0; ; from += pageSize) {
+        const { data, error } = await supabase
+            .from('gameinfo')
+            .select('gameid, name')
+            .order('gameid', { ascending: true })
+            .range(from, from + pageSize - 1);
+        if (error) throw error;
+        all.push(...data);
+        if (data.length < pageSize) return all;
+    }
+}
+
+// Check every row. Columns: name, consoles, cover_url, publisher, developer,
+// description, genres, tags. Returns { games, errors } where errors are per row.
+async function validateBulkRows(rows) {
+    const { data: consoles, error } = await supabase.from('console').select('consoleid, name');
+    if (error) throw error;
+    const consoleByName = new Map(consoles.map(c => [normalizeGameName(c.name), c.consoleid]));
+
+    const existing = new Map((await fetchAllGameNames()).map(g => [normalizeGameName(g.name), g]));
+    const seenInFile = new Map();
+
+    const games = [];
+    const errors = [];
+    rows.forEach(({ line, data }) => {
+        const problems = [];
+        const name = String(data.name ?? '').trim();
+        if (!name) problems.push('name is required');
+
+        const key = normalizeGameName(name);
+        if (name && existing.has(key)) {
+            problems.push(`already in the catalog as #${existing.get(key).gameid} "${existing.get(key).name}"`);
+        } else if (name && seenInFile.has(key)) {
+            problems.push(`duplicate of row ${seenInFile.get(key)}`);
+        }
+        if (name) seenInFile.set(key, line);
+
+        const consoleNames = splitMulti(data.consoles);
+        if (!consoleNames.length) problems.push('at least one console is required');
+        const unknown = consoleNames.filter(c => !consoleByName.has(normalizeGameName(c)));
+        if (unknown.length) problems.push(`unknown console(s): ${unknown.join(', ')}`);
+
+        const coverUrl = String(data.cover_url ?? '').trim() || null;
+        if (coverUrl && !/^https?:\/\/\S+$/i.test(coverUrl)) problems.push('cover_url must be an http(s) link');
+
+        const { fields: metadata, error: metadataError } = parseGameMetadata({
+            Publisher: data.publisher,
+            Developer: data.developer,
+            Description: data.description,
+            Genres: splitMulti(data.genres),
+            Tags: splitMulti(data.tags)
+        });
+        if (metadataError) problems.push(metadataError);
+
+        if (problems.length) {
+            errors.push({ row: line, name: name || null, errors: problems });
+        } else {
+            games.push({
+                line,
+                name,
+                consoleIds: [...new Set(consoleNames.map(c => consoleByName.get(normalizeGameName(c))))],
+                coverUrl,
+                metadata
+            });
+        }
+    });
+
+    return { games, errors };
+}
+
+// Insert validated games batch by batch. A batch whose console links fail
+// is removed again and the import stops there.
+async function insertBulkGames(games) {
+    const created = [];
+    for (let i = 0; i < games.length; i += BULK_IMPORT_BATCH_SIZE) {
+        const batch = games.slice(i, i + BULK_IMPORT_BATCH_SIZE);
+
+        const { data: inserted, error } = await supabase
+            .from('gameinfo')
+            .insert(batch.map(g => ({ name: g.name, ...g.metadata, status: 'approved', import_source: 'bulk' })))
+            .select('gameid, name');
+        if (error) return { created, failure: { rows: batch.map(g => g.line), error: error.message } };
+
+        // Names are unique within the file, so they tie the new ids back to rows
+        const idByName = new Map(inserted.map(g => [g.name, g.gameid]));
+        const withIds = batch.map(g => ({ ...g, gameId: idByName.get(g.name) }));
+
+        const { error: linkErr } = await supabase
+            .from('gameinfo_console')
+            .insert(withIds.flatMap(g => g.consoleIds.map(consoleid => ({ gameid: g.gameId, consoleid }))));
+        if (linkErr) {
+            await deleteIn('gameinfo', 'gameid', withIds.map(g => g.gameId));
+            return { created, failure: { rows: batch.map(g => g.line), error: linkErr.message } };
+        }
+
+        created.push(...withIds);
+    }
+    return { created };
+}
+
+// Covers are fetched in the background once the rows exist, so a file of
+// 2000 links doesn't hold the request open. A bad link only costs the cover
+// (it can be uploaded later through the game editor) and is logged.
+async function importBulkCovers(games) {
+    const queue = games.filter(g => g.coverUrl);
+    const total = queue.length;
+    let failed = 0;
+    const worker = async () => {
+        for (let g = queue.shift(); g; g = queue.shift()) {
+            try {
+                const variants = await renderCoverArt(await downloadImage(g.coverUrl));
+                await storeCoverArt(supabase, g.gameId, variants);
+            } catch (err) {
+                failed++;
+                console.error(`Bulk import: cover for row ${g.line} (game ${g.gameId}) not imported:`, err.message);
+            }
+        }
+    };
+    await Promise.all(Array.from({ length: BULK_COVER_CONCURRENCY }, worker));
+    if (failed) console.error(`Bulk import: ${failed} of ${total} covers not imported`);
+}
+
+// Upload a CSV or JSON file (field "file") of games. Nothing is written
+// unless every row is valid; ?dryRun=true only validates.
+app.post(
+    '/api/admin/games/import',
+    passport.authenticate('jwt', { session: false }),
+    requireAdmin,
+    asyncHandler(async (req, res) => {
+        const file = req.files?.file;
+        if (!file) return res.status(400).json({ error: 'Upload a CSV or JSON file as "file".' });
+        const dryRun = req.query.dryRun === 'true' || req.body.dryRun === 'true' || req.body.dryRun === true;
+
+        // 1) Parse. JSON is an array of objects with the same keys as the CSV columns.
+        const isJson = /\.json$/i.test(file.name) || file.mimetype === 'application/json';
+        let rows;
+        try {
+            const text = file.data.toString('utf8');
+            if (isJson) {
+                const parsed = JSON.parse(text);
+                if (!Array.isArray(parsed)) throw new Error('Expected an array of games.');
+                rows = parsed.map((data, i) => ({ line: i + 1, data: data || {} }));
+            } else {
+                // Row numbers match the spreadsheet: the header is row 1
+                rows = parseCsv(text).map((data, i) => ({ line: i + 2, data }));
+            }
+        } catch (err) {
+            return res.status(400).json({ error: `Could not read the ${isJson ? 'JSON' : 'CSV'} file: ${err.message}` });
+        }
+        if (!rows.length) return res.status(400).json({ error: 'The file has no games in it.' });
+        if (rows.length > BULK_IMPORT_MAX_ROWS) {
+            return res.status(400).json({ error: `At most ${BULK_IMPORT_MAX_ROWS} games per file.` });
+        }
 
-        if (updErr) {
-            console.error('update gamedetails failed:', updErr);
-            return false;
+        // 2) Validate everything up front
+        const { games, errors } = await validateBulkRows(rows);
+        const report = { dryRun, total: rows.length, valid: games.length, errors };
+        if (dryRun) return res.json(report);
+        if (errors.length) {
+            return res.status(422).json({ ...report, error: 'Fix the rows listed in errors and upload again.' });
         }
 
-        // 3) wipe out the old console‐links for this collection
-        const { error: delErr } = await supabase
-            .from('vgcollection_console')
-            .delete()
-            .eq('collectionid', collectionid);
-        if (delErr) {
-            console.error('delete old consoles failed:', delErr);
-            return false;
+        // 3) Insert in batches, then queue the covers
+        const { created, failure } = await insertBulkGames(games);
+        if (failure) {
+            console.error('Bulk import stopped:', failure.error);
         }
+        importBulkCovers(created).catch(err => console.error('Bulk import covers failed:', err));
+
+        res.status(failure ? 500 : 201).json({
+            ...report,
+            created: created.length,
+            gameIds: created.map(g => g.gameId),
+            coversQueued: created.filter(g => g.coverUrl).length,
+            ...(failure && { error: 'Import stopped part-way; earlier batches were saved.', failure })
+        });
+    })
+);
 
-        // 4) insert the new consoleIds
-        if (Array.isArray(consoleIds) && consoleIds.length) {
-            const rows = consoleIds.map(consoleid => ({
-                collectionid,
-                consoleid
-            }));
-            const { error: insErr } = await supabase
-                .from('vgcollection_console')
-                .insert(rows);
-            if (insErr) {
-                console.error('insert new consoles failed:', insErr);
-                return false;
-            }
+
+//
+// ───────────── CONSOLES ─────────────
+//
+
+// Market regions, shared by consoles and anything else that is region-specific
+const REGIONS = ['NA', 'EU', 'JP', 'AU', 'KR', 'CN', 'WW'];
+
+const CONSOLE_ICONS_BUCKET = 'console-icons';
+const CONSOLE_COLUMNS = 'consoleid, name, manufacturer, generation, release_year, region, icon_url';
+
+// Validate console fields from a JSON or multipart body. Only the fields
+// present are returned, so the same parser serves create and update.
+function parseConsoleFields(body) {
+    const fields = {};
+    const optionalText = value => (value === null || String(value).trim() === '' ? null : String(value).trim());
+    const optionalInt = value => (value === null || String(value).trim() === '' ? null : Number(value));
+
+    if (body.name !== undefined) {
+        if (typeof body.name !== 'string' || !body.name.trim()) return { error: 'Name cannot be empty.' };
+        fields.name = body.name.trim();
+    }
+    if (body.manufacturer !== undefined) fields.manufacturer = optionalText(body.manufacturer);
+    if (body.generation !== undefined) {
+        fields.generation = optionalInt(body.generation);
+        if (fields.generation !== null && !(Number.isInteger(fields.generation) && fields.generation >= 1 && fields.generation <= 20)) {
+            return { error: 'Generation must be a whole number between 1 and 20.' };
+        }
+    }
+    if (body.release_year !== undefined) {
+        fields.release_year = optionalInt(body.release_year);
+        const maxYear = new Date().getFullYear() + 5;
+        if (fields.release_year !== null && !(Number.isInteger(fields.release_year) && fields.release_year >= 1950 && fields.release_year <= maxYear)) {
+            return { error: `Release year must be between 1950 and ${maxYear}.` };
+        }
+    }
+    if (body.region !== undefined) {
+        fields.region = optionalText(body.region);
+        if (fields.region !== null && !REGIONS.includes(fields.region)) {
+            return { error: `Region must be one of ${REGIONS.join(', ')}.` };
+        }
+    }
+    // An icon can also be given as a link instead of an upload; empty clears it
+    if (body.icon_url !== undefined) {
+        fields.icon_url = optionalText(body.icon_url);
+        if (fields.icon_url !== null && !/^https:\/\//i.test(fields.icon_url)) {
+            return { error: 'Icon URL must be an https link.' };
         }
-        return true;
-    } catch (err) {
-        console.error('Unexpected error in editGameDetails:', err);
-        return false;
     }
+    return { fields };
 }
 
-app.get('/api/reports/:reportType', passport.authenticate('jwt', { session: false }), async (req, res) => {
-    try {
-        console.log("Received request for report type:", req.params.reportType);
-        const reportTypes = req.params.reportType.split(','); // Split the report types
-        const results = {};
+async function fetchConsole(consoleId) {
+    const { data, error } = await supabase
+        .from('console')
+        .select(CONSOLE_COLUMNS)
+        .eq('consoleid', consoleId)
+        .maybeSingle();
+    if (error) throw error;
+    return data;
+}
 
-        // Process each report type
-        for (const reportType of reportTypes) {
-            console.log(`Processing report type: ${reportType}`);
+// Console names are unique, case-insensitively
+async function consoleNameTaken(name, exceptId) {
+    let query = supabase
+        .from('console')
+        .select('consoleid')
+        .ilike('name', name.replace(/[\\%_]/g, '\\$&'));
+    if (exceptId) query = query.neq('consoleid', exceptId);
+    const { data, error } = await query.limit(1);
+    if (error) throw error;
+    return data.length > 0;
+}
 
-            // Total Users
-            if (reportType === 'TotalUsers') {
-                const { data: totalUsersData, error: totalUsersError } = await supabase
-                    .from('useraccount')
-                    .select('userid', { count: 'exact' });
+// Upload an icon file and return its public URL
+async function uploadConsoleIcon(consoleId, file) {
+    const objectPath = `${consoleId}/${Date.now()}_${file.name}`;
+    const bucket = supabase.storage.from(CONSOLE_ICONS_BUCKET);
+    const { error } = await bucket.upload(objectPath, file.data, { contentType: file.mimetype, upsert: true });
+    if (error) throw error;
+    return bucket.getPublicUrl(objectPath).data.publicUrl;
+}
 
-                if (totalUsersError) throw totalUsersError;
-                results.totalUsers = { count: totalUsersData.length };
-            }
+// Remove uploaded icons for a console, except the one still in use
+async function removeConsoleIcons(consoleId, keepUrl) {
+    const bucket = supabase.storage.from(CONSOLE_ICONS_BUCKET);
+    const { data: files, error } = await bucket.list(String(consoleId));
+    if (error) throw error;
+    const stale = (files || [])
+        .map(f => `${consoleId}/${f.name}`)
+        .filter(p => !keepUrl || !keepUrl.endsWith(`/${CONSOLE_ICONS_BUCKET}/${p}`));
+    if (stale.length) {
+        const { error: rmErr } = await bucket.remove(stale);
+        if (rmErr) throw rmErr;
+    }
+}
 
-            // Total Collections
-            if (reportType === 'TotalCollections') {
-                const { data: totalCollectionsData, error: totalCollectionsError } = await supabase
-                    .from('vgcollection')
-                    .select('collectionid', { count: 'exact' });
+// Validates the optional Icon upload; returns an error message or null
+const invalidIcon = file => {
+    if (!file) return null;
+    if (!/^image\//.test(file.mimetype)) return 'Icon must be an image.';
+    if (file.size > 1024 * 1024) return 'Icon must be 1 MB or smaller.';
+    return null;
+};
 
-                if (totalCollectionsError) throw totalCollectionsError;
-                results.totalCollections = { count: totalCollectionsData.length };
-            }
+// All consoles for pickers (?manufacturer=, ?generation=, ?region= narrow it down)
+app.get(
+    '/api/consoles',
+    requireUserOrToken,
+    requireScope('catalog:read'),
+    asyncHandler(async (req, res) => {
+        let query = supabase
+            .from('console')
+            .select(CONSOLE_COLUMNS)
+            .order('name', { ascending: true });
+        if (req.query.manufacturer) query = query.ilike('manufacturer', String(req.query.manufacturer));
+        if (req.query.generation) query = query.eq('generation', Number(req.query.generation));
+        if (req.query.region) query = query.eq('region', String(req.query.region));
+
+        const { data, error } = await query;
+        if (error) {
+            console.error('Error fetching consoles:', error);
+            return res.status(500).json({ error: 'Database error fetching consoles.' });
+        }
 
-            // Most Collected Game
-            if (reportType === 'MostCollectedGame') {
-                const { data: vgCollectionData, error: vgCollectionError } = await supabase
-                    .from('vgcollection')
-                    .select('gameid');
+        res.json({ results: data || [], regions: REGIONS });
+    })
+);
 
-                if (vgCollectionError) throw vgCollectionError;
+app.get(
+    '/api/consoles/:consoleId',
+    requireUserOrToken,
+    requireScope('catalog:read'),
+    asyncHandler(async (req, res) => {
+        const found = await fetchConsole(Number(req.params.consoleId));
+        if (!found) return res.status(404).json({ error: 'Console not found' });
+        res.json(found);
+    })
+);
 
-                // Count occurrences of each gameid
-                const gameCount = {};
-                vgCollectionData.forEach(({ gameid }) => {
-                    gameCount[gameid] = (gameCount[gameid] || 0) + 1;
-                });
+// Create a console: name (required), manufacturer, generation, release_year,
+// region, and an Icon upload or icon_url
+app.post(
+    '/api/admin/consoles',
+    passport.authenticate('jwt', { session: false }),
+    requireAdmin,
+    asyncHandler(async (req, res) => {
+        const { fields, error: fieldError } = parseConsoleFields(req.body);
+        if (fieldError) return res.status(400).json({ error: fieldError });
+        if (!fields.name) return res.status(400).json({ error: 'Name is required.' });
 
-                // Find the gameid with the highest count
-                let mostCollectedGameId = null;
-                let maxCount = 0;
-                for (const gameid in gameCount) {
-                    if (gameCount[gameid] > maxCount) {
-                        maxCount = gameCount[gameid];
-                        mostCollectedGameId = gameid;
-                    }
-                }
+        const iconError = invalidIcon(req.files?.Icon);
+        if (iconError) return res.status(400).json({ error: iconError });
 
-                if (mostCollectedGameId) {
-                    const { data: mostCollectedGame, error: mostCollectedGameError } = await supabase
-                        .from('gameinfo')
-                        .select('*')
-                        .eq('gameid', mostCollectedGameId)
-                        .single();
+        if (await consoleNameTaken(fields.name)) {
+            return res.status(409).json({ error: 'A console with that name already exists.' });
+        }
 
-                    if (mostCollectedGameError) throw mostCollectedGameError;
-                    results.mostCollectedGame = {
-                        ...mostCollectedGame,
-                        count: maxCount
-                    };
-                } else {
-                    results.mostCollectedGame = { count: 0 };
-                }
-            }
+        const { data: created, error } = await supabase
+            .from('console')
+            .insert(fields)
+            .select(CONSOLE_COLUMNS)
+            .single();
+        if (error) {
+            console.error('Error creating console:', error.message);
+            return res.status(500).json({ error: 'Error creating console.', details: error.message });
+        }
 
-            // Highest Reviewed Game
-            if (reportType === 'HighestReviewedGame') {
-                // Step 1: Fetch the highest rating from gamedetails
-                const { data: highestRatingData, error: highestRatingError } = await supabase
-                    .from('gamedetails')
-                    .select('rating, gamedetailsid')
-                    .order('rating', { ascending: false })
-                    .limit(1);
+        if (req.files?.Icon) {
+            const icon_url = await uploadConsoleIcon(created.consoleid, req.files.Icon);
+            const { error: iconErr } = await supabase
+                .from('console')
+                .update({ icon_url })
+                .eq('consoleid', created.consoleid);
+            if (iconErr) throw iconErr;
+            created.icon_url = icon_url;
+        }
 
-                if (highestRatingError) throw highestRatingError;
+        res.status(201).json(created);
+    })
+);
 
-                // Extract the highest rating and corresponding gamedetailsid
-                const highestRating = highestRatingData[0]?.rating;
-                const highestGamedetailsId = highestRatingData[0]?.gamedetailsid;
+// Edit any subset of the console fields
+app.put(
+    '/api/admin/consoles/:consoleId',
+    passport.authenticate('jwt', { session: false }),
+    requireAdmin,
+    asyncHandler(async (req, res) => {
+        const consoleId = Number(req.params.consoleId);
+        if (!(await fetchConsole(consoleId))) {
+            return res.status(404).json({ error: 'Console not found' });
+        }
 
-                if (highestGamedetailsId) {
-                    // Step 2: Find the gameid related to the highest-rated gamedetailsid
-                    const { data: gameIdData, error: gameIdError } = await supabase
-                        .from('vgcollection')
-                        .select('gameid')
-                        .eq('gamedetailsid', highestGamedetailsId)
-                        .limit(1);
+        const { fields, error: fieldError } = parseConsoleFields(req.body);
+        if (fieldError) return res.status(400).json({ error: fieldError });
 
-                    if (gameIdError) throw gameIdError;
+        const iconError = invalidIcon(req.files?.Icon);
+        if (iconError) return res.status(400).json({ error: iconError });
 
-                    const gameId = gameIdData[0]?.gameid;
+        if (fields.name && await consoleNameTaken(fields.name, consoleId)) {
+            return res.status(409).json({ error: 'A console with that name already exists.' });
+        }
 
-                    if (gameId) {
-                        // Step 3: Fetch the game details from gameinfo using gameid
-                        const { data: gameInfoData, error: gameInfoError } = await supabase
-                            .from('gameinfo')
-                            .select('*')
-                            .eq('gameid', gameId)
-                            .single();
+        if (req.files?.Icon) fields.icon_url = await uploadConsoleIcon(consoleId, req.files.Icon);
+        if (!Object.keys(fields).length) {
+            return res.status(400).json({ error: 'Nothing to update.' });
+        }
 
-                        if (gameInfoError) throw gameInfoError;
+        const { data: updated, error } = await supabase
+            .from('console')
+            .update(fields)
+            .eq('consoleid', consoleId)
+            .select(CONSOLE_COLUMNS)
+            .single();
+        if (error) {
+            console.error('Error updating console:', error.message);
+            return res.status(500).json({ error: 'Error updating console.', details: error.message });
+        }
 
-                        // Combine the rating with the game info
-                        results.highestReviewedGame = {
-                            ...gameInfoData,
-                            rating: highestRating
-                        };
-                    } else {
-                        results.highestReviewedGame = { name: 'N/A', rating: 'N/A' };  // Default if no game found
-                    }
-                } else {
-                    results.highestReviewedGame = { name: 'N/A', rating: 'N/A' };  // Default if no rating found
-                }
-            }
+        // Uploaded icons that were replaced or cleared
+        if (fields.icon_url !== undefined) await removeConsoleIcons(consoleId, updated.icon_url);
 
+        res.json(updated);
+    })
+);
 
-            // Most Wanted Game
-            if (reportType === 'MostWantedGame') {
-                // Fetch all wishlist entries
-                const { data: wishlistData, error: wishlistError } = await supabase
-                    .from('vgwishlist')
-                    .select('gameid');
+// Delete a console no game, collection or wishlist entry refers to
+app.delete(
+    '/api/admin/consoles/:consoleId',
+    passport.authenticate('jwt', { session: false }),
+    requireAdmin,
+    asyncHandler(async (req, res) => {
+        const consoleId = Number(req.params.consoleId);
+        if (!(await fetchConsole(consoleId))) {
+            return res.status(404).json({ error: 'Console not found' });
+        }
 
-                if (wishlistError) throw wishlistError;
+        const countRefs = async table => {
+            const { count, error } = await supabase
+                .from(table)
+                .select('*', { head: true, count: 'exact' })
+                .eq('consoleid', consoleId);
+            if (error) throw error;
+            return count || 0;
+        };
+        const [games, collections, wishlists, barcodes] = await Promise.all([
+            countRefs('gameinfo_console'),
+            countRefs('vgcollection_console'),
+            countRefs('vgwishlist_console'),
+            countRefs('game_barcodes')
+        ]);
+        if (games || collections || wishlists || barcodes) {
+            return res.status(409).json({
+                error: 'Console is still in use.',
+                games,
+                collections,
+                wishlists,
+                barcodes
+            });
+        }
 
-                // Count occurrences of each gameid
-                const gameCount = {};
-                wishlistData.forEach(({ gameid }) => {
-                    gameCount[gameid] = (gameCount[gameid] || 0) + 1;
-                });
+        await deleteIn('console', 'consoleid', [consoleId]);
+        await removeConsoleIcons(consoleId, null);
 
-                // Find the gameid with the highest count
-                let mostWantedGameId = null;
-                let maxCount = 0;
-                for (const gameid in gameCount) {
-                    if (gameCount[gameid] > maxCount) {
-                        maxCount = gameCount[gameid];
-                        mostWantedGameId = gameid;
-                    }
-                }
+        res.json({ message: 'Console deleted.' });
+    })
+);
 
-                if (mostWantedGameId) {
-                    // Fetch details of the most wanted game
-                    const { data: mostWantedGame, error: mostWantedGameError } = await supabase
-                        .from('gameinfo')
-                        .select('*')
-                        .eq('gameid', mostWantedGameId)
-                        .single();
 
-                    if (mostWantedGameError) throw mostWantedGameError;
-                    results.mostWantedGame = {
-                        ...mostWantedGame,
-                        count: maxCount  // Include the count in the response
-                    };
-                } else {
-                    results.mostWantedGame = { count: 0 };  // Default to 0 if no game found
-                }
-            }
+//
+// ───────────── BARCODES ─────────────
+//
 
+// Box barcodes (UPC-A, EAN-13, EAN-8, GTIN-14) map to a game on a console
+// in a region. Codes are stored as 14-digit GTINs so a UPC scanned as 12 or
+// 13 digits finds the same row. Users contribute unknown codes through a
+// moderated submissions table; admin contributions apply straight away.
+const BARCODE_SUBMISSION_STATUSES = ['pending', 'approved', 'rejected'];
+const barcodeSubmitRateLimit = rateLimit({
+    name: 'barcode-submit',
+    max: 30,
+    windowMs: 60 * 60 * 1000,
+    key: req => req.user.userid
+});
 
-            // Total Wishlists
-            if (reportType === 'TotalWishlists') {
-                const { data: totalWishlistsData, error: totalWishlistsError } = await supabase
-                    .from('vgwishlist')
-                    .select('*', { count: 'exact' });
+// GTIN check digit: weights 3,1,3,1… from the right, excluding the check digit
+const gtinCheckDigit = body => {
+    let sum = 0;
+    for (let i = 0; i < body.length; i++) {
+        sum += Number(body[body.length - 1 - i]) * (i % 2 === 0 ? 3 : 1);
+    }
+    return (10 - (sum % 10)) % 10;
+};
 
-                if (totalWishlistsError) throw totalWishlistsError;
-                results.totalWishlists = { count: totalWishlistsData.length };
+// Canonical 14-digit form of a scanned code, or null if it isn't a valid GTIN
+function normalizeBarcode(code) {
+    const digits = String(code || '').replace(/[\s-]/g, '');
+    if (!/^(\d{8}|\d{12}|\d{13}|\d{14})$/.test(digits)) return null;
+    if (gtinCheckDigit(digits.slice(0, -1)) !== Number(digits.slice(-1))) return null;
+    return digits.padStart(14, '0');
+}
+
+// Shortest conventional form for display: EAN-8, UPC-A or EAN-13
+const displayBarcode = gtin => {
+    if (gtin.startsWith('000000')) return gtin.slice(6);
+    if (gtin.startsWith('00')) return gtin.slice(2);
+    return gtin.startsWith('0') ? gtin.slice(1) : gtin;
+};
+
+// Check a { barcode, gameId, consoleId, region } body against the catalog.
+// Returns { mapping } ready to insert, or { status, error }.
+async function validateBarcodeMapping(body, viewer) {
+    const barcode = normalizeBarcode(body.barcode);
+    if (!barcode) return { status: 400, error: 'That is not a valid UPC/EAN barcode.' };
+
+    const gameId = Number(body.gameId);
+    const consoleId = Number(body.consoleId);
+    if (!Number.isInteger(gameId) || !Number.isInteger(consoleId)) {
+        return { status: 400, error: 'gameId and consoleId are required.' };
+    }
+    const region = body.region ? String(body.region) : null;
+    if (region && !REGIONS.includes(region)) {
+        return { status: 400, error: `Region must be one of ${REGIONS.join(', ')}.` };
+    }
+
+    const { data: game, error } = await supabase
+        .from('gameinfo')
+        .select('gameid, status, submitted_by, gameinfo_console ( consoleid )')
+        .eq('gameid', gameId)
+        .maybeSingle();
+    if (error) throw error;
+    if (!game || !(isAdmin(viewer) || gameVisibleTo(game, viewer.userid))) {
+        return { status: 404, error: 'Game not found' };
+    }
+    if (!game.gameinfo_console.some(c => c.consoleid === consoleId)) {
+        return { status: 400, error: 'That game is not listed on that console.' };
+    }
+
+    const { data: existing, error: exErr } = await supabase
+        .from('game_barcodes')
+        .select('barcode')
+        .eq('barcode', barcode)
+        .maybeSingle();
+    if (exErr) throw exErr;
+    if (existing) return { status: 409, error: 'That barcode is already known.' };
+
+    return { mapping: { barcode, gameid: gameId, consoleid: consoleId, region } };
+}
+
+// Resolve a scanned barcode to its game and console
+app.get(
+    '/api/lookup/barcode/:code',
+    requireUserOrToken,
+    requireScope('catalog:read'),
+    asyncHandler(async (req, res) => {
+        const barcode = normalizeBarcode(req.params.code);
+        if (!barcode) return res.status(400).json({ error: 'That is not a valid UPC/EAN barcode.' });
+
+        const { data: found, error } = await supabase
+            .from('game_barcodes')
+            .select(`
+        barcode,
+        region,
+        console ( consoleid, name ),
+        gameinfo ( gameid, name, status, submitted_by, ${COVER_COLUMNS} )
+      `)
+            .eq('barcode', barcode)
+            .maybeSingle();
+        if (error) {
+            console.error('Error looking up barcode:', error);
+            return res.status(500).json({ error: 'Database error looking up barcode.' });
+        }
+
+        if (!found || !gameVisibleTo(found.gameinfo, req.user.userid)) {
+            // Let the scanner know whether they've already sent this one in
+            const { data: mine, error: subErr } = await supabase
+                .from('barcode_submissions')
+                .select('id')
+                .eq('barcode', barcode)
+                .eq('submitted_by', req.user.userid)
+                .eq('status', 'pending')
+                .limit(1);
+            if (subErr) throw subErr;
+            return res.status(404).json({
+                error: 'Unknown barcode.',
+                barcode: displayBarcode(barcode),
+                submissionPending: mine.length > 0
+            });
+        }
+
+        res.json({
+            barcode: displayBarcode(found.barcode),
+            region: found.region,
+            console: found.console,
+            game: {
+                GameId: found.gameinfo.gameid,
+                Name: found.gameinfo.name,
+                ...coverFields(found.gameinfo),
+                Status: found.gameinfo.status
             }
+        });
+    })
+);
+
+// Suggest what an unknown barcode belongs to: { barcode, gameId, consoleId, region }
+app.post(
+    '/api/barcodes/submissions',
+    requireUserOrToken,
+    requireScope('catalog:write'),
+    requireVerifiedEmail,
+    barcodeSubmitRateLimit,
+    asyncHandler(async (req, res) => {
+        const { mapping, status, error } = await validateBarcodeMapping(req.body, req.user);
+        if (error) return res.status(status).json({ error });
+
+        // Admins don't need to queue for themselves
+        if (isAdmin(req.user)) {
+            const { error: insErr } = await supabase
+                .from('game_barcodes')
+                .insert({ ...mapping, added_by: req.user.userid });
+            if (insErr) throw insErr;
+            return res.status(201).json({ barcode: displayBarcode(mapping.barcode), status: 'approved' });
         }
 
-        res.json(results);
-    } catch (error) {
-        console.error('Error fetching reports:', error);
-        res.status(500).json({ error: 'Internal Server Error' });
-    }
-});
+        const { data: open, error: openErr } = await supabase
+            .from('barcode_submissions')
+            .select('id')
+            .eq('barcode', mapping.barcode)
+            .eq('submitted_by', req.user.userid)
+            .eq('status', 'pending')
+            .limit(1);
+        if (openErr) throw openErr;
+        if (open.length) {
+            return res.status(409).json({ error: 'You already submitted this barcode; it is waiting for review.' });
+        }
 
+        const { data: created, error: insErr } = await supabase
+            .from('barcode_submissions')
+            .insert({ ...mapping, submitted_by: req.user.userid, status: 'pending' })
+            .select('id')
+            .single();
+        if (insErr) throw insErr;
 
-app.put('/api/update-username/:userId', passport.authenticate('jwt', { session: false }), asyncHandler(async (req, res) => {
-    const { userId } = req.params;
-    const { newUsername } = req.body;
+        res.status(201).json({ id: created.id, barcode: displayBarcode(mapping.barcode), status: 'pending' });
+    })
+);
 
-    try {
-        // Update the username in the Supabase UserAccount table
+// Your own barcode submissions, newest first
+app.get(
+    '/api/barcodes/submissions',
+    requireUserOrToken,
+    requireScope('catalog:read'),
+    asyncHandler(async (req, res) => {
         const { data, error } = await supabase
-            .from('useraccount')
-            .update({ username: newUsername })
-            .eq('userid', parseInt(userId)); // Ensure userId is the correct type
+            .from('barcode_submissions')
+            .select('id, barcode, region, status, rejection_reason, created_at, gameinfo ( gameid, name ), console ( consoleid, name )')
+            .eq('submitted_by', req.user.userid)
+            .order('created_at', { ascending: false })
+            .limit(100);
+        if (error) {
+            console.error('Error fetching barcode submissions:', error);
+            return res.status(500).json({ error: 'Database error fetching submissions.' });
+        }
 
-        // Log the data and error for debugging
-        console.log('Update Data:', data);
-        console.log('Update Error:', error);
+        res.json((data || []).map(s => ({ ...s, barcode: displayBarcode(s.barcode) })));
+    })
+);
 
-        if (error) {
-            throw error;
+// Review queue (?status=pending|approved|rejected, default pending)
+app.get(
+    '/api/admin/barcode-submissions',
+    passport.authenticate('jwt', { session: false }),
+    requireAdmin,
+    asyncHandler(async (req, res) => {
+        const status = req.query.status || 'pending';
+        if (!BARCODE_SUBMISSION_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `status must be one of ${BARCODE_SUBMISSION_STATUSES.join(', ')}.` });
         }
 
-        // If `data` is null, but no error, assume success
-        if (data === null) {
-            res.status(200).json({ message: 'Username updated successfully' });
-        } else {
-            res.status(404).json({ error: 'Username update has an error' });
+        const { data, error } = await supabase
+            .from('barcode_submissions')
+            .select(`
+        id,
+        barcode,
+        region,
+        status,
+        rejection_reason,
+        created_at,
+        reviewed_at,
+        gameinfo ( gameid, name ),
+        console ( consoleid, name ),
+        submitter:submitted_by ( userid, username )
+      `)
+            .eq('status', status)
+            .order('created_at', { ascending: true })
+            .limit(200);
+        if (error) {
+            console.error('Error fetching barcode submissions:', error);
+            return res.status(500).json({ error: 'Database error fetching submissions.' });
         }
-    } catch (error) {
-        console.error('Error updating username:', error.message);
-        res.status(500).json({ error: 'Error updating username' });
-    }
-}));
 
+        res.json((data || []).map(s => ({ ...s, barcode: displayBarcode(s.barcode) })));
+    })
+);
 
-// Check if username exists
-app.get('/api/check-username/:username', passport.authenticate('jwt', { session: false }), asyncHandler(async (req, res) => {
-    const { username } = req.params;
+async function decideBarcodeSubmission(req, res, decision) {
+    const reason = decision === 'rejected' ? String(req.body.reason || '').trim() : null;
+    if (decision === 'rejected' && !reason) {
+        return res.status(400).json({ error: 'A reason is required when rejecting.' });
+    }
 
-    try {
-        const { data, error } = await supabase
-            .from('useraccount')
-            .select('username')
-            .eq('username', username);
+    const { data: submission, error } = await supabase
+        .from('barcode_submissions')
+        .select('id, barcode, gameid, consoleid, region, status, submitted_by, gameinfo ( name )')
+        .eq('id', req.params.id)
+        .maybeSingle();
+    if (error) throw error;
+    if (!submission) return res.status(404).json({ error: 'Submission not found' });
+    if (submission.status !== 'pending') {
+        return res.status(409).json({ error: `Submission is already ${submission.status}.` });
+    }
 
-        if (error) throw error;
+    if (decision === 'approved') {
+        const { error: insErr } = await supabase
+            .from('game_barcodes')
+            .insert({
+                barcode: submission.barcode,
+                gameid: submission.gameid,
+                consoleid: submission.consoleid,
+                region: submission.region,
+                added_by: submission.submitted_by
+            });
+        // 23505: someone else's mapping for the code got approved first
+        if (insErr?.code === '23505') {
+            return res.status(409).json({ error: 'That barcode has been mapped in the meantime.' });
+        }
+        if (insErr) throw insErr;
+    }
 
-        const exists = data.length > 0;
-        res.json({ exists });
-    } catch (error) {
-        console.error('Error checking username:', error.message);
-        res.status(500).json({ error: 'Error checking username' });
+    const { error: updErr } = await supabase
+        .from('barcode_submissions')
+        .update({
+            status: decision,
+            rejection_reason: reason,
+            reviewed_by: req.user.userid,
+            reviewed_at: new Date().toISOString()
+        })
+        .eq('id', submission.id);
+    if (updErr) throw updErr;
+
+    if (submission.submitted_by) {
+        const code = displayBarcode(submission.barcode);
+        const name = submission.gameinfo?.name || 'a game';
+        await notifyUser(submission.submitted_by, decision === 'approved'
+            ? {
+                type: 'barcode_approved',
+                title: `Barcode ${code} was added`,
+                body: `Thanks! Scanning it now finds "${name}".`,
+                data: { barcode: code, gameId: submission.gameid }
+            }
+            : {
+                type: 'barcode_rejected',
+                title: `Barcode ${code} was not added`,
+                body: `Reason: ${reason}`,
+                data: { barcode: code, gameId: submission.gameid, reason }
+            });
     }
-}));
 
+    res.json({ id: submission.id, status: decision });
+}
 
-// Update password
-app.put('/api/update-password/:userId', passport.authenticate('jwt', { session: false }), asyncHandler(async (req, res) => {
-    const { userId } = req.params;
-    const { newPassword } = req.body;
+app.post(
+    '/api/admin/barcode-submissions/:id/approve',
+    passport.authenticate('jwt', { session: false }),
+    requireAdmin,
+    asyncHandler((req, res) => decideBarcodeSubmission(req, res, 'approved'))
+);
 
-    try {
-        // Hash the new password
-        const hashedPassword = await bcrypt.hash(newPassword, 10);
+app.post(
+    '/api/admin/barcode-submissions/:id/reject',
+    passport.authenticate('jwt', { session: false }),
+    requireAdmin,
+    asyncHandler((req, res) => decideBarcodeSubmission(req, res, 'rejected'))
+);
 
-        // Update the password in the Supabase UserAccount table
-        const { data, error } = await supabase
-            .from('useraccount')
-            .update({ password: hashedPassword })
-            .eq('userid', userId);
+// Remove a wrong mapping so it can be submitted again
+app.delete(
+    '/api/admin/barcodes/:code',
+    passport.authenticate('jwt', { session: false }),
+    requireAdmin,
+    asyncHandler(async (req, res) => {
+        const barcode = normalizeBarcode(req.params.code);
+        if (!barcode) return res.status(400).json({ error: 'That is not a valid UPC/EAN barcode.' });
 
+        const { data: removed, error } = await supabase
+            .from('game_barcodes')
+            .delete()
+            .eq('barcode', barcode)
+            .select('barcode');
         if (error) throw error;
+        if (!removed.length) return res.status(404).json({ error: 'Unknown barcode.' });
 
-        if (data === null) {
-            res.status(200).json({ message: 'Password updated successfully' });
-        } else {
-            res.status(404).json({ error: 'User not found or password unchanged' });
-        }
-    } catch (error) {
-        console.error('Error updating password:', error.message);
-        res.status(500).json({ error: 'Error updating password' });
-    }
-}));
+        res.json({ message: 'Barcode removed.' });
+    })
+);
 
 
-// Update email
-app.put('/api/update-email/:userId', passport.authenticate('jwt', { session: false }), asyncHandler(async (req, res) => {
-    const { userId } = req.params;
-    const { newEmail } = req.body;
+//
+// ───────────── ADMIN: GAME SUBMISSIONS ─────────────
+//
 
-    try {
-        // Update the email in the Supabase UserAccount table
-        const { data, error } = await supabase
-            .from('useraccount')
-            .update({ email: newEmail })
-            .eq('userid', userId);
+// Games added by regular users start out 'pending'. Admins edit them with
+// PUT /api/admin/games/:gameId and approve or reject them here; the submitter
+// gets a notification either way.
+const SUBMISSION_STATUSES = ['pending', 'approved', 'rejected'];
 
-        if (error) throw error;
+// Review queue (?status=pending|approved|rejected, default pending)
+app.get(
+    '/api/admin/submissions',
+    passport.authenticate('jwt', { session: false }),
+    requireAdmin,
+    asyncHandler(async (req, res) => {
+        const status = req.query.status || 'pending';
+        if (!SUBMISSION_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `status must be one of ${SUBMISSION_STATUSES.join(', ')}.` });
+        }
 
-        if (data === null) {
-            res.status(200).json({ message: 'Email updated successfully' });
-        } else {
-            res.status(404).json({ error: 'User not found or email unchanged' });
+        const { data, error } = await supabase
+            .from('gameinfo')
+            .select(`
+        gameid,
+        name,
+        cover_thumb_url,
+        cover_medium_url,
+        cover_full_url,
+        status,
+        rejection_reason,
+        reviewed_at,
+        submitter:submitted_by ( userid, username ),
+        gameinfo_console ( console ( consoleid, name ) )
+      `)
+            .eq('status', status)
+            .not('submitted_by', 'is', null)
+            .order('gameid', { ascending: true });
+        if (error) {
+            console.error('Error fetching submissions:', error);
+            return res.status(500).json({ error: 'Database error fetching submissions.' });
         }
-    } catch (error) {
-        console.error('Error updating email:', error.message);
-        res.status(500).json({ error: 'Error updating email' });
-    }
-}));
 
+        res.json((data || []).map(g => ({
+            GameId: g.gameid,
+            Name: g.name,
+            ...coverFields(g),
+            Status: g.status,
+            RejectionReason: g.rejection_reason,
+            ReviewedAt: g.reviewed_at,
+            SubmittedBy: g.submitter,
+            Consoles: (g.gameinfo_console || []).map(c => c.console)
+        })));
+    })
+);
 
-// Check if email exists
-app.get('/api/check-email/:email', passport.authenticate('jwt', { session: false }), asyncHandler(async (req, res) => {
-    const { email } = req.params;
+async function decideSubmission(req, res, decision) {
+    const gameId = Number(req.params.gameId);
+    const reason = decision === 'rejected' ? String(req.body.reason || '').trim() : null;
 
-    try {
-        const { data, error } = await supabase
-            .from('useraccount')
-            .select('email')
-            .eq('email', email);
+    if (decision === 'rejected' && !reason) {
+        return res.status(400).json({ error: 'A reason is required when rejecting.' });
+    }
 
-        if (error) throw error;
+    const { data: game, error } = await supabase
+        .from('gameinfo')
+        .select('gameid, name, status, submitted_by')
+        .eq('gameid', gameId)
+        .maybeSingle();
+    if (error) throw error;
+    if (!game) return res.status(404).json({ error: 'Game not found' });
+    // Only the queue is decided on; an approved or rejected game stays that way
+    if (game.status !== 'pending') {
+        return res.status(409).json({ error: `Game is already ${game.status}.` });
+    }
 
-        const exists = data.length > 0;
-        res.json({ exists });
-    } catch (error) {
-        console.error('Error checking email:', error.message);
-        res.status(500).json({ error: 'Error checking email' });
+    const { error: updErr } = await supabase
+        .from('gameinfo')
+        .update({
+            status: decision,
+            rejection_reason: reason,
+            reviewed_by: req.user.userid,
+            reviewed_at: new Date().toISOString()
+        })
+        .eq('gameid', gameId);
+    if (updErr) throw updErr;
+
+    if (game.submitted_by) {
+        await notifyUser(game.submitted_by, decision === 'approved'
+            ? {
+                type: 'submission_approved',
+                title: `"${game.name}" was approved`,
+                body: 'Your game is now part of the catalog for everyone.',
+                data: { gameId }
+            }
+            : {
+                type: 'submission_rejected',
+                title: `"${game.name}" was not approved`,
+                body: `Reason: ${reason}`,
+                data: { gameId, reason }
+            });
     }
-}));
 
+    res.json({ gameId, status: decision });
+}
 
-// Update avatar (upload a new one)
 app.post(
-    '/api/users/avatar',
+    '/api/admin/submissions/:gameId/approve',
     passport.authenticate('jwt', { session: false }),
-    asyncHandler(async (req, res) => {
-        const userId = req.user.userid;
-
-        if (!req.files?.avatar) {
-            return res.status(400).json({ error: 'No file uploaded.' });
-        }
+    requireAdmin,
+    asyncHandler((req, res) => decideSubmission(req, res, 'approved'))
+);
 
-        const avatar = req.files.avatar;
-        const objectPath = `${Date.now()}_${avatar.name}`;
+app.post(
+    '/api/admin/submissions/:gameId/reject',
+    passport.authenticate('jwt', { session: false }),
+    requireAdmin,
+    asyncHandler((req, res) => decideSubmission(req, res, 'rejected'))
+);
 
-        // 1) upload to storage
-        const { error: uploadErr } = await supabase
-            .storage
-            .from('avatars')
-            .upload(objectPath, avatar.data, {
-                contentType: avatar.mimetype,
-                upsert: true
-            });
-        if (uploadErr) throw uploadErr;
 
-        // 2) get public URL
-        const { data: urlData, error: urlErr } = supabase
-            .storage
-            .from('avatars')
-            .getPublicUrl(objectPath);
-        if (urlErr) throw urlErr;
+//
+// ───────────── NOTIFICATIONS ─────────────
+//
 
-        const avatar_url = urlData.publicUrl;
+// In-app notification, mirrored by email when the address is verified.
+// Delivery problems are logged, never thrown: the action that triggered
+// the notification has already happened.
+async function notifyUser(userId, { type, title, body, data = {} }) {
+    const { error } = await supabase
+        .from('notifications')
+        .insert({ userid: userId, type, title, body, data });
+    if (error) console.error('Error saving notification:', error.message);
 
-        // 3) update user row
-        const { data: updated, error: updateErr } = await supabase
+    try {
+        const { data: user, error: userErr } = await supabase
             .from('useraccount')
-            .update({ avatar_url })
+            .select('username, email, email_verified')
             .eq('userid', userId)
-            .select('userid,username,email,admin,avatar_url')
-            .single();
-        if (updateErr) throw updateErr;
+            .maybeSingle();
+        if (userErr) throw userErr;
+        if (user?.email && user.email_verified) {
+            await sendMail({ to: user.email, subject: title, text: `Hi ${user.username},\n\n${body}` });
+        }
+    } catch (err) {
+        console.error('Error emailing notification:', err);
+    }
+}
 
-        res.json({ avatar: updated.avatar_url });
+// Your notifications, newest first (?unread=true for just the unread ones)
+app.get(
+    '/api/notifications',
+    passport.authenticate('jwt', { session: false }),
+    asyncHandler(async (req, res) => {
+        let query = supabase
+            .from('notifications')
+            .select('id, type, title, body, data, created_at, read_at')
+            .eq('userid', req.user.userid)
+            .order('created_at', { ascending: false })
+            .limit(100);
+        if (req.query.unread === 'true') query = query.is('read_at', null);
+
+        const { data, error } = await query;
+        if (error) {
+            console.error('Error fetching notifications:', error);
+            return res.status(500).json({ error: 'Database error fetching notifications.' });
+        }
+
+        res.json(data || []);
     })
 );
 
-// Remove avatar (reset to null)
-app.delete(
-    '/api/users/avatar',
+// Mark one notification read
+app.post(
+    '/api/notifications/:id/read',
     passport.authenticate('jwt', { session: false }),
     asyncHandler(async (req, res) => {
-        const userId = req.user.userid;
-
-        // clear the column
-        const { data: updated, error } = await supabase
-            .from('useraccount')
-            .update({ avatar_url: null })
-            .eq('userid', userId)
-            .select('avatar_url')
-            .single();
+        const { error } = await supabase
+            .from('notifications')
+            .update({ read_at: new Date().toISOString() })
+            .eq('id', req.params.id)
+            .eq('userid', req.user.userid)
+            .is('read_at', null);
         if (error) throw error;
 
-        res.json({ avatar: null });
+        res.json({ success: true });
     })
 );
 
+// Mark everything read
+app.post(
+    '/api/notifications/read-all',
+    passport.authenticate('jwt', { session: false }),
+    asyncHandler(async (req, res) => {
+        const { error } = await supabase
+            .from('notifications')
+            .update({ read_at: new Date().toISOString() })
+            .eq('userid', req.user.userid)
+            .is('read_at', null);
+        if (error) throw error;
 
-// Protected route example (use this structure for a "protected route")
-app.get('/profiles', passport.authenticate('jwt', { session: false }), asyncHandler(async (req, res) => {
-    console.log('Profiles request received');
-    const { data, error } = await supabase.from('useraccount').select('*');
-    if (error) {
-        console.error('Error fetching profiles:', error.message);
-        return res.status(400).json({ error });
-    }
-    console.log('Profiles fetched successfully:', data);
-    res.json(data);
-}));
-
-
-
+        res.json({ success: true });
+    })
+);
 
 
 //
@@ -1621,6 +6107,7 @@ app.get(
 app.post(
     '/api/friends/request/:targetId',
     passport.authenticate('jwt', { session: false }),
+    requireVerifiedEmail,
     asyncHandler(async (req, res) => {
         const me = req.user.userid;
         const target = Number(req.params.targetId);
@@ -1654,6 +6141,7 @@ app.delete(
 app.post(
     '/api/friends/accept/:requesterId',
     passport.authenticate('jwt', { session: false }),
+    requireVerifiedEmail,
     asyncHandler(async (req, res) => {
         const me = req.user.userid;
         const requester = Number(req.params.requesterId);
@@ -1920,8 +6408,9 @@ app.get(
         const { data, error } = await supabase
             .from('vgcollection')
             .select(`
+        collectionid,
         gameid,
-        gameinfo(name, coverart),
+        gameinfo(name, cover_thumb_url, cover_medium_url, cover_full_url),
         vgcollection_console(console (consoleid, name))
       `)
             .eq('userid', other);
@@ -1933,9 +6422,10 @@ app.get(
 
         // map to the shape your frontend expects (defensive)
         const results = (data || []).map(row => ({
+            CollectionId: row.collectionid,
             GameId: row.gameid,
             Name: row.gameinfo?.name ?? null,
-            CoverArt: row.gameinfo?.coverart ?? null,
+            ...coverFields(row.gameinfo),
             Consoles: Array.isArray(row.vgcollection_console)
                 ? row.vgcollection_console.map(c => c.console)
                 : []
@@ -1972,7 +6462,7 @@ app.get(
             .from('vgwishlist')
             .select(`
         gameid,
-        gameinfo(name, coverart),
+        gameinfo(name, cover_thumb_url, cover_medium_url, cover_full_url),
         vgwishlist_console(console (consoleid, name))
       `)
             .eq('userid', other);
@@ -1985,7 +6475,7 @@ app.get(
         const results = (data || []).map(row => ({
             GameId: row.gameid,
             Name: row.gameinfo?.name ?? null,
-            CoverArt: row.gameinfo?.coverart ?? null,
+            ...coverFields(row.gameinfo),
             Consoles: Array.isArray(row.vgwishlist_console)
                 ? row.vgwishlist_console.map(c => c.console)
                 : []
@@ -2016,6 +6506,7 @@ app.get(
             return res.status(500).json({ error: 'Database error reading user.' });
         }
         if (!u) return res.status(404).json({ error: 'User not found.' });
+        if (!canAccessUser(req.user, u.userid)) return forbidden(res);
 
         const other = u.userid;
 
@@ -2074,6 +6565,7 @@ app.get(
             return res.status(500).json({ error: 'Database error reading user.' });
         }
         if (!u) return res.status(404).json({ error: 'User not found.' });
+        if (!canAccessUser(req.user, u.userid)) return forbidden(res);
 
         const other = u.userid;
 
@@ -2183,6 +6675,7 @@ app.get(
 app.get(
     '/api/threads/:threadId/messages',
     passport.authenticate('jwt', { session: false }),
+    requireThreadParticipant,
     asyncHandler(async (req, res) => {
         const threadId = Number(req.params.threadId);
 
@@ -2227,6 +6720,7 @@ app.get(
 app.get(
     '/api/threads/:threadId/messages',
     passport.authenticate('jwt', { session: false }),
+    requireThreadParticipant,
     asyncHandler(async (req, res) => {
         const threadId = Number(req.params.threadId);
         const { data } = await supabase
@@ -2251,10 +6745,14 @@ app.get(
 app.post(
     '/api/threads/:threadId/messages',
     passport.authenticate('jwt', { session: false }),
+    requireVerifiedEmail,
+    requireThreadParticipant,
     asyncHandler(async (req, res) => {
         const threadId = Number(req.params.threadId);
         const senderId = req.user.userid;
-        const { text, receiverid } = req.body;
+        const { text } = req.body;
+        // the receiver is always the other participant, whatever the client sent
+        const receiverid = req.thread.user_a === senderId ? req.thread.user_b : req.thread.user_a;
 
         // 1️⃣ Insert with returning representation
         const { data, error } = await supabase
@@ -2305,6 +6803,7 @@ app.post(
 app.post(
     '/api/threads/:threadId/mark-seen',
     passport.authenticate('jwt', { session: false }),
+    requireThreadParticipant,
     asyncHandler(async (req, res) => {
         const threadId = Number(req.params.threadId);
         const me = req.user.userid;
@@ -2396,3 +6895,5 @@ app.get(
         res.json(threads);
     })
 );
+
+module.exports = app;
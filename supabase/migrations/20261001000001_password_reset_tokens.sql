@@ -0,0 +1,17 @@
+-- Password reset (POST /api/password/forgot, POST /api/password/reset).
+-- Only the sha256 of an emailed token is stored; a token is single-use
+-- (used_at) and short-lived (expires_at).
+
+create table if not exists password_reset_tokens (
+    id bigint generated always as identity primary key,
+    userid bigint not null references useraccount (userid) on delete cascade,
+    token_hash text not null unique,
+    expires_at timestamptz not null,
+    used_at timestamptz,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists password_reset_tokens_userid_idx on password_reset_tokens (userid);
+
+-- Bumped to invalidate every refresh token a user holds
+alter table useraccount add column if not exists token_version integer not null default 0;
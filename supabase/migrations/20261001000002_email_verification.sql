@@ -0,0 +1,14 @@
+-- Email verification. New accounts start unverified and changed addresses
+-- wait in pending_email until confirmed; requireVerifiedEmail keeps
+-- unverified users away from friend requests and messaging.
+
+alter table useraccount add column if not exists email_verified boolean;
+alter table useraccount add column if not exists pending_email text;
+alter table useraccount add column if not exists email_verification_sent_at timestamptz;
+
+-- Accounts from before verification existed are grandfathered in, otherwise
+-- every current user would lose friend requests and messaging on deploy
+update useraccount set email_verified = true where email_verified is null;
+
+alter table useraccount alter column email_verified set default false;
+alter table useraccount alter column email_verified set not null;
@@ -0,0 +1,28 @@
+-- Server-side sessions. A session is one login on one device; its refresh
+-- tokens are opaque, single-use and rotated on every /api/token/refresh.
+-- Presenting a used token again revokes the whole session.
+
+create table if not exists user_sessions (
+    id uuid primary key default gen_random_uuid(),
+    userid bigint not null references useraccount (userid) on delete cascade,
+    user_agent text,
+    ip text,
+    created_at timestamptz not null default now(),
+    last_used_at timestamptz,
+    expires_at timestamptz not null,
+    revoked_at timestamptz
+);
+
+create index if not exists user_sessions_userid_idx on user_sessions (userid) where revoked_at is null;
+
+create table if not exists refresh_tokens (
+    token_hash text primary key,
+    session_id uuid not null references user_sessions (id) on delete cascade,
+    used_at timestamptz,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists refresh_tokens_session_id_idx on refresh_tokens (session_id);
+
+-- Revoking sessions replaced the token_version counter
+alter table useraccount drop column if exists token_version;
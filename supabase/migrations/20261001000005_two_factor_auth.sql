@@ -0,0 +1,18 @@
+-- Optional TOTP two-factor authentication. totp_pending_secret holds the
+-- secret while enrolling; totp_last_step is the last accepted time step, so
+-- a code can't be used twice. Recovery codes are stored hashed.
+
+alter table useraccount add column if not exists totp_secret text;
+alter table useraccount add column if not exists totp_pending_secret text;
+alter table useraccount add column if not exists totp_enabled boolean not null default false;
+alter table useraccount add column if not exists totp_last_step bigint;
+
+create table if not exists recovery_codes (
+    id bigint generated always as identity primary key,
+    userid bigint not null references useraccount (userid) on delete cascade,
+    code_hash text not null,
+    used_at timestamptz,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists recovery_codes_userid_idx on recovery_codes (userid);
@@ -0,0 +1,4 @@
+-- Admin user management: suspended accounts can't log in or use their tokens
+
+alter table useraccount add column if not exists suspended_at timestamptz;
+alter table useraccount add column if not exists suspension_reason text;
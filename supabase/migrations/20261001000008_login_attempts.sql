@@ -0,0 +1,16 @@
+-- Audit trail of failed logins for admins (GET /api/admin/login-attempts).
+-- userid is kept when the username matched an account and cleared when the
+-- account is deleted; the attempt itself stays.
+
+create table if not exists login_attempts (
+    id bigint generated always as identity primary key,
+    username text,
+    userid bigint references useraccount (userid) on delete set null,
+    ip text,
+    user_agent text,
+    reason text not null,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists login_attempts_created_at_idx on login_attempts (created_at desc);
+create index if not exists login_attempts_ip_idx on login_attempts (ip);
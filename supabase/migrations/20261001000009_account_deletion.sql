@@ -0,0 +1,11 @@
+-- Account deletion with a grace period. DELETE /api/me sets both columns;
+-- the hourly purge job removes accounts whose deletion_scheduled_for has
+-- passed. Until then POST /api/me/deletion/cancel clears them again (just
+-- logging in does not).
+
+alter table useraccount add column if not exists deletion_requested_at timestamptz;
+alter table useraccount add column if not exists deletion_scheduled_for timestamptz;
+
+create index if not exists useraccount_deletion_scheduled_for_idx
+    on useraccount (deletion_scheduled_for)
+    where deletion_scheduled_for is not null;
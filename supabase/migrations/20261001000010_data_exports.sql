@@ -0,0 +1,23 @@
+-- Personal data exports. Each row is one background job; the finished zip
+-- lives in the private 'exports' bucket under <userid>/<id>.zip and is only
+-- ever handed out through short-lived signed URLs.
+
+create table if not exists data_exports (
+    id uuid primary key default gen_random_uuid(),
+    userid bigint not null references useraccount (userid) on delete cascade,
+    status text not null default 'pending'
+        check (status in ('pending', 'processing', 'ready', 'failed', 'expired')),
+    storage_path text,
+    error text,
+    created_at timestamptz not null default now(),
+    started_at timestamptz,
+    completed_at timestamptz,
+    expires_at timestamptz
+);
+
+create index if not exists data_exports_userid_idx on data_exports (userid, created_at desc);
+create index if not exists data_exports_status_idx on data_exports (status);
+
+insert into storage.buckets (id, name, public)
+values ('exports', 'exports', false)
+on conflict (id) do nothing;
@@ -0,0 +1,17 @@
+-- Scoped personal access tokens (the 'api-token' passport strategy). Only
+-- the sha256 of a token is stored; token_prefix is what the UI shows.
+
+create table if not exists api_tokens (
+    id bigint generated always as identity primary key,
+    userid bigint not null references useraccount (userid) on delete cascade,
+    name text not null,
+    token_hash text not null unique,
+    token_prefix text not null,
+    scopes text[] not null default '{}',
+    created_at timestamptz not null default now(),
+    last_used_at timestamptz,
+    expires_at timestamptz,
+    revoked_at timestamptz
+);
+
+create index if not exists api_tokens_userid_idx on api_tokens (userid) where revoked_at is null;
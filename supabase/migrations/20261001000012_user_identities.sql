@@ -0,0 +1,18 @@
+-- External OIDC accounts linked to a useraccount. (provider, subject) is
+-- the provider's stable id for the person and can only be linked once.
+
+create table if not exists user_identities (
+    id bigint generated always as identity primary key,
+    userid bigint not null references useraccount (userid) on delete cascade,
+    provider text not null,
+    subject text not null,
+    email text,
+    created_at timestamptz not null default now(),
+    last_login_at timestamptz,
+    unique (provider, subject)
+);
+
+create index if not exists user_identities_userid_idx on user_identities (userid);
+
+-- Accounts created through a provider have no password until they set one
+alter table useraccount alter column password drop not null;
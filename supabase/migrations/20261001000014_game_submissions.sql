@@ -0,0 +1,34 @@
+-- Moderation queue for user-submitted games. Only 'approved' games are
+-- visible to everyone; a submitter still sees their own pending or rejected
+-- entries. Every game that existed before the queue is approved.
+
+alter table gameinfo add column if not exists status text;
+alter table gameinfo add column if not exists submitted_by bigint references useraccount (userid) on delete set null;
+alter table gameinfo add column if not exists reviewed_by bigint references useraccount (userid) on delete set null;
+alter table gameinfo add column if not exists reviewed_at timestamptz;
+alter table gameinfo add column if not exists rejection_reason text;
+
+update gameinfo set status = 'approved' where status is null;
+
+alter table gameinfo alter column status set default 'approved';
+alter table gameinfo alter column status set not null;
+alter table gameinfo drop constraint if exists gameinfo_status_check;
+alter table gameinfo add constraint gameinfo_status_check
+    check (status in ('pending', 'approved', 'rejected'));
+
+create index if not exists gameinfo_status_idx on gameinfo (status) where status <> 'approved';
+create index if not exists gameinfo_submitted_by_idx on gameinfo (submitted_by) where submitted_by is not null;
+
+-- In-app notifications (submission decisions and the like)
+create table if not exists notifications (
+    id bigint generated always as identity primary key,
+    userid bigint not null references useraccount (userid) on delete cascade,
+    type text not null,
+    title text not null,
+    body text,
+    data jsonb,
+    created_at timestamptz not null default now(),
+    read_at timestamptz
+);
+
+create index if not exists notifications_userid_idx on notifications (userid, created_at desc);
@@ -0,0 +1,11 @@
+-- Cover art as webp renditions in the public 'covers' bucket. The legacy
+-- base64 gameinfo.coverart column stays until scripts/migrate-cover-art.js
+-- has moved every cover over (npm run migrate:covers).
+
+alter table gameinfo add column if not exists cover_thumb_url text;
+alter table gameinfo add column if not exists cover_medium_url text;
+alter table gameinfo add column if not exists cover_full_url text;
+
+insert into storage.buckets (id, name, public)
+values ('covers', 'covers', true)
+on conflict (id) do nothing;
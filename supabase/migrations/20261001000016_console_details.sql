@@ -0,0 +1,15 @@
+-- Console metadata for /api/consoles and the admin console endpoints.
+-- Icons live in the public 'console-icons' bucket.
+
+alter table console add column if not exists manufacturer text;
+alter table console add column if not exists generation integer;
+alter table console add column if not exists release_year integer;
+alter table console add column if not exists region text;
+alter table console add column if not exists icon_url text;
+
+alter table console add constraint console_region_check
+    check (region is null or region in ('NA', 'EU', 'JP', 'AU', 'KR', 'CN', 'WW'));
+
+insert into storage.buckets (id, name, public)
+values ('console-icons', 'console-icons', true)
+on conflict (id) do nothing;
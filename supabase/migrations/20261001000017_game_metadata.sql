@@ -0,0 +1,23 @@
+-- Catalog metadata: publisher, developer, description, genres, tags and
+-- alternative names, plus release dates per console and region.
+
+alter table gameinfo add column if not exists publisher text;
+alter table gameinfo add column if not exists developer text;
+alter table gameinfo add column if not exists description text;
+alter table gameinfo add column if not exists genres text[] not null default '{}';
+alter table gameinfo add column if not exists tags text[] not null default '{}';
+alter table gameinfo add column if not exists aliases text[] not null default '{}';
+
+create index if not exists gameinfo_genres_idx on gameinfo using gin (genres);
+create index if not exists gameinfo_tags_idx on gameinfo using gin (tags);
+
+create table if not exists game_release_dates (
+    id bigint generated always as identity primary key,
+    gameid bigint not null references gameinfo (gameid) on delete cascade,
+    consoleid bigint not null references console (consoleid),
+    region text not null check (region in ('NA', 'EU', 'JP', 'AU', 'KR', 'CN', 'WW')),
+    release_date date not null,
+    unique (gameid, consoleid, region)
+);
+
+create index if not exists game_release_dates_consoleid_idx on game_release_dates (consoleid);
@@ -0,0 +1,10 @@
+-- Where an imported game came from, so re-importing the same external
+-- record is caught as a duplicate. 'bulk' marks CSV/JSON catalog imports,
+-- which have no external id.
+
+alter table gameinfo add column if not exists import_source text;
+alter table gameinfo add column if not exists import_external_id text;
+
+create unique index if not exists gameinfo_import_key
+    on gameinfo (import_source, import_external_id)
+    where import_external_id is not null;
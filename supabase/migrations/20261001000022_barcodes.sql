@@ -0,0 +1,31 @@
+-- Barcode lookup. Codes are stored as GTIN-14 digits (normalizeBarcode in
+-- server.js), one game + console per code. Users propose mappings through
+-- barcode_submissions; admins' own mappings go straight in.
+
+create table if not exists game_barcodes (
+    barcode text primary key check (barcode ~ '^[0-9]{14}$'),
+    gameid bigint not null references gameinfo (gameid) on delete cascade,
+    consoleid bigint not null references console (consoleid),
+    region text check (region in ('NA', 'EU', 'JP', 'AU', 'KR', 'CN', 'WW')),
+    added_by bigint references useraccount (userid) on delete set null,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists game_barcodes_gameid_idx on game_barcodes (gameid);
+
+create table if not exists barcode_submissions (
+    id bigint generated always as identity primary key,
+    barcode text not null check (barcode ~ '^[0-9]{14}$'),
+    gameid bigint not null references gameinfo (gameid) on delete cascade,
+    consoleid bigint not null references console (consoleid),
+    region text check (region in ('NA', 'EU', 'JP', 'AU', 'KR', 'CN', 'WW')),
+    submitted_by bigint references useraccount (userid) on delete cascade,
+    status text not null default 'pending' check (status in ('pending', 'approved', 'rejected')),
+    rejection_reason text,
+    reviewed_by bigint references useraccount (userid) on delete set null,
+    reviewed_at timestamptz,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists barcode_submissions_status_idx on barcode_submissions (status, created_at);
+create index if not exists barcode_submissions_submitted_by_idx on barcode_submissions (submitted_by);
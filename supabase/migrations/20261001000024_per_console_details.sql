@@ -0,0 +1,20 @@
+-- Per-console collection details: a console link can point at its own
+-- gamedetails row; links without one share the copy's details.
+alter table vgcollection_console
+    add column if not exists gamedetailsid bigint;
+
+-- Links whose details row is already gone fall back to the copy's details
+update vgcollection_console vc
+set gamedetailsid = null
+where vc.gamedetailsid is not null
+  and not exists (select 1 from gamedetails g where g.gamedetailsid = vc.gamedetailsid);
+
+alter table vgcollection_console
+    drop constraint if exists vgcollection_console_gamedetailsid_fkey;
+alter table vgcollection_console
+    add constraint vgcollection_console_gamedetailsid_fkey
+    foreign key (gamedetailsid) references gamedetails (gamedetailsid) on delete set null;
+
+create index if not exists vgcollection_console_gamedetailsid_idx
+    on vgcollection_console (gamedetailsid)
+    where gamedetailsid is not null;
@@ -0,0 +1,256 @@
+-- Collection and wishlist writes as single transactions.
+--
+-- server.js used to do these as several separate PostgREST calls, so a
+-- failure half-way left orphan gamedetails rows, collection entries with no
+-- consoles, or wishlists missing platforms. A function called through
+-- supabase.rpc() runs in one transaction: if any statement fails, nothing
+-- it did is kept.
+--
+-- All functions are SECURITY INVOKER (the default), so they see exactly
+-- what the calling key could already see and change.
+
+-- Insert one gamedetails row from a JSON object keyed by column name
+create or replace function insert_game_details(p_details jsonb)
+returns bigint
+language sql
+as $$
+    insert into gamedetails (ownership, included, condition, notes, completion, review, spoiler, price, rating)
+    select ownership, included, condition, notes, completion, review, spoiler, price, rating
+    from jsonb_populate_record(null::gamedetails, coalesce(p_details, '{}'::jsonb))
+    returning gamedetailsid;
+$$;
+
+-- Link consoles to a collection copy. Each platform block
+-- ({ consoleid, details }) gets its own gamedetails row; plain console ids
+-- link without one and share the copy's details.
+create or replace function link_collection_consoles(
+    p_collectionid bigint,
+    p_console_ids bigint[],
+    p_platforms jsonb
+)
+returns void
+language plpgsql
+as $$
+declare
+    v_block jsonb;
+begin
+    for v_block in select * from jsonb_array_elements(coalesce(p_platforms, '[]'::jsonb)) loop
+        insert into vgcollection_console (collectionid, consoleid, gamedetailsid)
+        values (p_collectionid, (v_block ->> 'consoleid')::bigint, insert_game_details(v_block -> 'details'));
+    end loop;
+
+    insert into vgcollection_console (collectionid, consoleid)
+    select distinct p_collectionid, c
+    from unnest(coalesce(p_console_ids, '{}')) as c
+    where not exists (
+        select 1 from vgcollection_console vc
+        where vc.collectionid = p_collectionid and vc.consoleid = c
+    );
+end;
+$$;
+
+-- Add one copy of a game to a collection; returns its collectionid
+create or replace function add_collection_item(
+    p_userid bigint,
+    p_gameid bigint,
+    p_details jsonb,
+    p_console_ids bigint[] default '{}',
+    p_platforms jsonb default '[]'
+)
+returns bigint
+language plpgsql
+as $$
+declare
+    v_collectionid bigint;
+begin
+    insert into vgcollection (userid, gameid, gamedetailsid)
+    values (p_userid, p_gameid, insert_game_details(p_details))
+    returning collectionid into v_collectionid;
+
+    perform link_collection_consoles(v_collectionid, p_console_ids, p_platforms);
+    return v_collectionid;
+end;
+$$;
+
+-- Update a copy's details and replace its consoles (and their per-console
+-- details). Keys missing from p_details keep their current value. Returns
+-- false when the copy doesn't exist.
+create or replace function edit_collection_item(
+    p_collectionid bigint,
+    p_details jsonb,
+    p_console_ids bigint[] default '{}',
+    p_platforms jsonb default '[]'
+)
+returns boolean
+language plpgsql
+as $$
+declare
+    v_gamedetailsid bigint;
+    v_old_details bigint[];
+    r gamedetails;
+begin
+    select gamedetailsid into v_gamedetailsid
+    from vgcollection
+    where collectionid = p_collectionid
+    for update;
+    if not found then
+        return false;
+    end if;
+
+    p_details := coalesce(p_details, '{}'::jsonb);
+    if v_gamedetailsid is null then
+        update vgcollection
+        set gamedetailsid = insert_game_details(p_details)
+        where collectionid = p_collectionid;
+    else
+        r := jsonb_populate_record(null::gamedetails, p_details);
+        update gamedetails g set
+            ownership  = case when p_details ? 'ownership'  then r.ownership  else g.ownership  end,
+            included   = case when p_details ? 'included'   then r.included   else g.included   end,
+            condition  = case when p_details ? 'condition'  then r.condition  else g.condition  end,
+            notes      = case when p_details ? 'notes'      then r.notes      else g.notes      end,
+            completion = case when p_details ? 'completion' then r.completion else g.completion end,
+            review     = case when p_details ? 'review'     then r.review     else g.review     end,
+            spoiler    = case when p_details ? 'spoiler'    then r.spoiler    else g.spoiler    end,
+            price      = case when p_details ? 'price'      then r.price      else g.price      end,
+            rating     = case when p_details ? 'rating'     then r.rating     else g.rating     end
+        where g.gamedetailsid = v_gamedetailsid;
+    end if;
+
+    select coalesce(array_agg(gamedetailsid), '{}') into v_old_details
+    from vgcollection_console
+    where collectionid = p_collectionid and gamedetailsid is not null;
+
+    delete from vgcollection_console where collectionid = p_collectionid;
+    delete from gamedetails where gamedetailsid = any(v_old_details);
+
+    perform link_collection_consoles(p_collectionid, p_console_ids, p_platforms);
+    return true;
+end;
+$$;
+
+-- Remove collection copies with their consoles and every details row they
+-- own; returns how many copies went
+create or replace function remove_collection_items(p_collection_ids bigint[])
+returns integer
+language plpgsql
+as $$
+declare
+    v_details bigint[];
+    v_removed integer;
+begin
+    select coalesce(array_agg(d), '{}') into v_details
+    from (
+        select gamedetailsid as d from vgcollection
+        where collectionid = any(p_collection_ids) and gamedetailsid is not null
+        union
+        select gamedetailsid from vgcollection_console
+        where collectionid = any(p_collection_ids) and gamedetailsid is not null
+    ) owned;
+
+    delete from vgcollection_console where collectionid = any(p_collection_ids);
+    delete from vgcollection where collectionid = any(p_collection_ids);
+    get diagnostics v_removed = row_count;
+    delete from gamedetails where gamedetailsid = any(v_details);
+
+    return v_removed;
+end;
+$$;
+
+-- Put a game on a wishlist together with its platforms; returns the wishlistid
+create or replace function add_wishlist_item(
+    p_userid bigint,
+    p_gameid bigint,
+    p_console_ids bigint[]
+)
+returns bigint
+language plpgsql
+as $$
+declare
+    v_wishlistid bigint;
+begin
+    if coalesce(array_length(p_console_ids, 1), 0) = 0 then
+        raise exception 'at least one console is required' using errcode = '22023';
+    end if;
+
+    insert into vgwishlist (userid, gameid)
+    values (p_userid, p_gameid)
+    returning wishlistid into v_wishlistid;
+
+    insert into vgwishlist_console (wishlistid, consoleid)
+    select distinct v_wishlistid, c from unnest(p_console_ids) as c;
+
+    return v_wishlistid;
+end;
+$$;
+
+-- Find and fix what the old multi-step writes left behind:
+--   * gamedetails rows no collection copy or console link points at: deleted
+--   * collection copies / wishlist entries without any console: linked to
+--     the game's console when it only has one, otherwise reported
+-- With p_dry_run nothing is changed, only counted.
+create or replace function repair_collection_orphans(p_dry_run boolean default false)
+returns jsonb
+language plpgsql
+as $$
+declare
+    v_orphan_details bigint[];
+    v_bare_collections bigint[];
+    v_bare_wishlists bigint[];
+    v_fixable_collections bigint[];
+    v_fixable_wishlists bigint[];
+begin
+    select coalesce(array_agg(g.gamedetailsid), '{}') into v_orphan_details
+    from gamedetails g
+    where not exists (select 1 from vgcollection vc where vc.gamedetailsid = g.gamedetailsid)
+      and not exists (select 1 from vgcollection_console cc where cc.gamedetailsid = g.gamedetailsid);
+
+    select coalesce(array_agg(vc.collectionid), '{}') into v_bare_collections
+    from vgcollection vc
+    where not exists (select 1 from vgcollection_console cc where cc.collectionid = vc.collectionid);
+
+    select coalesce(array_agg(w.wishlistid), '{}') into v_bare_wishlists
+    from vgwishlist w
+    where not exists (select 1 from vgwishlist_console wc where wc.wishlistid = w.wishlistid);
+
+    -- Games released on a single console leave no doubt which one was meant
+    select coalesce(array_agg(vc.collectionid), '{}') into v_fixable_collections
+    from vgcollection vc
+    where vc.collectionid = any(v_bare_collections)
+      and (select count(*) from gameinfo_console gc where gc.gameid = vc.gameid) = 1;
+
+    select coalesce(array_agg(w.wishlistid), '{}') into v_fixable_wishlists
+    from vgwishlist w
+    where w.wishlistid = any(v_bare_wishlists)
+      and (select count(*) from gameinfo_console gc where gc.gameid = w.gameid) = 1;
+
+    if not p_dry_run then
+        delete from gamedetails where gamedetailsid = any(v_orphan_details);
+
+        insert into vgcollection_console (collectionid, consoleid)
+        select vc.collectionid, gc.consoleid
+        from vgcollection vc
+        join gameinfo_console gc on gc.gameid = vc.gameid
+        where vc.collectionid = any(v_fixable_collections);
+
+        insert into vgwishlist_console (wishlistid, consoleid)
+        select w.wishlistid, gc.consoleid
+        from vgwishlist w
+        join gameinfo_console gc on gc.gameid = w.gameid
+        where w.wishlistid = any(v_fixable_wishlists);
+    end if;
+
+    return jsonb_build_object(
+        'dryRun', p_dry_run,
+        'orphanDetailsRemoved', cardinality(v_orphan_details),
+        'collectionsRepaired', cardinality(v_fixable_collections),
+        'collectionsUnresolved', to_jsonb(array(
+            select unnest(v_bare_collections) except select unnest(v_fixable_collections) order by 1
+        )),
+        'wishlistsRepaired', cardinality(v_fixable_wishlists),
+        'wishlistsUnresolved', to_jsonb(array(
+            select unnest(v_bare_wishlists) except select unnest(v_fixable_wishlists) order by 1
+        ))
+    );
+end;
+$$;
@@ -0,0 +1,106 @@
+-- Merge a duplicate catalog entry into the canonical one in a single
+-- transaction (POST /api/admin/games/:gameId/merge). Everything that pointed
+-- at the duplicate ends up on the canonical game, then the duplicate goes:
+--
+--   * consoles the canonical game lacks are linked to it
+--   * wishlists: a user wants a game once. Without a canonical row theirs
+--     is re-pointed; otherwise the canonical row stays, picks up consoles it
+--     lacks, and the duplicate row goes
+--   * collections: every row is an owned copy with its own details, and a
+--     user may own several, so they all move across untouched
+--   * release dates move across unless the canonical game already has one
+--     for that console and region
+--   * barcodes and barcode submissions move across
+--
+-- Cover art lives in Storage and is removed by the caller afterwards.
+create or replace function merge_games(p_canonical bigint, p_duplicate bigint)
+returns jsonb
+language plpgsql
+as $$
+declare
+    v_row record;
+    v_keep bigint;
+    v_collections_moved integer;
+    v_wishlists_moved integer := 0;
+    v_wishlists_folded integer := 0;
+    v_release_dates_moved integer;
+begin
+    if p_canonical = p_duplicate then
+        raise exception 'cannot merge a game into itself' using errcode = '22023';
+    end if;
+
+    -- Lock both entries so nothing is added to the duplicate mid-merge
+    perform 1 from gameinfo where gameid in (p_canonical, p_duplicate) for update;
+    if (select count(*) from gameinfo where gameid in (p_canonical, p_duplicate)) <> 2 then
+        raise exception 'game not found' using errcode = 'P0002';
+    end if;
+
+    -- 1) Consoles
+    insert into gameinfo_console (gameid, consoleid)
+    select p_canonical, d.consoleid
+    from gameinfo_console d
+    where d.gameid = p_duplicate
+      and not exists (
+          select 1 from gameinfo_console c
+          where c.gameid = p_canonical and c.consoleid = d.consoleid
+      );
+
+    -- 2) Wishlists
+    for v_row in
+        select wishlistid, userid from vgwishlist where gameid = p_duplicate order by wishlistid
+    loop
+        select wishlistid into v_keep
+        from vgwishlist
+        where gameid = p_canonical and userid = v_row.userid
+        order by wishlistid
+        limit 1;
+
+        if v_keep is null then
+            update vgwishlist set gameid = p_canonical where wishlistid = v_row.wishlistid;
+            v_wishlists_moved := v_wishlists_moved + 1;
+        else
+            insert into vgwishlist_console (wishlistid, consoleid)
+            select v_keep, d.consoleid
+            from vgwishlist_console d
+            where d.wishlistid = v_row.wishlistid
+              and not exists (
+                  select 1 from vgwishlist_console k
+                  where k.wishlistid = v_keep and k.consoleid = d.consoleid
+              );
+            delete from vgwishlist_console where wishlistid = v_row.wishlistid;
+            delete from vgwishlist where wishlistid = v_row.wishlistid;
+            v_wishlists_folded := v_wishlists_folded + 1;
+        end if;
+    end loop;
+
+    -- 3) Collections: each copy keeps its consoles and details
+    update vgcollection set gameid = p_canonical where gameid = p_duplicate;
+    get diagnostics v_collections_moved = row_count;
+
+    -- 4) Release dates
+    update game_release_dates d
+    set gameid = p_canonical
+    where d.gameid = p_duplicate
+      and not exists (
+          select 1 from game_release_dates c
+          where c.gameid = p_canonical and c.consoleid = d.consoleid and c.region = d.region
+      );
+    get diagnostics v_release_dates_moved = row_count;
+
+    -- 5) Barcodes
+    update game_barcodes set gameid = p_canonical where gameid = p_duplicate;
+    update barcode_submissions set gameid = p_canonical where gameid = p_duplicate;
+
+    -- 6) The duplicate itself
+    delete from gameinfo_console where gameid = p_duplicate;
+    delete from game_release_dates where gameid = p_duplicate;
+    delete from gameinfo where gameid = p_duplicate;
+
+    return jsonb_build_object(
+        'collectionsMoved', v_collections_moved,
+        'wishlistsMoved', v_wishlists_moved,
+        'wishlistsFolded', v_wishlists_folded,
+        'releaseDatesMoved', v_release_dates_moved
+    );
+end;
+$$;
@@ -0,0 +1,118 @@
+-- Catalog search paging, filters, facets and sort in the database
+-- (GET /api/search). The caller passes the title matches; everything after
+-- that happens here so only the requested page comes back:
+--
+--   p_matches    [{ gameid, score, alias }]
+--   p_viewer     pending/rejected submissions are only visible to their submitter
+--   p_consoles   a game matches if it's on any of them (empty: no filter)
+--   p_genre      canonical genre name
+--   p_year_from, p_year_to  released (anywhere) within these years
+--   p_sort       relevance | name | release_date | popularity
+--   p_order      asc | desc; undated games go last either way
+--
+-- Returns { total, facets, results } where facets counts matches per console
+-- with every filter applied except the console one, and results is the page
+-- in order: [{ gameid, score, alias, popularity, release_date }]. Popularity
+-- is how many collection and wishlist entries point at the game.
+create or replace function search_catalog(
+    p_matches jsonb,
+    p_viewer bigint,
+    p_consoles bigint[] default '{}',
+    p_genre text default null,
+    p_year_from integer default null,
+    p_year_to integer default null,
+    p_sort text default 'relevance',
+    p_order text default 'asc',
+    p_limit integer default 24,
+    p_offset integer default 0
+)
+returns jsonb
+language sql
+stable
+as $$
+    with matched as (
+        select g.gameid, g.name, m.score, m.alias
+        from jsonb_to_recordset(coalesce(p_matches, '[]'::jsonb)) as m (gameid bigint, score double precision, alias text)
+        join gameinfo g on g.gameid = m.gameid
+        where (g.status = 'approved' or g.submitted_by = p_viewer)
+          and (p_genre is null or p_genre = any (g.genres))
+          and (
+              (p_year_from is null and p_year_to is null)
+              or exists (
+                  select 1 from game_release_dates d
+                  where d.gameid = g.gameid
+                    and extract(year from d.release_date) between coalesce(p_year_from, 0) and coalesce(p_year_to, 9999)
+              )
+          )
+    ),
+    facets as (
+        select c.consoleid, c.name, count(*) as count
+        from matched m
+        join gameinfo_console gc on gc.gameid = m.gameid
+        join console c on c.consoleid = gc.consoleid
+        group by c.consoleid, c.name
+    ),
+    hits as (
+        select m.*
+        from matched m
+        where coalesce(cardinality(p_consoles), 0) = 0
+           or exists (
+               select 1 from gameinfo_console gc
+               where gc.gameid = m.gameid and gc.consoleid = any (p_consoles)
+           )
+    ),
+    popularity as (
+        select gameid, count(*) as popularity
+        from (
+            select gameid from vgcollection where gameid in (select gameid from hits)
+            union all
+            select gameid from vgwishlist where gameid in (select gameid from hits)
+        ) entries
+        group by gameid
+    ),
+    ranked as (
+        select
+            h.gameid, h.score, h.alias, h.name,
+            coalesce(p.popularity, 0) as popularity,
+            (select min(d.release_date) from game_release_dates d where d.gameid = h.gameid) as release_date
+        from hits h
+        left join popularity p on p.gameid = h.gameid
+    ),
+    ordered as (
+        select r.*, row_number() over (order by
+            case when p_sort = 'name' and p_order = 'asc' then r.name end asc,
+            case when p_sort = 'name' and p_order = 'desc' then r.name end desc,
+            case when p_sort = 'release_date' then r.release_date is null end,
+            case when p_sort = 'release_date' and p_order = 'asc' then r.release_date end asc,
+            case when p_sort = 'release_date' and p_order = 'desc' then r.release_date end desc,
+            case when p_sort = 'popularity' and p_order = 'asc' then r.popularity end asc,
+            case when p_sort = 'popularity' and p_order = 'desc' then r.popularity end desc,
+            -- Relevance: "asc" means best match first
+            case when p_sort = 'relevance' and p_order = 'asc' then r.score end desc,
+            case when p_sort = 'relevance' and p_order = 'desc' then r.score end asc,
+            r.name, r.gameid
+        ) as position
+        from ranked r
+    )
+    select jsonb_build_object(
+        'total', (select count(*) from hits),
+        'facets', coalesce(
+            (select jsonb_agg(jsonb_build_object('consoleid', consoleid, 'name', name, 'count', count)
+                              order by count desc, name)
+             from facets),
+            '[]'::jsonb
+        ),
+        'results', coalesce(
+            (select jsonb_agg(jsonb_build_object(
+                        'gameid', gameid,
+                        'score', score,
+                        'alias', alias,
+                        'popularity', popularity,
+                        'release_date', release_date
+                    ) order by position)
+             from ordered
+             where position > p_offset and position <= p_offset + p_limit),
+            '[]'::jsonb
+        )
+    );
+$$;
@@ -0,0 +1,202 @@
+-- Typo-tolerant catalog search with pg_trgm. Titles and aliases are matched
+-- in the database through trigram indexes, so server.js no longer keeps a
+-- copy of the whole catalog in memory (and no longer has to be told when
+-- it changes).
+create extension if not exists pg_trgm;
+create extension if not exists unaccent;
+
+-- Comparable form of a title or query: lower case, no accents, anything
+-- but letters and digits as single spaces. unaccent() is only STABLE, so
+-- the wrapper names its dictionary to be usable in an index.
+create or replace function catalog_search_text(p_text text)
+returns text
+language sql
+immutable
+parallel safe
+set search_path = public, extensions
+as $$
+    select trim(regexp_replace(
+        lower(unaccent('unaccent'::regdictionary, coalesce(p_text, ''))),
+        '[^a-z0-9]+', ' ', 'g'
+    ));
+$$;
+
+-- All aliases of a game as one searchable string
+create or replace function catalog_search_aliases(p_aliases text[])
+returns text
+language sql
+immutable
+parallel safe
+as $$
+    select public.catalog_search_text(array_to_string(p_aliases, ' '));
+$$;
+
+create index if not exists gameinfo_name_trgm_idx
+    on gameinfo using gin (catalog_search_text(name) gin_trgm_ops);
+create index if not exists gameinfo_aliases_trgm_idx
+    on gameinfo using gin (catalog_search_aliases(aliases) gin_trgm_ops);
+
+-- Games whose title or an alias matches p_term, best first, with a 0..1
+-- score: exact 1, prefix 0.95, substring 0.85, otherwise the trigram
+-- similarity of the closest word run (so "ocarnia" still finds "Ocarina").
+-- alias is set when an alternate title matched better than the name.
+-- Pending/rejected submissions only match for their submitter.
+create or replace function match_games(p_term text, p_viewer bigint, p_limit integer default null)
+returns table (gameid bigint, name text, score real, alias text, cover_thumb_url text)
+language plpgsql
+stable
+set pg_trgm.word_similarity_threshold = 0.45
+as $$
+#variable_conflict use_column
+declare
+    v_term text := catalog_search_text(p_term);
+begin
+    if v_term = '' then
+        return;
+    end if;
+
+    return query
+    with candidates as (
+        select g.gameid, g.name, g.aliases, g.cover_thumb_url
+        from gameinfo g
+        where (g.status = 'approved' or g.submitted_by = p_viewer)
+          and (
+              v_term <% catalog_search_text(g.name)
+              or catalog_search_text(g.name) like '%' || v_term || '%'
+              or v_term <% catalog_search_aliases(g.aliases)
+              or catalog_search_aliases(g.aliases) like '%' || v_term || '%'
+          )
+    ),
+    scored as (
+        select
+            c.gameid, c.name, c.cover_thumb_url, t.alias,
+            case
+                when t.text = v_term then 1
+                when t.text like v_term || '%' then 0.95
+                when t.text like '%' || v_term || '%' then 0.85
+                else greatest(similarity(v_term, t.text), word_similarity(v_term, t.text) * 0.9)
+            end::real as score
+        from candidates c
+        cross join lateral (
+            select catalog_search_text(c.name) as text, null::text as alias
+            union all
+            select catalog_search_text(a), a from unnest(c.aliases) as a
+        ) t
+    ),
+    best as (
+        select distinct on (s.gameid) s.gameid, s.name, s.score, s.alias, s.cover_thumb_url
+        from scored s
+        order by s.gameid, s.score desc, s.alias nulls first
+    )
+    select b.gameid, b.name, b.score, b.alias, b.cover_thumb_url
+    from best b
+    order by b.score desc, b.name
+    limit p_limit;
+end;
+$$;
+
+-- search_catalog now matches by itself instead of taking the matches from
+-- the caller; everything after matching is unchanged
+drop function if exists search_catalog(jsonb, bigint, bigint[], text, integer, integer, text, text, integer, integer);
+
+create or replace function search_catalog(
+    p_term text,
+    p_viewer bigint,
+    p_consoles bigint[] default '{}',
+    p_genre text default null,
+    p_year_from integer default null,
+    p_year_to integer default null,
+    p_sort text default 'relevance',
+    p_order text default 'asc',
+    p_limit integer default 24,
+    p_offset integer default 0
+)
+returns jsonb
+language sql
+stable
+as $$
+    with matched as (
+        select m.gameid, m.name, m.score, m.alias
+        from match_games(p_term, p_viewer) m
+        join gameinfo g on g.gameid = m.gameid
+        where (p_genre is null or p_genre = any (g.genres))
+          and (
+              (p_year_from is null and p_year_to is null)
+              or exists (
+                  select 1 from game_release_dates d
+                  where d.gameid = g.gameid
+                    and extract(year from d.release_date) between coalesce(p_year_from, 0) and coalesce(p_year_to, 9999)
+              )
+          )
+    ),
+    facets as (
+        select c.consoleid, c.name, count(*) as count
+        from matched m
+        join gameinfo_console gc on gc.gameid = m.gameid
+        join console c on c.consoleid = gc.consoleid
+        group by c.consoleid, c.name
+    ),
+    hits as (
+        select m.*
+        from matched m
+        where coalesce(cardinality(p_consoles), 0) = 0
+           or exists (
+               select 1 from gameinfo_console gc
+               where gc.gameid = m.gameid and gc.consoleid = any (p_consoles)
+           )
+    ),
+    popularity as (
+        select gameid, count(*) as popularity
+        from (
+            select gameid from vgcollection where gameid in (select gameid from hits)
+            union all
+            select gameid from vgwishlist where gameid in (select gameid from hits)
+        ) entries
+        group by gameid
+    ),
+    ranked as (
+        select
+            h.gameid, h.score, h.alias, h.name,
+            coalesce(p.popularity, 0) as popularity,
+            (select min(d.release_date) from game_release_dates d where d.gameid = h.gameid) as release_date
+        from hits h
+        left join popularity p on p.gameid = h.gameid
+    ),
+    ordered as (
+        select r.*, row_number() over (order by
+            case when p_sort = 'name' and p_order = 'asc' then r.name end asc,
+            case when p_sort = 'name' and p_order = 'desc' then r.name end desc,
+            case when p_sort = 'release_date' then r.release_date is null end,
+            case when p_sort = 'release_date' and p_order = 'asc' then r.release_date end asc,
+            case when p_sort = 'release_date' and p_order = 'desc' then r.release_date end desc,
+            case when p_sort = 'popularity' and p_order = 'asc' then r.popularity end asc,
+            case when p_sort = 'popularity' and p_order = 'desc' then r.popularity end desc,
+            -- Relevance: "asc" means best match first
+            case when p_sort = 'relevance' and p_order = 'asc' then r.score end desc,
+            case when p_sort = 'relevance' and p_order = 'desc' then r.score end asc,
+            r.name, r.gameid
+        ) as position
+        from ranked r
+    )
+    select jsonb_build_object(
+        'total', (select count(*) from hits),
+        'facets', coalesce(
+            (select jsonb_agg(jsonb_build_object('consoleid', consoleid, 'name', name, 'count', count)
+                              order by count desc, name)
+             from facets),
+            '[]'::jsonb
+        ),
+        'results', coalesce(
+            (select jsonb_agg(jsonb_build_object(
+                        'gameid', gameid,
+                        'score', score,
+                        'alias', alias,
+                        'popularity', popularity,
+                        'release_date', release_date
+                    ) order by position)
+             from ordered
+             where position > p_offset and position <= p_offset + p_limit),
+            '[]'::jsonb
+        )
+    );
+$$;
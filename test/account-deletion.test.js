@@ -0,0 +1,87 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcrypt');
+const request = require('supertest');
+const { loadApp, seedUser, bearer } = require('./support/app');
+
+const { app, db } = loadApp();
+
+const admin = seedUser(db, { userid: 9, username: 'admin', admin: 1 });
+
+const scheduled = userId => db.tables.useraccount.find(u => u.userid === userId).deletion_scheduled_for;
+
+describe('DELETE /api/me', () => {
+    let frank;
+    let gina;
+
+    beforeEach(async () => {
+        db.tables.useraccount = [admin];
+        db.tables.user_identities = [];
+        frank = seedUser(db, { userid: 1, username: 'frank', password: await bcrypt.hash('hunter22', 4) });
+        gina = seedUser(db, { userid: 2, username: 'gina', password: null });
+    });
+
+    it('needs the right password when the account has one', async () => {
+        const wrong = await request(app).delete('/api/me').set('Authorization', bearer(frank)).send({ password: 'nope' });
+        assert.equal(wrong.status, 401);
+
+        const right = await request(app).delete('/api/me').set('Authorization', bearer(frank)).send({ password: 'hunter22' });
+        assert.equal(right.status, 200);
+        assert.ok(scheduled(frank.userid));
+    });
+
+    it('asks a password-less account to log in through its provider again', async () => {
+        db.tables.user_identities.push({
+            id: 1, userid: gina.userid, provider: 'mock', subject: 'g',
+            last_login_at: new Date(Date.now() - 60 * 60 * 1000).toISOString()
+        });
+
+        const res = await request(app).delete('/api/me').set('Authorization', bearer(gina)).send({});
+        assert.equal(res.status, 401);
+        assert.equal(res.body.reauthRequired, true);
+        assert.equal(scheduled(gina.userid), undefined);
+    });
+
+    it('accepts a fresh provider login instead of a password', async () => {
+        db.tables.user_identities.push({
+            id: 1, userid: gina.userid, provider: 'mock', subject: 'g', last_login_at: new Date().toISOString()
+        });
+
+        const res = await request(app).delete('/api/me').set('Authorization', bearer(gina)).send({});
+        assert.equal(res.status, 200);
+        assert.ok(scheduled(gina.userid));
+    });
+});
+
+describe('a scheduled deletion', () => {
+    it('survives logging in and is only cleared by cancelling it', async () => {
+        db.tables.useraccount = [admin];
+        const frank = seedUser(db, { userid: 1, username: 'frank', password: await bcrypt.hash('hunter22', 4) });
+        await request(app).delete('/api/me').set('Authorization', bearer(frank)).send({ password: 'hunter22' });
+
+        const login = await request(app).post('/login').send({ username: 'frank', password: 'hunter22' });
+        assert.equal(login.status, 200);
+        const me = await request(app).get('/api/me').set('Authorization', bearer(frank));
+        assert.ok(me.body.user.deletion_scheduled_for);
+
+        const cancel = await request(app).post('/api/me/deletion/cancel').set('Authorization', bearer(frank));
+        assert.equal(cancel.status, 200);
+        assert.equal(scheduled(frank.userid), null);
+    });
+});
+
+describe('deleting a user', () => {
+    it('removes their unpublished submissions and keeps approved ones', async () => {
+        const hank = seedUser(db, { userid: 3, username: 'hank' });
+        db.tables.gameinfo = [
+            { gameid: 1, name: 'Approved', status: 'approved', submitted_by: hank.userid },
+            { gameid: 2, name: 'Pending', status: 'pending', submitted_by: hank.userid },
+            { gameid: 3, name: 'Rejected', status: 'rejected', submitted_by: hank.userid }
+        ];
+
+        const res = await request(app).delete(`/api/admin/users/${hank.userid}`).set('Authorization', bearer(admin));
+
+        assert.equal(res.status, 200);
+        assert.deepEqual(db.tables.gameinfo.map(g => [g.gameid, g.submitted_by]), [[1, null]]);
+    });
+});
@@ -0,0 +1,145 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { loadApp, seedUser, bearer } = require('./support/app');
+
+const { app, db } = loadApp();
+
+const alice = seedUser(db, { userid: 1, username: 'alice' });
+const bob = seedUser(db, { userid: 2, username: 'bob' });
+const carol = seedUser(db, { userid: 3, username: 'carol' });
+const admin = seedUser(db, { userid: 9, username: 'admin', admin: 1 });
+
+// Everything below belongs to bob, so alice must be turned away
+before(() => {
+    db.tables.gameinfo = [{ gameid: 10, name: 'Chrono Trigger', status: 'approved' }];
+    db.tables.gamedetails = [{ gamedetailsid: 40 }];
+    db.tables.vgcollection = [{ collectionid: 30, userid: bob.userid, gameid: 10, gamedetailsid: 40 }];
+    db.tables.vgwishlist = [{ wishlistid: 50, userid: bob.userid, gameid: 10 }];
+    db.tables.chat_threads = [{ id: 20, user_a: bob.userid, user_b: carol.userid }];
+});
+
+// Routes guarded by requireSelfOrAdmin(); `owner` is whose data the URL names
+const userScoped = [
+    ['get', owner => `/api/check-wishlist/${owner}/10`],
+    ['post', owner => `/api/add-game-wishlist/${owner}/10`, { consoleIds: [1] }],
+    ['get', owner => `/api/mywishlist/${owner}`],
+    ['delete', owner => `/api/removewishlist/${owner}/10`],
+    ['get', owner => `/api/get-wishlist-details/${owner}/10`],
+    ['put', owner => `/api/edit-wishlist/${owner}/10`, { consoleIds: [1] }],
+    ['get', owner => `/api/mycollection/${owner}`],
+    ['get', owner => `/api/check-gamedetails/${owner}/10`],
+    ['post', owner => `/api/add-game-details/${owner}/10`, { consoleIds: [1] }],
+    ['delete', owner => `/api/removecollection/${owner}/10`],
+    ['get', owner => `/api/get-game-details/${owner}/10`],
+    ['put', owner => `/api/edit-game-details/${owner}/10`, { consoleIds: [1] }],
+    ['get', owner => `/api/collection/${owner}/games/10/items`],
+    ['put', owner => `/api/update-username/${owner}`, { newUsername: 'bob' }],
+    ['put', owner => `/api/update-password/${owner}`, { newPassword: 'correct horse battery' }],
+    ['put', owner => `/api/update-email/${owner}`, { newEmail: 'changed@example.com' }]
+];
+
+// canAccessUser checks inside the handler (:userId is a username here)
+const usernameScoped = [
+    ['get', owner => `/api/users/${owner}/requests/incoming`],
+    ['get', owner => `/api/users/${owner}/requests/outgoing`]
+];
+
+// requireCollectionItem: bob's copy #30
+const collectionItem = [
+    ['get', () => '/api/collection/items/30'],
+    ['put', () => '/api/collection/items/30', { consoleIds: [1] }],
+    ['delete', () => '/api/collection/items/30']
+];
+
+// requireThreadParticipant: bob and carol's thread #20
+const threadScoped = [
+    ['get', () => '/api/threads/20/messages'],
+    ['post', () => '/api/threads/20/messages', { text: 'hi' }],
+    ['post', () => '/api/threads/20/mark-seen']
+];
+
+const call = (user, [method, url, body], owner) => {
+    const req = request(app)[method](url(owner)).set('Authorization', bearer(user));
+    return body ? req.send(body) : req;
+};
+
+const label = ([method, url]) => `${method.toUpperCase()} ${url(':owner')}`;
+
+// Anything but 401/403 means the guard let the request through
+const assertAllowed = res => assert.ok(
+    ![401, 403].includes(res.status),
+    `expected to get past the access check, got ${res.status} ${JSON.stringify(res.body)}`
+);
+
+describe('user-scoped routes', () => {
+    for (const route of userScoped) {
+        it(`${label(route)} refuses another user`, async () => {
+            const res = await call(alice, route, bob.userid);
+            assert.equal(res.status, 403);
+        });
+
+        it(`${label(route)} lets the owner in`, async () => {
+            assertAllowed(await call(bob, route, bob.userid));
+        });
+
+        it(`${label(route)} lets an admin in`, async () => {
+            assertAllowed(await call(admin, route, bob.userid));
+        });
+    }
+
+    for (const route of usernameScoped) {
+        it(`${label(route)} refuses another user`, async () => {
+            const res = await call(alice, route, 'bob');
+            assert.equal(res.status, 403);
+        });
+
+        it(`${label(route)} lets the owner and an admin in`, async () => {
+            assertAllowed(await call(bob, route, 'bob'));
+            assertAllowed(await call(admin, route, 'bob'));
+        });
+    }
+});
+
+describe('collection copies', () => {
+    for (const route of collectionItem) {
+        it(`${label(route)} refuses another user`, async () => {
+            const res = await call(alice, route);
+            assert.equal(res.status, 403);
+        });
+    }
+
+    // GET and PUT before DELETE, which removes the copy
+    it('lets the owner and an admin in', async () => {
+        for (const route of collectionItem.slice(0, 2)) {
+            assertAllowed(await call(bob, route));
+            assertAllowed(await call(admin, route));
+        }
+    });
+});
+
+describe('message threads', () => {
+    for (const route of threadScoped) {
+        it(`${label(route)} refuses someone outside the thread`, async () => {
+            const res = await call(alice, route);
+            assert.equal(res.status, 403);
+        });
+
+        it(`${label(route)} lets both participants in`, async () => {
+            assertAllowed(await call(bob, route));
+            assertAllowed(await call(carol, route));
+        });
+    }
+
+    it('returns 404 for a thread that does not exist', async () => {
+        const res = await request(app).get('/api/threads/999/messages').set('Authorization', bearer(alice));
+        assert.equal(res.status, 404);
+    });
+});
+
+describe('unauthenticated requests', () => {
+    it('are rejected before any access check', async () => {
+        const res = await request(app).get(`/api/mycollection/${bob.userid}`);
+        assert.equal(res.status, 401);
+    });
+});
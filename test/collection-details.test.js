@@ -0,0 +1,109 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { loadApp, seedUser, bearer } = require('./support/app');
+
+const { app, db } = loadApp();
+
+const gail = seedUser(db, { userid: 1, username: 'gail' });
+db.tables.gameinfo = [{ gameid: 10, name: 'Chrono Trigger', status: 'approved' }];
+db.tables.gameinfo_console = [{ gameid: 10, consoleid: 1 }, { gameid: 10, consoleid: 2 }];
+db.tables.gamedetails = [{ gamedetailsid: 40 }];
+db.tables.vgcollection = [{ collectionid: 30, userid: gail.userid, gameid: 10, gamedetailsid: 40 }];
+
+const edits = [
+    ['PUT /api/edit-game-details/:userId/:gameId', () => request(app).put(`/api/edit-game-details/${gail.userid}/10`)],
+    ['PUT /api/collection/items/:collectionId', () => request(app).put('/api/collection/items/30')]
+];
+
+const invalid = {
+    'not a list': { consoleIds: [1], platforms: { consoleId: 1 } },
+    'a block without consoleId': { consoleIds: [1], platforms: [{ ownership: 'Loose' }] },
+    'two blocks for one console': { consoleIds: [1], platforms: [{ consoleId: 1 }, { consoleId: 1 }] },
+    'a block for a console outside consoleIds': { consoleIds: [1], platforms: [{ consoleId: 2 }] },
+    'a block for a console the game is not on': { consoleIds: [1, 3], platforms: [{ consoleId: 3 }] }
+};
+
+describe('platform blocks on edit', () => {
+    for (const [label, route] of edits) {
+        for (const [problem, body] of Object.entries(invalid)) {
+            it(`${label} answers 400 for ${problem}`, async () => {
+                let rpcCalled = false;
+                db.rpcHandlers.edit_collection_item = () => { rpcCalled = true; return true; };
+
+                const res = await route().set('Authorization', bearer(gail)).send(body);
+
+                assert.equal(res.status, 400);
+                assert.ok(res.body.error);
+                assert.equal(rpcCalled, false);
+            });
+        }
+
+        it(`${label} saves valid blocks`, async () => {
+            db.rpcHandlers.edit_collection_item = () => true;
+            const res = await route()
+                .set('Authorization', bearer(gail))
+                .send({ consoleIds: [1, 2], platforms: [{ consoleId: 1, ownership: 'CIB' }] });
+            assert.equal(res.status, 200);
+        });
+    }
+
+    it('answers 400 on add for a block outside consoleIds', async () => {
+        let rpcCalled = false;
+        db.rpcHandlers.add_collection_item = () => { rpcCalled = true; return 31; };
+
+        const res = await request(app)
+            .post(`/api/add-game-details/${gail.userid}/10`)
+            .set('Authorization', bearer(gail))
+            .send({ consoleIds: [1], platforms: [{ consoleId: 2 }] });
+
+        assert.equal(res.status, 400);
+        assert.equal(rpcCalled, false);
+    });
+});
+
+describe('details fields', () => {
+    const fields = { checkboxes: ['Box', 'Manual'], completion: 'Beaten', spoiler: 1 };
+
+    it('are stored the same way on add and on edit', async () => {
+        const sent = {};
+        db.rpcHandlers.add_collection_item = args => { sent.add = args.p_details; return 31; };
+        db.rpcHandlers.edit_collection_item = args => { sent.edit = args.p_details; return true; };
+
+        await request(app).post(`/api/add-game-details/${gail.userid}/10`)
+            .set('Authorization', bearer(gail)).send({ consoleIds: [1], ...fields });
+        await request(app).put('/api/collection/items/30')
+            .set('Authorization', bearer(gail)).send({ consoleIds: [1], ...fields });
+
+        assert.equal(sent.edit.condition, 'Box, Manual');
+        assert.equal(sent.edit.completion, 'Beaten');
+        assert.deepEqual(sent.edit, sent.add);
+    });
+});
+
+describe('collection orphan repair', () => {
+    const admin = seedUser(db, { userid: 9, username: 'admin', admin: 1 });
+    const report = dryRun => ({ dryRun, orphanDetailsRemoved: 2, collectionsRepaired: 1, collectionsUnresolved: [30] });
+    const lastRun = async () => (await request(app)
+        .get('/api/admin/maintenance/collection-orphans')
+        .set('Authorization', bearer(admin))).body.lastRun;
+
+    it('keeps the report of the last real run for admins', async () => {
+        db.rpcHandlers.repair_collection_orphans = args => report(args.p_dry_run);
+        assert.equal(await lastRun(), null);
+
+        await request(app).post('/api/admin/maintenance/collection-orphans?dryRun=true').set('Authorization', bearer(admin));
+        assert.equal(await lastRun(), null);
+
+        const run = await request(app).post('/api/admin/maintenance/collection-orphans').set('Authorization', bearer(admin));
+        assert.equal(run.status, 200);
+        const { ranAt, ...rest } = await lastRun();
+        assert.ok(ranAt);
+        assert.deepEqual(rest, report(false));
+    });
+
+    it('is not shown to other users', async () => {
+        const res = await request(app).get('/api/admin/maintenance/collection-orphans').set('Authorization', bearer(gail));
+        assert.equal(res.status, 403);
+    });
+});
@@ -0,0 +1,228 @@
+const { describe, it, before, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const request = require('supertest');
+const sharp = require('sharp');
+const { loadApp, seedUser, bearer } = require('./support/app');
+
+const { app, db } = loadApp({
+    IMPORTER_FIXTURE_PATH: path.join(__dirname, 'fixtures', 'import-games.json'),
+    IGDB_CLIENT_ID: 'test-client',
+    IGDB_CLIENT_SECRET: 'test-secret'
+});
+
+const admin = seedUser(db, { userid: 1, username: 'admin', admin: 1 });
+const player = seedUser(db, { userid: 2, username: 'player' });
+
+before(() => {
+    db.tables.console = [
+        { consoleid: 1, name: 'Nintendo 64' },
+        { consoleid: 2, name: 'GameCube' },
+        { consoleid: 3, name: 'Super Nintendo' }
+    ];
+    db.tables.gameinfo = [
+        { gameid: 10, name: 'Chrono Trigger', status: 'approved' },
+        { gameid: 11, name: 'Shadow of the Beast II', status: 'approved' }
+    ];
+});
+
+const asAdmin = req => req.set('Authorization', bearer(admin));
+const preview = externalId => asAdmin(request(app).get(`/api/admin/import/fixture/games/${externalId}`));
+const importGame = (externalId, body = {}) =>
+    asAdmin(request(app).post(`/api/admin/import/fixture/games/${externalId}`)).send(body);
+
+const byConsoleAndRegion = (a, b) => a.consoleid - b.consoleid || a.region.localeCompare(b.region);
+
+describe('search', () => {
+    it('finds games at the provider', async () => {
+        const res = await asAdmin(request(app).get('/api/admin/import/fixture/search?q=zelda'));
+
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.results, [{
+            externalId: '1001',
+            name: 'The Legend of Zelda: Ocarina of Time',
+            year: 1998,
+            platforms: ['Nintendo 64', 'GameCube', 'iQue Player']
+        }]);
+    });
+
+    it('needs a query', async () => {
+        const res = await asAdmin(request(app).get('/api/admin/import/fixture/search?q=%20'));
+        assert.equal(res.status, 400);
+    });
+
+    it('404s for a provider that is not configured', async () => {
+        const res = await asAdmin(request(app).get('/api/admin/import/mobygames/search?q=zelda'));
+        assert.equal(res.status, 404);
+    });
+
+    it('is for admins only', async () => {
+        const res = await request(app)
+            .get('/api/admin/import/fixture/search?q=zelda')
+            .set('Authorization', bearer(player));
+        assert.equal(res.status, 403);
+    });
+});
+
+describe('preview (import plan)', () => {
+    it('maps platforms, genres, aliases and release dates onto the catalog', async () => {
+        const res = await preview(1001);
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.game, undefined);
+        assert.deepEqual(res.body.source, { provider: 'fixture', externalId: '1001', coverUrl: null });
+        assert.deepEqual(res.body.consoles.map(c => c.consoleid), [1, 2]);
+        assert.deepEqual(res.body.unmatchedPlatforms, ['iQue Player']);
+        assert.deepEqual(res.body.metadata, {
+            publisher: 'Nintendo',
+            developer: 'Nintendo EAD',
+            description: 'Link travels through time to stop Ganondorf.',
+            genres: ['Adventure', 'RPG'],
+            tags: ['open world'],
+            aliases: ['Zelda OoT']
+        });
+        // Earliest date per console and region; unknown regions and consoles dropped
+        assert.deepEqual(res.body.releaseDates.sort(byConsoleAndRegion), [
+            { consoleid: 1, region: 'JP', release_date: '1998-11-21' },
+            { consoleid: 1, region: 'NA', release_date: '1998-11-23' },
+            { consoleid: 2, region: 'EU', release_date: '2003-05-03' }
+        ]);
+        assert.deepEqual(res.body.duplicates, []);
+    });
+
+    it('flags a catalog game with the same title', async () => {
+        const res = await preview(1002);
+        assert.deepEqual(res.body.duplicates, [{ gameid: 10, name: 'Chrono Trigger', reason: 'name' }]);
+    });
+
+    it('does not treat a partial title match as a duplicate', async () => {
+        const res = await preview(1003);
+
+        assert.deepEqual(res.body.duplicates, []);
+        assert.deepEqual(res.body.consoles, []);
+        assert.deepEqual(res.body.unmatchedPlatforms, ['Amiga']);
+        assert.deepEqual(res.body.metadata.genres, ['Platformer']);
+    });
+
+    it('404s for a game the provider does not have', async () => {
+        const res = await preview(9999);
+        assert.equal(res.status, 404);
+    });
+});
+
+describe('import', () => {
+    it('creates the game with its consoles, release dates and source', async () => {
+        const res = await importGame(1001);
+
+        assert.equal(res.status, 201);
+        const game = db.tables.gameinfo.find(g => g.gameid === res.body.gameId);
+        assert.equal(game.name, 'The Legend of Zelda: Ocarina of Time');
+        assert.equal(game.status, 'approved');
+        assert.equal(game.import_source, 'fixture');
+        assert.equal(game.import_external_id, '1001');
+        assert.deepEqual(game.genres, ['Adventure', 'RPG']);
+        assert.deepEqual(
+            db.tables.gameinfo_console.filter(l => l.gameid === game.gameid).map(l => l.consoleid),
+            [1, 2]
+        );
+        assert.equal(db.tables.game_release_dates.filter(d => d.gameid === game.gameid).length, 3);
+    });
+
+    it('never imports the same external record twice', async () => {
+        const res = await importGame(1001, { allowDuplicate: true });
+
+        assert.equal(res.status, 409);
+        assert.equal(res.body.duplicates[0].reason, 'external_id');
+    });
+
+    it('needs a go-ahead to import over a title match', async () => {
+        const blocked = await importGame(1002);
+        assert.equal(blocked.status, 409);
+        assert.equal(blocked.body.duplicates[0].reason, 'name');
+
+        const res = await importGame(1002, { allowDuplicate: true });
+        assert.equal(res.status, 201);
+    });
+
+    it('asks for consoles when no platform matches', async () => {
+        const blocked = await importGame(1003);
+        assert.equal(blocked.status, 400);
+        assert.deepEqual(blocked.body.unmatchedPlatforms, ['Amiga']);
+
+        const res = await importGame(1003, { Consoles: [1] });
+        assert.equal(res.status, 201);
+        assert.deepEqual(
+            db.tables.gameinfo_console.filter(l => l.gameid === res.body.gameId).map(l => l.consoleid),
+            [1]
+        );
+    });
+});
+
+describe('upstream failures', () => {
+    const realFetch = global.fetch;
+    afterEach(() => {
+        global.fetch = realFetch;
+    });
+
+    const failures = {
+        'network error': () => Promise.reject(new TypeError('fetch failed')),
+        timeout: () => Promise.reject(new DOMException('The operation was aborted due to timeout', 'TimeoutError')),
+        'error response': () => Promise.resolve(new Response('{}', { status: 503 }))
+    };
+
+    for (const [kind, fakeFetch] of Object.entries(failures)) {
+        it(`answers 502 on every route for a ${kind}`, async () => {
+            global.fetch = fakeFetch;
+
+            const responses = await Promise.all([
+                asAdmin(request(app).get('/api/admin/import/igdb/search?q=zelda')),
+                asAdmin(request(app).get('/api/admin/import/igdb/games/1001')),
+                asAdmin(request(app).post('/api/admin/import/igdb/games/1001')).send({})
+            ]);
+            assert.deepEqual(responses.map(r => r.status), [502, 502, 502]);
+        });
+    }
+});
+
+describe('bulk import covers', () => {
+    const realFetch = global.fetch;
+    afterEach(() => {
+        global.fetch = realFetch;
+    });
+
+    const waitFor = async (check, ms = 5000) => {
+        for (const start = Date.now(); Date.now() - start < ms; await new Promise(r => setTimeout(r, 20))) {
+            if (check()) return;
+        }
+        assert.fail('timed out waiting for the background covers');
+    };
+
+    it('answers before the covers are fetched and only stores real images', async () => {
+        const png = await sharp({ create: { width: 4, height: 4, channels: 3, background: '#c33' } }).png().toBuffer();
+        const served = [];
+        global.fetch = async (url) => {
+            served.push(String(url));
+            return String(url).endsWith('.png')
+                ? new Response(png, { headers: { 'Content-Type': 'image/png' } })
+                : new Response('<html></html>', { headers: { 'Content-Type': 'text/html' } });
+        };
+
+        const file = Buffer.from(JSON.stringify([
+            { name: 'Star Fox 64', consoles: 'Nintendo 64', cover_url: 'https://covers.example/star-fox.png' },
+            { name: 'Wave Race 64', consoles: 'Nintendo 64', cover_url: 'https://covers.example/wave-race' },
+            { name: 'Pilotwings 64', consoles: 'Nintendo 64' }
+        ]));
+        const res = await asAdmin(request(app).post('/api/admin/games/import'))
+            .attach('file', file, { filename: 'games.json', contentType: 'application/json' });
+
+        assert.equal(res.status, 201);
+        assert.equal(res.body.created, 3);
+        assert.equal(res.body.coversQueued, 2);
+
+        const [starFox, waveRace] = res.body.gameIds.map(id => db.tables.gameinfo.find(g => g.gameid === id));
+        await waitFor(() => starFox.cover_thumb_url && served.length === 2);
+        await new Promise(r => setTimeout(r, 50));
+        assert.match(starFox.cover_full_url, /^http:\/\/storage\.test\//);
+        assert.equal(waveRace.cover_thumb_url, undefined);
+    });
+});
@@ -0,0 +1,106 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createDatabase } = require('./support/database');
+
+let db;
+
+before(async () => {
+    db = await createDatabase(['20261019000100_merge_games.sql']);
+    await db.exec(`
+        insert into useraccount (userid, username) values (1, 'hana'), (2, 'ivan');
+        insert into console (consoleid, name) values (1, 'Super Nintendo'), (2, 'Super Famicom');
+        insert into gameinfo (gameid, name) values (10, 'Chrono Trigger'), (11, 'Chrono Trigger (dup)');
+        insert into gameinfo_console (gameid, consoleid) values (10, 1), (11, 2);
+
+        -- hana owns two copies, both filed under the duplicate
+        insert into gamedetails (gamedetailsid, condition, price, notes) values
+            (100, 'Loose', 40, 'cart only'),
+            (101, 'CIB', 120, 'sealed'),
+            (102, 'Good', 60, null);
+        insert into vgcollection (collectionid, userid, gameid, gamedetailsid) values
+            (1, 1, 11, 100),
+            (2, 1, 11, 101),
+            (3, 2, 10, 102);
+        insert into vgcollection_console (collectionid, consoleid) values (1, 2), (2, 2), (3, 1);
+
+        -- ivan wants it under both entries, hana only under the duplicate
+        insert into vgwishlist (wishlistid, userid, gameid) values (1, 2, 10), (2, 2, 11), (3, 1, 11);
+        insert into vgwishlist_console (wishlistid, consoleid) values (1, 1), (2, 2), (3, 2);
+
+        insert into game_release_dates (gameid, consoleid, region, release_date) values
+            (10, 1, 'NA', '1995-08-22'),
+            (11, 1, 'NA', '1995-08-11'),
+            (11, 2, 'JP', '1995-03-11');
+        insert into game_barcodes (barcode, gameid, consoleid) values ('04988601001234', 11, 2);
+    `);
+});
+
+after(() => db.close());
+
+describe('merge_games', () => {
+    let summary;
+
+    before(async () => {
+        const { rows } = await db.query('select merge_games(10, 11) as summary');
+        summary = rows[0].summary;
+    });
+
+    it('moves every collection copy with its own details', async () => {
+        const { rows } = await db.query(`
+            select c.collectionid, c.gameid, d.condition, d.price::int as price, d.notes
+            from vgcollection c join gamedetails d using (gamedetailsid)
+            where c.userid = 1
+            order by c.collectionid
+        `);
+
+        assert.deepEqual(rows, [
+            { collectionid: 1, gameid: 10, condition: 'Loose', price: 40, notes: 'cart only' },
+            { collectionid: 2, gameid: 10, condition: 'CIB', price: 120, notes: 'sealed' }
+        ]);
+        const { rows: links } = await db.query('select collectionid, consoleid from vgcollection_console order by 1');
+        assert.deepEqual(links, [
+            { collectionid: 1, consoleid: 2 },
+            { collectionid: 2, consoleid: 2 },
+            { collectionid: 3, consoleid: 1 }
+        ]);
+        assert.equal(summary.collectionsMoved, 2);
+    });
+
+    it('folds a wishlist on both entries into the canonical one', async () => {
+        const { rows } = await db.query(`
+            select w.wishlistid, w.userid, w.gameid, array_agg(wc.consoleid order by wc.consoleid) as consoles
+            from vgwishlist w join vgwishlist_console wc using (wishlistid)
+            group by w.wishlistid
+            order by w.wishlistid
+        `);
+
+        assert.deepEqual(rows, [
+            { wishlistid: 1, userid: 2, gameid: 10, consoles: [1, 2] },
+            { wishlistid: 3, userid: 1, gameid: 10, consoles: [2] }
+        ]);
+        assert.equal(summary.wishlistsMoved, 1);
+        assert.equal(summary.wishlistsFolded, 1);
+    });
+
+    it('keeps release dates the canonical game lacks, and its barcodes', async () => {
+        const { rows } = await db.query(`
+            select consoleid, region, release_date::text as date
+            from game_release_dates where gameid = 10 order by consoleid
+        `);
+
+        assert.deepEqual(rows, [
+            { consoleid: 1, region: 'NA', date: '1995-08-22' },
+            { consoleid: 2, region: 'JP', date: '1995-03-11' }
+        ]);
+        const { rows: barcodes } = await db.query('select gameid from game_barcodes');
+        assert.deepEqual(barcodes, [{ gameid: 10 }]);
+    });
+
+    it('links the consoles and removes the duplicate', async () => {
+        const { rows: consoles } = await db.query('select consoleid from gameinfo_console where gameid = 10 order by 1');
+        assert.deepEqual(consoles.map(c => c.consoleid), [1, 2]);
+
+        const { rows: games } = await db.query('select gameid from gameinfo order by 1');
+        assert.deepEqual(games, [{ gameid: 10 }]);
+    });
+});
@@ -0,0 +1,199 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { loadApp, seedUser, bearer } = require('./support/app');
+const { createMockOidcProvider } = require('../scripts/mock-oidc-provider');
+
+const FRONTEND_URL = 'http://frontend.test';
+const provider = createMockOidcProvider({ clientId: 'cdd-test' });
+let app;
+let db;
+
+before(async () => {
+    const issuer = await provider.listen();
+    ({ app, db } = loadApp({
+        FRONTEND_URL,
+        TRUST_PROXY: 'true',
+        OIDC_PROVIDERS: JSON.stringify({ mock: { issuer, clientId: 'cdd-test', name: 'Mock' } })
+    }));
+    db.tables.user_identities = [];
+});
+
+after(() => provider.close());
+
+// Each flow comes from its own address so loginRateLimit never gets in the way
+let nextIp = 1;
+
+// Walk the browser through start → provider → callback. `authorize` and
+// `callback` can tamper with the URLs on the way; returns the callback response.
+async function signIn({ account, startPath = '/auth/oidc/mock/start', authorize, callback, keepCookie = true } = {}) {
+    const ip = `10.0.0.${nextIp++}`;
+    provider.setNextLogin(account);
+
+    const start = await request(app).get(startPath).set('X-Forwarded-For', ip);
+    assert.equal(start.status, 302);
+    const flowCookie = (start.headers['set-cookie'] || []).find(c => c.startsWith('oidc_flow='))?.split(';')[0];
+
+    const authorizeUrl = new URL(start.headers.location);
+    authorize?.(authorizeUrl);
+    const authorized = await fetch(authorizeUrl, { redirect: 'manual' });
+    assert.equal(authorized.status, 302);
+
+    const callbackUrl = new URL(authorized.headers.get('location'));
+    callback?.(callbackUrl);
+    const req = request(app).get(callbackUrl.pathname + callbackUrl.search).set('X-Forwarded-For', ip);
+    return keepCookie && flowCookie ? req.set('Cookie', flowCookie) : req;
+}
+
+const landedOn = res => res.headers.location.slice(FRONTEND_URL.length);
+const identitiesOf = userid => db.tables.user_identities.filter(i => i.userid === userid);
+
+describe('OIDC login', () => {
+    it('creates an account on first login and starts a session', async () => {
+        const res = await signIn({ account: { sub: 'sub-new', email: 'newbie@example.com', email_verified: true, preferred_username: 'newbie' } });
+
+        assert.equal(res.status, 302);
+        assert.equal(landedOn(res), '/oauth/callback');
+        assert.ok(res.headers['set-cookie'].some(c => c.startsWith('refreshToken=')));
+
+        const user = db.tables.useraccount.find(u => u.email === 'newbie@example.com');
+        assert.equal(user.username, 'newbie');
+        assert.equal(user.password, null);
+        assert.equal(user.email_verified, true);
+        assert.deepEqual(identitiesOf(user.userid).map(i => i.subject), ['sub-new']);
+    });
+
+    it('logs the same person back into the same account', async () => {
+        const before = db.tables.useraccount.length;
+        const res = await signIn({ account: { sub: 'sub-new', email: 'newbie@example.com' } });
+
+        assert.equal(landedOn(res), '/oauth/callback');
+        assert.equal(db.tables.useraccount.length, before);
+    });
+
+    it('never attaches a login to an existing account by email', async () => {
+        seedUser(db, { userid: 101, email: 'taken@example.com', password: 'hash' });
+        const res = await signIn({ account: { sub: 'sub-taken', email: 'taken@example.com' } });
+
+        assert.equal(landedOn(res), '/login?oauthError=account_exists');
+        assert.equal(identitiesOf(101).length, 0);
+    });
+
+    it('sends two-factor accounts to the 2FA step instead of starting a session', async () => {
+        seedUser(db, { userid: 102, totp_enabled: true, totp_secret: 'JBSWY3DPEHPK3PXP' });
+        db.tables.user_identities.push({ id: 9102, userid: 102, provider: 'mock', subject: 'sub-2fa' });
+        const sessions = (db.tables.user_sessions || []).length;
+
+        const res = await signIn({ account: { sub: 'sub-2fa', email: 'user102@example.com' } });
+
+        assert.match(landedOn(res), /^\/login\/2fa#challenge=.+/);
+        assert.ok(!(res.headers['set-cookie'] || []).some(c => c.startsWith('refreshToken=')));
+        assert.equal((db.tables.user_sessions || []).length, sessions);
+    });
+
+    it('turns away suspended accounts', async () => {
+        seedUser(db, { userid: 103, suspended_at: new Date().toISOString() });
+        db.tables.user_identities.push({ id: 9103, userid: 103, provider: 'mock', subject: 'sub-suspended' });
+
+        const res = await signIn({ account: { sub: 'sub-suspended' } });
+        assert.equal(landedOn(res), '/login?oauthError=suspended');
+    });
+});
+
+describe('OIDC flow checks', () => {
+    const accountsBefore = () => db.tables.useraccount.length;
+
+    it('fails when the code verifier does not match the PKCE challenge', async () => {
+        const count = accountsBefore();
+        const res = await signIn({
+            account: { sub: 'sub-pkce', email: 'pkce@example.com' },
+            authorize: url => url.searchParams.set('code_challenge', 'A'.repeat(43))
+        });
+
+        assert.equal(landedOn(res), '/login?oauthError=provider_error');
+        assert.equal(accountsBefore(), count);
+    });
+
+    it('fails when the state does not match the flow', async () => {
+        const res = await signIn({
+            account: { sub: 'sub-state', email: 'state@example.com' },
+            callback: url => url.searchParams.set('state', 'forged')
+        });
+        assert.equal(landedOn(res), '/login?oauthError=state_mismatch');
+    });
+
+    it('fails when the ID token carries another nonce', async () => {
+        const count = accountsBefore();
+        const res = await signIn({
+            account: { sub: 'sub-nonce', email: 'nonce@example.com' },
+            authorize: url => url.searchParams.set('nonce', 'replayed')
+        });
+
+        assert.equal(landedOn(res), '/login?oauthError=provider_error');
+        assert.equal(accountsBefore(), count);
+    });
+
+    it('fails without the flow cookie', async () => {
+        const res = await signIn({ account: { sub: 'sub-cookie', email: 'cookie@example.com' }, keepCookie: false });
+        assert.equal(landedOn(res), '/login?oauthError=expired');
+    });
+
+    it('passes on errors reported by the provider', async () => {
+        const res = await signIn({ account: { error: 'access_denied' } });
+        assert.equal(landedOn(res), '/login?oauthError=access_denied');
+    });
+});
+
+describe('linking and unlinking', () => {
+    const erin = { userid: 201, username: 'erin', admin: 0 };
+    const frank = { userid: 202, username: 'frank', admin: 0 };
+
+    before(() => {
+        seedUser(db, { ...erin, password: 'hash' });
+        seedUser(db, { ...frank });
+        db.tables.user_identities.push({ id: 9202, userid: frank.userid, provider: 'mock', subject: 'sub-frank' });
+    });
+
+    const linkPath = async (user) => {
+        const res = await request(app).post('/api/identities/mock/link').set('Authorization', bearer(user));
+        assert.equal(res.status, 200);
+        const url = new URL(res.body.url);
+        return url.pathname + url.search;
+    };
+
+    it('links a provider account to the logged-in user', async () => {
+        const res = await signIn({ account: { sub: 'sub-erin', email: 'erin@elsewhere.example' }, startPath: await linkPath(erin) });
+
+        assert.equal(landedOn(res), '/profile?linked=mock');
+        assert.deepEqual(identitiesOf(erin.userid).map(i => i.subject), ['sub-erin']);
+    });
+
+    it('refuses a provider account that belongs to someone else', async () => {
+        const res = await signIn({ account: { sub: 'sub-frank' }, startPath: await linkPath(erin) });
+
+        assert.equal(landedOn(res), '/profile?oauthError=identity_in_use');
+        assert.equal(identitiesOf(frank.userid).length, 1);
+        assert.equal(identitiesOf(erin.userid).length, 1);
+    });
+
+    it('refuses a forged link ticket', async () => {
+        const res = await request(app)
+            .get('/auth/oidc/mock/start?link=forged')
+            .set('X-Forwarded-For', `10.0.0.${nextIp++}`);
+        assert.equal(landedOn(res), '/profile?oauthError=link_expired');
+    });
+
+    it('will not unlink the only way a password-less account can log in', async () => {
+        const res = await request(app).delete('/api/identities/mock').set('Authorization', bearer(frank));
+
+        assert.equal(res.status, 400);
+        assert.equal(identitiesOf(frank.userid).length, 1);
+    });
+
+    it('unlinks when a password is set', async () => {
+        const res = await request(app).delete('/api/identities/mock').set('Authorization', bearer(erin));
+
+        assert.equal(res.status, 200);
+        assert.equal(identitiesOf(erin.userid).length, 0);
+    });
+});
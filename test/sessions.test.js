@@ -0,0 +1,118 @@
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcrypt');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { loadApp, seedUser, bearer, deriveSecret } = require('./support/app');
+
+const { app, db } = loadApp();
+
+const dana = seedUser(db, { userid: 1, username: 'dana', email: 'dana@example.com' });
+const admin = seedUser(db, { userid: 9, username: 'admin', admin: 1 });
+
+const liveSessions = () => db.tables.user_sessions.filter(s => !s.revoked_at);
+
+describe('email change', () => {
+    beforeEach(() => {
+        db.tables.user_sessions = [
+            { id: 's1', userid: dana.userid, expires_at: '2999-01-01T00:00:00Z' },
+            { id: 's2', userid: dana.userid, expires_at: '2999-01-01T00:00:00Z' }
+        ];
+    });
+
+    it('keeps every session while the new address is only pending', async () => {
+        const res = await request(app)
+            .put(`/api/update-email/${dana.userid}`)
+            .set('Authorization', bearer(dana))
+            .send({ newEmail: 'dana@new.example.com' });
+
+        assert.equal(res.status, 200);
+        assert.equal(db.tables.useraccount[0].pending_email, 'dana@new.example.com');
+        assert.equal(db.tables.useraccount[0].email, 'dana@example.com');
+        assert.equal(liveSessions().length, 2);
+    });
+
+    it('signs out everywhere once the new address is confirmed', async () => {
+        db.tables.useraccount[0].pending_email = 'dana@new.example.com';
+        const token = jwt.sign({ userId: dana.userid, email: 'dana@new.example.com' }, deriveSecret('email-verification'));
+
+        const res = await request(app).post('/api/email/verify').send({ token });
+
+        assert.equal(res.status, 200);
+        assert.equal(db.tables.useraccount[0].email, 'dana@new.example.com');
+        assert.equal(liveSessions().length, 0);
+    });
+});
+
+describe('personal access tokens', () => {
+    beforeEach(() => {
+        db.tables.user_sessions = [{ id: 's1', userid: dana.userid, expires_at: '2999-01-01T00:00:00Z' }];
+        db.tables.api_tokens = [
+            { id: 1, userid: dana.userid, name: 'backup script', token_hash: 'a', scopes: ['collection:read'] },
+            { id: 2, userid: 99, name: 'someone else', token_hash: 'b', scopes: ['collection:read'] }
+        ];
+    });
+
+    const revoked = () => db.tables.api_tokens.map(t => Boolean(t.revoked_at));
+
+    it('are revoked by a password change', async () => {
+        const res = await request(app)
+            .put(`/api/update-password/${dana.userid}`)
+            .set('Authorization', bearer(dana))
+            .send({ newPassword: 'a much better password' });
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.revokedTokens, 1);
+        assert.deepEqual(revoked(), [true, false]);
+    });
+
+    it('are revoked by "log out everywhere else"', async () => {
+        const res = await request(app).post('/api/sessions/revoke-others').set('Authorization', bearer(dana));
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.revokedTokens, 1);
+        assert.deepEqual(revoked(), [true, false]);
+    });
+});
+
+describe('password change', () => {
+    let erin;
+
+    before(async () => {
+        erin = seedUser(db, { userid: 2, username: 'erin', password: await bcrypt.hash('hunter22', 4) });
+    });
+
+    beforeEach(() => {
+        db.tables.user_sessions = [];
+        db.tables.api_tokens = [];
+    });
+
+    const changePassword = (user, body) => request(app)
+        .put(`/api/update-password/${erin.userid}`)
+        .set('Authorization', bearer(user))
+        .send(body);
+
+    const clearsRefreshCookie = res => (res.headers['set-cookie'] || []).some(c => c.startsWith('refreshToken=;'));
+
+    it('needs the current password to change your own', async () => {
+        const missing = await changePassword(erin, { newPassword: 'a much better password' });
+        assert.equal(missing.status, 401);
+
+        const wrong = await changePassword(erin, { currentPassword: 'nope', newPassword: 'a much better password' });
+        assert.equal(wrong.status, 401);
+        assert.ok(await bcrypt.compare('hunter22', erin.password));
+
+        const right = await changePassword(erin, { currentPassword: 'hunter22', newPassword: 'a much better password' });
+        assert.equal(right.status, 200);
+        assert.ok(await bcrypt.compare('a much better password', erin.password));
+        assert.ok(clearsRefreshCookie(right));
+    });
+
+    it('lets an admin reset it without signing the admin out', async () => {
+        const res = await changePassword(admin, { newPassword: 'reset by an admin' });
+
+        assert.equal(res.status, 200);
+        assert.ok(await bcrypt.compare('reset by an admin', erin.password));
+        assert.equal(clearsRefreshCookie(res), false);
+    });
+});
@@ -0,0 +1,72 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { loadApp, seedUser, bearer } = require('./support/app');
+const { createDatabase } = require('./support/database');
+
+const { app, db } = loadApp();
+
+const admin = seedUser(db, { userid: 9, username: 'admin', admin: 1 });
+const hana = seedUser(db, { userid: 1, username: 'hana' });
+
+const decide = (gameId, action, body = {}) => request(app)
+    .post(`/api/admin/submissions/${gameId}/${action}`)
+    .set('Authorization', bearer(admin))
+    .send(body);
+
+describe('submission decisions', () => {
+    beforeEach(() => {
+        db.tables.notifications = [];
+        db.tables.gameinfo = [
+            { gameid: 10, name: 'Chrono Trigger', status: 'pending', submitted_by: hana.userid },
+            { gameid: 11, name: 'Earthbound', status: 'approved', submitted_by: hana.userid },
+            { gameid: 12, name: 'Mother 3', status: 'rejected', submitted_by: hana.userid }
+        ];
+    });
+
+    const status = gameId => db.tables.gameinfo.find(g => g.gameid === gameId).status;
+
+    it('approves or rejects a pending game', async () => {
+        const res = await decide(10, 'reject', { reason: 'Duplicate of an existing entry' });
+
+        assert.equal(res.status, 200);
+        assert.equal(status(10), 'rejected');
+        assert.equal(db.tables.notifications.length, 1);
+    });
+
+    it('refuses to decide again on a game that is no longer pending', async () => {
+        const rejectApproved = await decide(11, 'reject', { reason: 'Changed my mind' });
+        const approveRejected = await decide(12, 'approve');
+
+        assert.equal(rejectApproved.status, 409);
+        assert.equal(approveRejected.status, 409);
+        assert.equal(status(11), 'approved');
+        assert.equal(status(12), 'rejected');
+        assert.equal(db.tables.notifications.length, 0);
+    });
+});
+
+describe('POST /add-game-to-database', () => {
+    it('answers 400 when Consoles is not a list of console ids', async () => {
+        for (const Consoles of [undefined, '[1,', '{"id": 1}', '["snes"]']) {
+            const res = await request(app)
+                .post('/add-game-to-database')
+                .set('Authorization', bearer(hana))
+                .send({ Name: 'Chrono Trigger', Consoles });
+
+            assert.equal(res.status, 400, `Consoles ${Consoles}`);
+        }
+    });
+});
+
+describe('game submissions migration', () => {
+    it('can be applied twice', async () => {
+        const pg = await createDatabase([
+            '20261001000014_game_submissions.sql',
+            '20261001000014_game_submissions.sql'
+        ]);
+
+        await assert.rejects(pg.query("insert into gameinfo (name, status) values ('Chrono Trigger', 'maybe')"));
+        await pg.close();
+    });
+});
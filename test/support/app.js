@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const { createFakeSupabase } = require('./fakeSupabase');
+
+const JWT_SECRET = 'test-jwt-secret';
+
+// Load server.js against the in-memory database. Every test file runs in its
+// own process, so each one gets a fresh app; `env` is applied before loading.
+function loadApp(env = {}) {
+    const fake = createFakeSupabase();
+
+    Object.assign(process.env, {
+        NODE_ENV: 'test',
+        SUPABASE_URL: 'http://supabase.test',
+        SUPABASE_KEY: 'test',
+        JWT_SECRET,
+        REFRESH_TOKEN_SECRET: 'test-refresh-secret',
+        MAIL_TRANSPORT: 'file',
+        MAIL_OUTBOX_DIR: fs.mkdtempSync(path.join(os.tmpdir(), 'cdd-mail-')),
+        ...env
+    });
+
+    const supabasePath = require.resolve('@supabase/supabase-js');
+    require.cache[supabasePath] = {
+        id: supabasePath,
+        filename: supabasePath,
+        loaded: true,
+        exports: { createClient: () => fake.client }
+    };
+
+    const app = require('../../server');
+    return { app, db: fake.db, table: fake.table };
+}
+
+// Insert a user row with sensible defaults
+function seedUser(db, fields) {
+    const user = {
+        username: `user${fields.userid}`,
+        email: `user${fields.userid}@example.com`,
+        password: null,
+        admin: 0,
+        email_verified: true,
+        totp_enabled: false,
+        ...fields
+    };
+    (db.tables.useraccount = db.tables.useraccount || []).push(user);
+    return user;
+}
+
+// Bearer header for a user, like the ones /login hands out
+const bearer = user => `Bearer ${jwt.sign(
+    { userId: user.userid, username: user.username, admin: user.admin },
+    JWT_SECRET,
+    { expiresIn: '15m' }
+)}`;
+
+// Same derivation as server.js, for emailed links and other purpose-bound tokens
+const deriveSecret = purpose => crypto.createHmac('sha256', JWT_SECRET).update(purpose).digest('hex');
+
+module.exports = { loadApp, seedUser, bearer, deriveSecret, JWT_SECRET };
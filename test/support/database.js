@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+const { PGlite } = require('@electric-sql/pglite');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', '..', 'supabase', 'migrations');
+
+// The tables that predate supabase/migrations, with just the columns the
+// database functions under test touch
+const BASE_SCHEMA = `
+    create table useraccount (
+        userid bigint generated by default as identity primary key,
+        username text not null
+    );
+    create table console (
+        consoleid bigint generated by default as identity primary key,
+        name text not null
+    );
+    create table gameinfo (
+        gameid bigint generated by default as identity primary key,
+        name text not null,
+        status text not null default 'approved',
+        submitted_by bigint,
+        genres text[] not null default '{}',
+        aliases text[] not null default '{}',
+        cover_thumb_url text
+    );
+    create table gameinfo_console (
+        gameid bigint not null references gameinfo (gameid),
+        consoleid bigint not null references console (consoleid)
+    );
+    create table gamedetails (
+        gamedetailsid bigint generated by default as identity primary key,
+        ownership text, included text, condition text, notes text, completion text,
+        review text, spoiler integer, price numeric, rating numeric
+    );
+    create table vgcollection (
+        collectionid bigint generated by default as identity primary key,
+        userid bigint not null references useraccount (userid),
+        gameid bigint not null references gameinfo (gameid),
+        gamedetailsid bigint references gamedetails (gamedetailsid)
+    );
+    create table vgcollection_console (
+        collectionid bigint not null references vgcollection (collectionid),
+        consoleid bigint not null references console (consoleid),
+        gamedetailsid bigint references gamedetails (gamedetailsid)
+    );
+    create table vgwishlist (
+        wishlistid bigint generated by default as identity primary key,
+        userid bigint not null references useraccount (userid),
+        gameid bigint not null references gameinfo (gameid)
+    );
+    create table vgwishlist_console (
+        wishlistid bigint not null references vgwishlist (wishlistid),
+        consoleid bigint not null references console (consoleid)
+    );
+    create table game_release_dates (
+        id bigint generated by default as identity primary key,
+        gameid bigint not null references gameinfo (gameid) on delete cascade,
+        consoleid bigint not null references console (consoleid),
+        region text not null,
+        release_date date not null,
+        unique (gameid, consoleid, region)
+    );
+    create table game_barcodes (
+        barcode text primary key,
+        gameid bigint not null references gameinfo (gameid) on delete cascade,
+        consoleid bigint not null references console (consoleid)
+    );
+    create table barcode_submissions (
+        id bigint generated by default as identity primary key,
+        barcode text not null,
+        gameid bigint not null references gameinfo (gameid) on delete cascade,
+        consoleid bigint not null references console (consoleid)
+    );
+`;
+
+// A throwaway Postgres (PGlite, in-process) with the base tables and the
+// given migration files applied in order
+async function createDatabase(migrations = []) {
+    const db = new PGlite();
+    await db.exec(BASE_SCHEMA);
+    for (const file of migrations) {
+        await db.exec(fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8'));
+    }
+    return db;
+}
+
+module.exports = { createDatabase };
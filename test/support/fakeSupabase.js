@@ -0,0 +1,415 @@
+// In-memory stand-in for the slice of supabase-js that server.js uses:
+// from() with select / insert / update / upsert / delete and the usual
+// filters, embedded resources, rpc() and storage. Tables are plain arrays in
+// `db.tables`, so tests can seed rows and look at what a route wrote.
+
+// Primary key per table (anything not listed uses `id`)
+const PRIMARY_KEYS = {
+    useraccount: 'userid',
+    gameinfo: 'gameid',
+    console: 'consoleid',
+    gamedetails: 'gamedetailsid',
+    vgcollection: 'collectionid',
+    vgwishlist: 'wishlistid',
+    messages: 'messageid',
+    refresh_tokens: 'token_hash',
+    game_barcodes: 'barcode'
+};
+
+// Embeds that can't be worked out from primary keys alone
+const RELATIONS = {
+    'refresh_tokens.user_sessions': { table: 'user_sessions', local: 'session_id', foreign: 'id' },
+    'gameinfo.submitted_by': { table: 'useraccount', local: 'submitted_by', foreign: 'userid' },
+    'barcode_submissions.submitted_by': { table: 'useraccount', local: 'submitted_by', foreign: 'userid' },
+    'messages.sender_id': { table: 'useraccount', local: 'sender_id', foreign: 'userid' },
+    'chat_threads.user_a': { table: 'useraccount', local: 'user_a', foreign: 'userid' },
+    'chat_threads.user_b': { table: 'useraccount', local: 'user_b', foreign: 'userid' }
+};
+
+// Unique constraints, checked on insert
+const UNIQUE = {
+    user_identities: [['provider', 'subject']],
+    game_barcodes: [['barcode']]
+};
+
+const clone = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+const same = (a, b) => {
+    if (a == null || b == null) return a == null && b == null;
+    return String(a) === String(b);
+};
+
+const compare = (a, b) => {
+    if (a == null && b == null) return 0;
+    if (a == null) return 1;
+    if (b == null) return -1;
+    const na = Number(a);
+    const nb = Number(b);
+    if (typeof a !== 'boolean' && !Number.isNaN(na) && !Number.isNaN(nb) && a !== '' && b !== '') return na - nb;
+    return String(a).localeCompare(String(b));
+};
+
+const likeToRegex = (pattern, flags) => {
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const ch = pattern[i];
+        if (ch === '\\' && i + 1 < pattern.length) source += pattern[++i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        else if (ch === '%') source += '.*';
+        else if (ch === '_') source += '.';
+        else source += ch.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+    return new RegExp(`^${source}$`, flags);
+};
+
+// PostgREST list literal "(1,2,3)" → ['1', '2', '3']
+const parseList = value => (Array.isArray(value)
+    ? value
+    : String(value).replace(/^\(|\)$/g, '').split(',').map(v => v.trim().replace(/^"|"$/g, '')));
+
+const parseIs = value => {
+    if (value === null || value === 'null') return null;
+    if (value === true || value === 'true') return true;
+    if (value === false || value === 'false') return false;
+    return value;
+};
+
+const OPERATORS = {
+    eq: (v, x) => same(v, x),
+    neq: (v, x) => !same(v, x),
+    gt: (v, x) => v != null && compare(v, x) > 0,
+    gte: (v, x) => v != null && compare(v, x) >= 0,
+    lt: (v, x) => v != null && compare(v, x) < 0,
+    lte: (v, x) => v != null && compare(v, x) <= 0,
+    in: (v, x) => parseList(x).some(item => same(v, item)),
+    is: (v, x) => (parseIs(x) === null ? v == null : v === parseIs(x)),
+    like: (v, x) => v != null && likeToRegex(String(x)).test(String(v)),
+    ilike: (v, x) => v != null && likeToRegex(String(x), 'i').test(String(v)),
+    contains: (v, x) => Array.isArray(v) && parseList(x).every(item => v.some(el => same(el, item))),
+    overlaps: (v, x) => Array.isArray(v) && parseList(x).some(item => v.some(el => same(el, item)))
+};
+
+const operator = name => {
+    if (!OPERATORS[name]) throw new Error(`fakeSupabase: unsupported operator "${name}"`);
+    return OPERATORS[name];
+};
+
+// Split on commas that aren't inside parentheses
+const splitTopLevel = text => {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+    for (const ch of text) {
+        if (ch === '(') depth++;
+        if (ch === ')') depth--;
+        if (ch === ',' && depth === 0) {
+            parts.push(current.trim());
+            current = '';
+        } else {
+            current += ch;
+        }
+    }
+    if (current.trim()) parts.push(current.trim());
+    return parts;
+};
+
+// "a.eq.1,and(b.gt.2,c.is.null)" → row predicate
+const parseOrFilter = (text, combine = 'some') => {
+    const predicates = splitTopLevel(text).map(part => {
+        const nested = part.match(/^(and|or)\((.*)\)$/s);
+        if (nested) return parseOrFilter(nested[2], nested[1] === 'and' ? 'every' : 'some');
+        const [column, op, ...rest] = part.split('.');
+        const value = rest.join('.');
+        if (op === 'not') {
+            const [innerOp, ...innerRest] = value.split('.');
+            return row => !operator(innerOp)(row[column], innerRest.join('.'));
+        }
+        return row => operator(op)(row[column], value);
+    });
+    return row => predicates[combine](p => p(row));
+};
+
+// "id, name, console:console ( consoleid, name )" → [{ name, alias, embed? }]
+const parseSelect = text => splitTopLevel(String(text || '*').replace(/\s+/g, ' ')).map((item) => {
+    const embed = item.match(/^(?:(\w+):)?([\w!]+)\s*\((.*)\)$/s);
+    if (embed) {
+        const [, alias, target] = embed;
+        return { alias: alias || target.split('!')[0], target: target.split('!')[0], embed: parseSelect(embed[3]) };
+    }
+    const [alias, column] = item.includes(':') ? item.split(':').map(s => s.trim()) : [item, item];
+    return { alias, column: column.replace(/::\w+$/, '') };
+});
+
+function createFakeSupabase() {
+    const db = {
+        tables: {},
+        rpcHandlers: {},
+        storage: new Map(),
+        nextId: 1
+    };
+
+    const table = name => (db.tables[name] = db.tables[name] || []);
+    const primaryKey = name => PRIMARY_KEYS[name] || 'id';
+
+    function resolveEmbed(tableName, row, field) {
+        const relation = RELATIONS[`${tableName}.${field.target}`];
+        if (relation) {
+            const match = table(relation.table).find(r => same(r[relation.foreign], row[relation.local]));
+            return { rows: match ? [match] : [], table: relation.table, many: false };
+        }
+
+        const target = field.target;
+        const targetKey = primaryKey(target);
+        if (targetKey in row) {
+            const match = table(target).find(r => same(r[targetKey], row[targetKey]));
+            return { rows: match ? [match] : [], table: target, many: false };
+        }
+
+        const ownKey = primaryKey(tableName);
+        return { rows: table(target).filter(r => same(r[ownKey], row[ownKey])), table: target, many: true };
+    }
+
+    function project(tableName, row, fields) {
+        const out = {};
+        for (const field of fields) {
+            if (field.embed) {
+                const { rows, table: target, many } = resolveEmbed(tableName, row, field);
+                const projected = rows.map(r => project(target, r, field.embed));
+                out[field.alias] = many ? projected : projected[0] ?? null;
+            } else if (field.column === '*') {
+                Object.assign(out, clone(row));
+            } else {
+                out[field.alias] = clone(row[field.column]) ?? null;
+            }
+        }
+        return out;
+    }
+
+    function violatesUnique(tableName, row, ignore) {
+        return (UNIQUE[tableName] || []).some(columns => table(tableName).some(other => other !== ignore
+            && columns.every(c => row[c] != null && same(other[c], row[c]))));
+    }
+
+    function withDefaults(tableName, row) {
+        const key = primaryKey(tableName);
+        const filled = { created_at: new Date().toISOString(), ...clone(row) };
+        if (filled[key] == null) filled[key] = db.nextId++;
+        return filled;
+    }
+
+    class Query {
+        constructor(tableName) {
+            this.tableName = tableName;
+            this.action = 'select';
+            this.filters = [];
+            this.orders = [];
+            this.columns = null;
+            this.options = {};
+        }
+
+        select(columns = '*', options = {}) {
+            this.columns = columns;
+            if (this.action === 'select') this.options = options;
+            return this;
+        }
+
+        insert(rows) {
+            this.action = 'insert';
+            this.payload = Array.isArray(rows) ? rows : [rows];
+            return this;
+        }
+
+        upsert(rows, { onConflict } = {}) {
+            this.action = 'upsert';
+            this.payload = Array.isArray(rows) ? rows : [rows];
+            this.conflict = onConflict ? onConflict.split(',').map(s => s.trim()) : [primaryKey(this.tableName)];
+            return this;
+        }
+
+        update(values) {
+            this.action = 'update';
+            this.payload = values;
+            return this;
+        }
+
+        delete() {
+            this.action = 'delete';
+            return this;
+        }
+
+        filter(column, op, value) {
+            this.filters.push(row => operator(op)(row[column], value));
+            return this;
+        }
+
+        not(column, op, value) {
+            this.filters.push(row => !operator(op)(row[column], value));
+            return this;
+        }
+
+        or(text) {
+            this.filters.push(parseOrFilter(text));
+            return this;
+        }
+
+        match(values) {
+            for (const [column, value] of Object.entries(values)) this.eq(column, value);
+            return this;
+        }
+
+        order(column, { ascending = true } = {}) {
+            this.orders.push({ column, ascending });
+            return this;
+        }
+
+        range(from, to) {
+            this.offset = from;
+            this.limitCount = to - from + 1;
+            return this;
+        }
+
+        limit(count) {
+            this.limitCount = count;
+            return this;
+        }
+
+        single() {
+            this.singleMode = 'single';
+            return this;
+        }
+
+        maybeSingle() {
+            this.singleMode = 'maybe';
+            return this;
+        }
+
+        matches(row) {
+            return this.filters.every(f => f(row));
+        }
+
+        run() {
+            const rows = table(this.tableName);
+            let affected;
+
+            if (this.action === 'insert' || this.action === 'upsert') {
+                affected = [];
+                for (const input of this.payload) {
+                    const existing = this.action === 'upsert'
+                        && rows.find(r => this.conflict.every(c => same(r[c], input[c])));
+                    if (existing) {
+                        Object.assign(existing, clone(input));
+                        affected.push(existing);
+                        continue;
+                    }
+                    const row = withDefaults(this.tableName, input);
+                    if (violatesUnique(this.tableName, row)) {
+                        return { error: { code: '23505', message: 'duplicate key value violates unique constraint' } };
+                    }
+                    rows.push(row);
+                    affected.push(row);
+                }
+            } else if (this.action === 'update') {
+                affected = rows.filter(r => this.matches(r));
+                for (const row of affected) Object.assign(row, clone(this.payload));
+            } else if (this.action === 'delete') {
+                affected = rows.filter(r => this.matches(r));
+                db.tables[this.tableName] = rows.filter(r => !affected.includes(r));
+            } else {
+                affected = rows.filter(r => this.matches(r));
+            }
+
+            if (this.action !== 'select' && this.columns === null) {
+                return { data: null, error: null, count: null };
+            }
+
+            let result = [...affected];
+            for (const { column, ascending } of [...this.orders].reverse()) {
+                result.sort((a, b) => (ascending ? 1 : -1) * compare(a[column], b[column]));
+            }
+            const count = result.length;
+            if (this.offset) result = result.slice(this.offset);
+            if (this.limitCount !== undefined) result = result.slice(0, this.limitCount);
+
+            if (this.options.head) return { data: null, error: null, count };
+
+            const fields = parseSelect(this.columns);
+            const data = result.map(row => project(this.tableName, row, fields));
+            const withCount = this.options.count ? count : null;
+
+            if (this.singleMode) {
+                if (data.length === 1) return { data: data[0], error: null, count: withCount };
+                if (data.length === 0 && this.singleMode === 'maybe') return { data: null, error: null, count: withCount };
+                return {
+                    data: null,
+                    error: { code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned' },
+                    count: withCount
+                };
+            }
+            return { data, error: null, count: withCount };
+        }
+
+        then(resolve, reject) {
+            return Promise.resolve()
+                .then(() => this.run())
+                .then(resolve, reject);
+        }
+    }
+
+    for (const op of Object.keys(OPERATORS)) {
+        Query.prototype[op] = function addFilter(column, value) {
+            return this.filter(column, op, value);
+        };
+    }
+
+    const client = {
+        from: name => new Query(name),
+
+        // Handlers are (args, db) → data; throw { code, message } for an error
+        rpc(name, args = {}) {
+            return Promise.resolve().then(() => {
+                const handler = db.rpcHandlers[name];
+                if (!handler) {
+                    return { data: null, error: { code: 'PGRST202', message: `Could not find the function ${name}` } };
+                }
+                try {
+                    return { data: handler(args, db), error: null };
+                } catch (err) {
+                    return { data: null, error: { code: err.code, message: err.message } };
+                }
+            });
+        },
+
+        storage: {
+            from(bucket) {
+                const key = objectPath => `${bucket}/${objectPath}`;
+                return {
+                    async upload(objectPath, data) {
+                        db.storage.set(key(objectPath), data);
+                        return { data: { path: objectPath }, error: null };
+                    },
+                    async remove(paths) {
+                        for (const p of paths) db.storage.delete(key(p));
+                        return { data: [], error: null };
+                    },
+                    async list(prefix) {
+                        const names = [...db.storage.keys()]
+                            .filter(k => k.startsWith(key(`${prefix}/`)))
+                            .map(k => ({ name: k.slice(key(`${prefix}/`).length) }));
+                        return { data: names, error: null };
+                    },
+                    async download(objectPath) {
+                        const data = db.storage.get(key(objectPath));
+                        return data ? { data, error: null } : { data: null, error: { message: 'Object not found' } };
+                    },
+                    getPublicUrl: objectPath => ({ data: { publicUrl: `http://storage.test/${key(objectPath)}` } }),
+                    async createSignedUrl(objectPath, expiresIn) {
+                        return { data: { signedUrl: `http://storage.test/${key(objectPath)}?expires=${expiresIn}` }, error: null };
+                    }
+                };
+            }
+        }
+    };
+
+    return { client, db, table };
+}
+
+module.exports = { createFakeSupabase };
@@ -0,0 +1,66 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { loadApp, seedUser, bearer, deriveSecret } = require('./support/app');
+
+const { app, db } = loadApp();
+
+const SECRET = 'JBSWY3DPEHPK3PXP';
+
+// RFC 6238 code for the current 30s step (the hex is SECRET, base32-decoded)
+const totpNow = () => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(Math.floor(Date.now() / 1000 / 30)));
+    const hmac = crypto.createHmac('sha1', Buffer.from('48656c6c6f21deadbeef', 'hex')).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    return String((hmac.readUInt32BE(offset) & 0x7fffffff) % 1e6).padStart(6, '0');
+};
+
+const erin = seedUser(db, { userid: 1, username: 'erin' });
+
+describe('TOTP replay protection', () => {
+    beforeEach(() => {
+        Object.assign(db.tables.useraccount[0], {
+            totp_enabled: true,
+            totp_secret: SECRET,
+            totp_pending_secret: null,
+            totp_last_step: null
+        });
+    });
+
+    it('accepts a code for /login/2fa only once, even when two requests race', async () => {
+        const challengeToken = jwt.sign({ userId: erin.userid }, deriveSecret('2fa-challenge'));
+        const code = totpNow();
+
+        const results = await Promise.all([1, 2].map(() =>
+            request(app).post('/login/2fa').send({ challengeToken, code })));
+
+        assert.deepEqual(results.map(r => r.status).sort(), [200, 401]);
+    });
+
+    it('refuses a code whose step another request already claimed', async () => {
+        const challengeToken = jwt.sign({ userId: erin.userid }, deriveSecret('2fa-challenge'));
+        const code = totpNow();
+        assert.equal((await request(app).post('/login/2fa').send({ challengeToken, code })).status, 200);
+
+        const res = await request(app).post('/login/2fa').send({ challengeToken, code });
+        assert.equal(res.status, 401);
+    });
+
+    it('activates enrollment once per pending secret', async () => {
+        Object.assign(db.tables.useraccount[0], {
+            totp_enabled: false,
+            totp_secret: null,
+            totp_pending_secret: SECRET
+        });
+        const code = totpNow();
+
+        const results = await Promise.all([1, 2].map(() =>
+            request(app).post('/api/2fa/activate').set('Authorization', bearer(erin)).send({ code })));
+
+        assert.deepEqual(results.map(r => r.status).sort(), [200, 400]);
+        assert.equal(db.tables.useraccount[0].totp_enabled, true);
+    });
+});